@@ -1,4 +1,223 @@
-import { useCallback, useEffect, useMemo, useRef, useState, type ReactNode } from "react";
+import {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  type PointerEvent as ReactPointerEvent,
+  type ReactNode,
+} from "react";
+import {
+  addWaveSynthModule,
+  buildTimelineSchedule,
+  busHeadroomGain,
+  cropSegments,
+  createMasterBus,
+  createWaveSynthNode,
+  type MasterBus,
+  PLAYBACK_FADE_SECONDS,
+  renderTimelineOffline,
+  SCHEDULE_LOOKAHEAD_SECONDS,
+  scheduleTimelineEffects,
+  scheduleTimelineGain,
+  type SynthMessageParams,
+  type SynthParams,
+  type TimelineSegment,
+  withSecondOscillator,
+} from "./synth";
+import {
+  createEffectsChain,
+  DEFAULT_EFFECTS,
+  EFFECT_LIMITS,
+  filterResponse,
+  FILTER_MODES,
+  REVERB_SPACES,
+  type Effects,
+  type EffectsChain,
+  type ReverbSpace,
+} from "./effects";
+import {
+  DEFAULT_ENVELOPE,
+  ENVELOPE_LIMITS,
+  ENVELOPE_PRESETS,
+  envelopeLevelAt,
+  type Envelope,
+} from "./envelope";
+import {
+  DEFAULT_GLIDE,
+  GLIDE_CURVES,
+  GLIDE_LIMITS,
+  glideEndFreq,
+  glideSweep,
+  sweepCycles,
+  type Glide,
+  type GlideCurve,
+} from "./glide";
+import {
+  beatFrequency,
+  DEFAULT_SECOND_OSCILLATOR,
+  interferenceWindowSec,
+  LISSAJOUS_RATIOS,
+  lissajousPeriodSec,
+  phaseRelation,
+  ratioInterval,
+  simpleRatio,
+  sineSumAmplitude,
+  type SecondOscillator,
+} from "./interference";
+import {
+  DEFAULT_MODULATION,
+  isModulated,
+  modulatedCycles,
+  modulationWindowSec,
+  MODULATION_LIMITS,
+  phaseModulatedCycles,
+  tremoloLevel,
+  type Modulation,
+} from "./modulation";
+import {
+  DEFAULT_KEYBOARD_OCTAVE,
+  isBlackKey,
+  KEYBOARD_OCTAVE_RANGE,
+  keyboardNotes,
+  OCTAVE_DOWN_CODE,
+  OCTAVE_UP_CODE,
+  qwertyLabel,
+  qwertyNote,
+  recordingToSlots,
+  type RecordedNote,
+} from "./keyboard";
+import {
+  BEAT_UNITS,
+  barRangeSeconds,
+  barSeconds,
+  beatSeconds,
+  DEFAULT_TEMPO,
+  formatBarBeat,
+  gridLines,
+  metronomeSegments,
+  NOTE_VALUES,
+  noteValueSeconds,
+  secondsToBeats,
+  TEMPO_LIMITS,
+  type BeatUnit,
+  type Tempo,
+  type TimelineLoop,
+} from "./tempo";
+import {
+  DEFAULT_TUNING,
+  formatPitch,
+  hzFromMidi,
+  INTERVAL_NAMES,
+  intervalRatio,
+  midiFromHz,
+  NOTE_NAMES,
+  noteName,
+  ratioCents,
+  snapToTuning,
+  tunedFreq,
+  TUNING_SYSTEMS,
+  type Tuning,
+  type TuningSystem,
+} from "./pitch";
+import {
+  activeSlotIndex,
+  effectiveTrackGains,
+  makeDefaultSlots,
+  makeEmptySlot,
+  makeId,
+  makeTrack,
+  MAX_SLOT_COUNT,
+  MAX_SLOT_SECONDS,
+  MAX_TRACK_COUNT,
+  MIN_SLOT_SECONDS,
+  slotSegment,
+  slotStartTimes,
+  type Slot,
+  type Track,
+} from "./timeline";
+import {
+  CUSTOM_MODE_COUNT,
+  DEFAULT_CUSTOM_MODES,
+  WAVE_DEFINITIONS,
+  WAVE_TYPES,
+  waveSample,
+  type CustomModes,
+  type WaveType,
+} from "./waves";
+import {
+  BUILT_IN_LESSONS,
+  lessonControlState,
+  type Lesson,
+  type LessonAutoplay,
+  type LessonControl,
+} from "./lessons";
+import { createHistory, pushHistory, redoHistory, replacePresent, sameFields, undoHistory } from "./history";
+import {
+  loadAutosave,
+  parseLesson,
+  parsePresetPack,
+  parseProject,
+  ProjectFileError,
+  saveAutosave,
+  serializePresetPack,
+  serializeProject,
+  type ProjectSession,
+} from "./project";
+import {
+  cleanPresetName,
+  DEFAULT_PRESET_NAME,
+  makePreset,
+  MAX_PRESET_COUNT,
+  PRESET_NAME_MAX_LENGTH,
+  uniquePresetName,
+  type CustomPreset,
+} from "./presets";
+import {
+  aliasFrequency,
+  amplitudeToDb,
+  compareApproximation,
+  fourierSeries,
+  frequencyToUnit,
+  harmonicAmplitudes,
+  makeLiveSpectrumPath,
+  MAX_SPECTRUM_HARMONICS,
+  SPECTRUM_DB_RANGE,
+  spectrumFrequencyRange,
+  unitToFrequency,
+  type FrequencyAxis,
+  type SpectrumFrame,
+} from "./spectrum";
+import {
+  AUDIENCE_WINDOW_NAME,
+  audienceViewUrl,
+  isAudienceView,
+  openAudienceChannel,
+  type AudienceChannel,
+  type AudienceState,
+  type PlaybackKind,
+} from "./audience";
+import {
+  cleanQuizSeed,
+  makeQuiz,
+  QUIZ_DIFFICULTIES,
+  QUIZ_KIND_NAMES,
+  QUIZ_KINDS,
+  QUIZ_QUESTION_COUNT,
+  QUIZ_SEED_MAX_LENGTH,
+  quizExplanation,
+  quizPrompt,
+  quizScore,
+  quizSegments,
+  randomQuizSeed,
+  type QuizAnswer,
+  type QuizDifficulty,
+  type QuizQuestion,
+  type QuizSettings,
+} from "./quiz";
+import { decodeShareFragment, encodeShareFragment, isShareFragment } from "./share";
+import { DEFAULT_DRAWN_WAVE, WAVETABLE_SIZE, wavetableFromSketch } from "./wavetable";
+import { encodeWav, WAV_BIT_DEPTHS, WAV_SAMPLE_RATES, type WavBitDepth } from "./wav";
 
 /**
  * Sound Waves Presentation Mockup
@@ -18,29 +237,53 @@ import { useCallback, useEffect, useMemo, useRef, useState, type ReactNode } fro
 // Wave math (simple, stable)
 // ----------------------------
 
-const TAU = Math.PI * 2;
 const PREVIEW_PERIODS = 3;
 const BASE_FREQUENCY_HZ = 220;
 const INSPECTOR_SCROLL_GRAPHS_PER_SECOND = 1;
-const PLAYBACK_FADE_SECONDS = 0.2;
+/** Most carrier cycles the inspector draws across a modulation window. */
+const MODULATION_PLOT_CYCLES = 24;
+/** Points per inspector curve when the window is longer than three periods (modulation, glides). */
+const LONG_WINDOW_PLOT_SAMPLES = 900;
+/** The inspector plays and draws a glide over this long (the length of Play on the modified wave). */
+const GLIDE_PREVIEW_SECONDS = 2;
+/** Most cycles per window at the fastest point of a drawn glide, in the inspector and in slot previews. */
+const GLIDE_PLOT_CYCLES = 40;
+const SLOT_GLIDE_PLOT_CYCLES = 10;
+/** Range of the frequency control, which is logarithmic so each octave gets the same travel. */
+const FREQ_CONTROL_RANGE_HZ = [40, 2000] as const;
+/** Each note of the tuning comparison; the two together sound twice as long. */
+const COMPARE_NOTE_SECONDS = 0.8;
+const COMPARE_GAP_SECONDS = 0.4;
+/**
+ * Changes join one undo step until they have been still this long (and no
+ * pointer is held), so a slider drag or typing a number is a single step.
+ */
+const HISTORY_SETTLE_MS = 400;
+/** Loop passes whose effect changes are scheduled ahead of the one playing. */
+const LOOP_EFFECT_PASSES_AHEAD = 2;
 
-type WaveType = "sine" | "triangle" | "square" | "saw" | "custom" | "humps";
-const CUSTOM_MODE_COUNT = 15;
+/** What undo and redo restore: the saved session plus the custom editor's unsaved mix. */
+type HistorySnapshot = ProjectSession & { customDraftModes: CustomModes };
+
+/** This window is the audience view (see `audience.ts`): it draws what the presenter window sends and plays nothing. */
+const AUDIENCE_VIEW = isAudienceView(window.location.search);
 
 function clamp(x: number, lo: number, hi: number) {
   return Math.max(lo, Math.min(hi, x));
 }
 
-function fract(x: number) {
-  return x - Math.floor(x);
+function customModesMagnitude(modes: CustomModes) {
+  return [...modes.sin, ...modes.cos].reduce((acc, value) => acc + Math.abs(value), 0);
 }
 
-const DEFAULT_CUSTOM_MODES = [1, ...Array(CUSTOM_MODE_COUNT - 1).fill(0)] as number[];
-
-function normalizeModes(modes: number[]) {
-  const totalMagnitude = modes.reduce((acc, value) => acc + Math.abs(value), 0);
-  if (totalMagnitude === 0) return [...DEFAULT_CUSTOM_MODES];
-  return modes.map((value) => value / totalMagnitude);
+/** Scales a mix so its coefficients' magnitudes sum to 1; the wave then never clips. */
+function normalizeModes(modes: CustomModes): CustomModes {
+  const totalMagnitude = customModesMagnitude(modes);
+  if (totalMagnitude === 0) return DEFAULT_CUSTOM_MODES;
+  return {
+    sin: modes.sin.map((value) => value / totalMagnitude),
+    cos: modes.cos.map((value) => value / totalMagnitude),
+  };
 }
 
 function getBipolarSliderBackground(value: number, fillColor: string) {
@@ -61,54 +304,6 @@ function getModeColor(modeIndex: number) {
   return `hsl(${hue.toFixed(1)} 85% 52%)`;
 }
 
-function waveSample(type: WaveType, tSec: number, freqHz: number, customModes?: number[]): number {
-  const phase = TAU * freqHz * tSec;
-
-  switch (type) {
-    case "sine":
-      return Math.sin(phase);
-
-    case "square": {
-      const s = Math.sin(phase);
-      return s >= 0 ? 1 : -1;
-    }
-
-    case "triangle": {
-      // Triangle via asin(sin): in [-1,1]
-      return (2 / Math.PI) * Math.asin(Math.sin(phase));
-    }
-
-    case "saw": {
-      // Sawtooth in [-1,1]
-      // x = frac(f t) in [0,1); map to [-1,1)
-      const x = fract(freqHz * tSec);
-      return 2 * x - 1;
-    }
-
-    case "custom": {
-      const modes = customModes ?? [];
-      let sum = 0;
-      for (let i = 0; i < CUSTOM_MODE_COUNT; i++) {
-        const weight = modes[i] ?? 0;
-        if (weight === 0) continue;
-        sum += weight * Math.sin(phase * (i + 1));
-      }
-      return clamp(sum, -1, 1);
-    }
-
-    case "humps": {
-      // Two-hump envelope (visual variety): |sin| with mild smoothing.
-      // Use half-phase so it oscillates one octave lower than before.
-      const s = Math.abs(Math.sin(phase * 0.5));
-      // Shape it to emphasize peaks
-      return 2 * Math.pow(s, 0.8) - 1;
-    }
-
-    default:
-      return 0;
-  }
-}
-
 function secondsForPeriods(freqHz: number, periods = PREVIEW_PERIODS) {
   const safeFreq = Math.max(freqHz, 1e-6);
   return periods / safeFreq;
@@ -118,7 +313,8 @@ function makeWavePath(opts: {
   type: WaveType;
   amp: number;
   freqHz: number;
-  customModes?: number[];
+  customModes?: CustomModes;
+  wavetable?: number[];
   width: number;
   height: number;
   seconds: number;
@@ -126,18 +322,27 @@ function makeWavePath(opts: {
   samples?: number;
   yPad?: number;
 }) {
-  const {
-    type,
-    amp,
-    freqHz,
-    width,
-    height,
-    seconds,
-    timeOffsetSec = 0,
-    samples = 220,
-    yPad = 10,
-    customModes,
-  } = opts;
+  const { type, freqHz, customModes, wavetable, ...rest } = opts;
+  return makeSampledPath({ ...rest, sample: (t) => waveSample(type, t, freqHz, customModes, wavetable) });
+}
+
+/** Factor that slows a wave down so at most `maxCycles` periods at `maxHz` fit in `seconds`. */
+function drawSlowdown(maxHz: number, seconds: number, maxCycles: number) {
+  return Math.min(1, maxCycles / (Math.max(maxHz, 1e-6) * seconds));
+}
+
+/** Like `makeWavePath`, for any signal given as a function of time. */
+function makeSampledPath(opts: {
+  sample: (tSec: number) => number;
+  amp: number;
+  width: number;
+  height: number;
+  seconds: number;
+  timeOffsetSec?: number;
+  samples?: number;
+  yPad?: number;
+}) {
+  const { sample, amp, width, height, seconds, timeOffsetSec = 0, samples = 220, yPad = 10 } = opts;
 
   const midY = height / 2;
   const usableH = height - 2 * yPad;
@@ -151,48 +356,140 @@ function makeWavePath(opts: {
   for (let i = 0; i <= samples; i++) {
     const x = (i / samples) * width;
     const t = timeOffsetSec + (i / samples) * seconds;
-    const yVal = waveSample(type, t, freqHz, customModes);
-    const y = midY - yVal * scaleY;
+    const y = midY - sample(t) * scaleY;
     d += i === 0 ? `M ${x.toFixed(2)} ${y.toFixed(2)}` : ` L ${x.toFixed(2)} ${y.toFixed(2)}`;
   }
   return d;
 }
 
+/** An XY (Lissajous) figure: `x(t)` across and `y(t)` up, each in [-1, 1], in a `size` × `size` square. */
+function makeLissajousPath(opts: {
+  x: (tSec: number) => number;
+  y: (tSec: number) => number;
+  seconds: number;
+  timeOffsetSec?: number;
+  samples: number;
+  size: number;
+  pad: number;
+}) {
+  const { x, y, seconds, timeOffsetSec = 0, samples, size, pad } = opts;
+  const half = size / 2 - pad;
+
+  let d = "";
+  for (let i = 0; i <= samples; i++) {
+    const t = timeOffsetSec + (i / samples) * seconds;
+    const px = size / 2 + clamp(x(t), -1, 1) * half;
+    const py = size / 2 - clamp(y(t), -1, 1) * half;
+    d += i === 0 ? `M ${px.toFixed(2)} ${py.toFixed(2)}` : ` L ${px.toFixed(2)} ${py.toFixed(2)}`;
+  }
+  return d;
+}
+
+/**
+ * One note of a wave shaped by an ADSR envelope, for the inspector's envelope view.
+ * The carrier is drawn slowly (a fixed number of cycles per note) so the envelope
+ * stays readable; `outline` traces the envelope itself and `gateX` marks note-off.
+ */
+function makeEnvelopeNotePaths(opts: {
+  type: WaveType;
+  amp: number;
+  envelope: Envelope;
+  customModes?: CustomModes;
+  wavetable?: number[];
+  width: number;
+  height: number;
+  holdSec?: number;
+  cycles?: number;
+  samples?: number;
+  yPad?: number;
+}) {
+  const { type, amp, envelope, customModes, wavetable, width, height, holdSec = 0.4, cycles = 28, samples = 700, yPad = 8 } =
+    opts;
+  const gateSec = envelope.attackSec + envelope.decaySec + holdSec;
+  const noteSec = gateSec + envelope.releaseSec;
+  const midY = height / 2;
+  const scaleY = ((height - 2 * yPad) / 2) * (clamp(amp, 0, 2) / 2);
+  const displayFreq = cycles / noteSec;
+
+  let wave = "";
+  let outline = "";
+  for (let i = 0; i <= samples; i++) {
+    const x = (i / samples) * width;
+    const t = (i / samples) * noteSec;
+    const level = envelopeLevelAt(envelope, t, gateSec);
+    const y = midY - waveSample(type, t, displayFreq, customModes, wavetable) * level * scaleY;
+    const yEnv = midY - level * scaleY;
+    wave += i === 0 ? `M ${x.toFixed(2)} ${y.toFixed(2)}` : ` L ${x.toFixed(2)} ${y.toFixed(2)}`;
+    outline += i === 0 ? `M ${x.toFixed(2)} ${yEnv.toFixed(2)}` : ` L ${x.toFixed(2)} ${yEnv.toFixed(2)}`;
+  }
+  return { wave, outline, gateX: (gateSec / noteSec) * width };
+}
+
+/** A timeline slot's mini preview: 20 ms of its wave, or its whole glide drawn slowed down. */
+function makeSlotPreviewPath(slot: Exclude<Slot, { kind: "empty" }>, fallbackCustomModes: CustomModes) {
+  const type = slot.kind === "drawn" ? "drawn" : slot.type;
+  const customModes = slot.kind === "wave" ? (slot.customModes ?? fallbackCustomModes) : undefined;
+  const wavetable = slot.kind === "drawn" ? slot.wavetable : undefined;
+  const frame = { amp: slot.amp, width: 220, height: 80, yPad: 10 };
+  const sweep = slot.glide ? glideSweep(slot.glide, slot.freqHz, slot.durationSec) : null;
+  if (!sweep) {
+    return makeWavePath({ ...frame, type, freqHz: slot.freqHz, seconds: 0.02, samples: 120, customModes, wavetable });
+  }
+  const scale = drawSlowdown(Math.max(slot.freqHz, sweep.toFreqHz), slot.durationSec, SLOT_GLIDE_PLOT_CYCLES);
+  const drawnSweep = { ...sweep, toFreqHz: sweep.toFreqHz * scale };
+  return makeSampledPath({
+    ...frame,
+    seconds: slot.durationSec,
+    samples: 400,
+    sample: (t) => waveSample(type, sweepCycles(slot.freqHz * scale, drawnSweep, t), 1, customModes, wavetable),
+  });
+}
+
 // ----------------------------
 // UI model
 // ----------------------------
 
-type Slot =
-  | {
-      kind: "empty";
-    }
-  | {
-      kind: "wave";
-      type: WaveType;
-      amp: number;
-      freqHz: number;
-      customModes?: number[];
-      label: string;
-    };
+const WAVE_TILES = WAVE_TYPES.map((type) => ({ type, ...WAVE_DEFINITIONS[type] }));
 
-const WAVE_TILES: Array<{ type: WaveType; name: string; subtitle: string }> = [
-  { type: "sine", name: "Sine", subtitle: "smooth" },
-  { type: "triangle", name: "Triangle", subtitle: "linear ramps" },
-  { type: "square", name: "Square", subtitle: "rich harmonics" },
-  { type: "saw", name: "Sawtooth", subtitle: "bright" },
-  { type: "custom", name: "Custom", subtitle: `${CUSTOM_MODE_COUNT} modes` },
-  { type: "humps", name: "Humps", subtitle: "envelope" },
-];
+const PHASE_RELATION_TEXT: Record<ReturnType<typeof phaseRelation>, string> = {
+  "in phase": "in phase, they add up",
+  opposed: "opposed, they cancel",
+  partial: "they partly cancel",
+};
 
 function formatHz(x: number) {
   if (x >= 1000) return `${(x / 1000).toFixed(2)} kHz`;
   return `${Math.round(x)} Hz`;
 }
 
-function timeLabelForSlot(i: number) {
-  const start = i * 2;
-  const end = start + 2;
-  return `${start}–${end}s`;
+/** Text fields and menus, where keys type rather than play or trigger shortcuts. */
+function isTypingTarget(target: EventTarget | null) {
+  return (
+    target instanceof HTMLTextAreaElement ||
+    target instanceof HTMLSelectElement ||
+    (target instanceof HTMLInputElement && !["range", "checkbox", "radio", "button"].includes(target.type)) ||
+    (target instanceof HTMLElement && target.isContentEditable)
+  );
+}
+
+function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL.
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function formatSeconds(x: number) {
+  return Number.isInteger(x) ? `${x}` : x.toFixed(2).replace(/0+$/, "");
+}
+
+function timeLabelForSlot(startSec: number, durationSec: number) {
+  return `${formatSeconds(startSec)}–${formatSeconds(startSec + durationSec)}s`;
 }
 
 type BrowserWindowWithWebkitAudio = Window & {
@@ -234,7 +531,7 @@ function BannerHeader({
   );
 }
 
-function AppBanner() {
+function AppBanner({ actions }: { actions?: ReactNode }) {
   return (
     <div className="overflow-hidden border-b">
       <div className="relative px-6 py-6 flex items-center justify-center" style={{ minHeight: "150px" }}>
@@ -277,7 +574,440 @@ function AppBanner() {
         >
           (<span style={{ color: "#ffd700" }}>M</span>)ake (<span style={{ color: "#ffd700" }}>A</span>) (<span style={{ color: "#ffd700" }}>T</span>)une (<span style={{ color: "#ffd700" }}>H</span>)ere
         </h1>
+
+        {actions && <div className="absolute top-3 right-4 flex items-center gap-2">{actions}</div>}
+      </div>
+    </div>
+  );
+}
+
+const SPECTRUM_BOX = { width: 760, height: 130, x0: 34, x1: 752, y0: 8, y1: 112 };
+const SPECTRUM_LOG_TICKS_HZ = [50, 100, 200, 500, 1000, 2000, 5000, 10_000, 20_000];
+const SPECTRUM_LINEAR_STEPS_HZ = [50, 100, 200, 500, 1000, 2000, 5000];
+const SPECTRUM_MARKER_LABELS = 10;
+
+function spectrumTicks(axis: FrequencyAxis, range: [number, number]) {
+  if (axis === "log") return SPECTRUM_LOG_TICKS_HZ;
+  const step = SPECTRUM_LINEAR_STEPS_HZ.find((s) => range[1] / s <= 8) ?? 5000;
+  return Array.from({ length: Math.floor(range[1] / step) }, (_, i) => (i + 1) * step);
+}
+
+/**
+ * Frequency-domain view of the inspector wave. While audio plays it draws a live
+ * FFT of the synth output; otherwise the theoretical harmonic amplitudes.
+ */
+function SpectrumPlot({
+  live,
+  getSpectrum,
+  harmonics,
+  amp,
+  freqHz,
+  sampleRate,
+  aliasingDemo,
+  onAliasingDemoChange,
+  filter,
+}: {
+  live: boolean;
+  /** The latest FFT of the output while `live`. */
+  getSpectrum: () => SpectrumFrame | null;
+  /** Unit-amplitude harmonic amplitudes; index 0 is the fundamental. */
+  harmonics: number[];
+  amp: number;
+  freqHz: number;
+  /** Output sample rate; harmonics above its Nyquist frequency fold back in the aliasing demo. */
+  sampleRate: number;
+  aliasingDemo: boolean;
+  /** Without it the aliasing demo cannot be switched here. */
+  onAliasingDemoChange?: (on: boolean) => void;
+  /** When set, its frequency response is drawn and the theoretical bars are shown after it. */
+  filter: Effects["filter"] | null;
+}) {
+  const [axis, setAxis] = useState<FrequencyAxis>("log");
+  const [livePath, setLivePath] = useState("");
+  const range = spectrumFrequencyRange(axis, freqHz);
+  const { x0, x1, y0, y1 } = SPECTRUM_BOX;
+  const [minDb, maxDb] = SPECTRUM_DB_RANGE;
+
+  const xFor = (hz: number) => x0 + frequencyToUnit(hz, axis, range) * (x1 - x0);
+  const yFor = (db: number) => y1 - ((clamp(db, minDb, maxDb) - minDb) / (maxDb - minDb)) * (y1 - y0);
+  const inRange = (hz: number) => hz >= range[0] && hz <= range[1];
+
+  useEffect(() => {
+    if (!live) return;
+    const liveRange = spectrumFrequencyRange(axis, freqHz);
+    let frameId = 0;
+
+    const tick = () => {
+      const frame = getSpectrum();
+      if (frame) setLivePath(makeLiveSpectrumPath({ ...frame, axis, range: liveRange, x0, x1, y0, y1 }));
+      frameId = window.requestAnimationFrame(tick);
+    };
+
+    frameId = window.requestAnimationFrame(tick);
+    return () => window.cancelAnimationFrame(frameId);
+  }, [live, axis, freqHz, getSpectrum, x0, x1, y0, y1]);
+
+  const nyquistHz = sampleRate / 2;
+  const partials = harmonics.map((amplitude, i) => ({ n: i + 1, hz: (i + 1) * freqHz, amplitude: amplitude * amp }));
+  const markers = partials.filter((marker) => marker.hz <= nyquistHz && inRange(marker.hz));
+  // Naive oscillators play every harmonic; those above Nyquist come back at their alias.
+  const aliases = aliasingDemo
+    ? partials
+        .filter((marker) => marker.hz > nyquistHz && amplitudeToDb(marker.amplitude) > minDb)
+        .map((marker) => ({ ...marker, hz: aliasFrequency(marker.hz, sampleRate) }))
+        .filter((marker) => inRange(marker.hz))
+    : [];
+
+  // The filter's gain in dB sits on the same axis: 0 dB (unity) is the 0 dB grid line.
+  const filterGain = (hz: number) => (filter ? filterResponse(filter, hz, sampleRate) : 1);
+  let filterPath = "";
+  if (filter) {
+    for (let x = x0; x <= x1; x += 2) {
+      const hz = unitToFrequency((x - x0) / (x1 - x0), axis, range);
+      filterPath += `${filterPath ? "L" : "M"}${x} ${yFor(amplitudeToDb(filterGain(hz))).toFixed(1)} `;
+    }
+  }
+
+  // Label the first few harmonics, skipping any that would overlap on a crowded (log) axis.
+  let lastLabelX = -Infinity;
+  const labelled = new Set<number>();
+  for (const marker of markers) {
+    if (marker.n > SPECTRUM_MARKER_LABELS) break;
+    const x = xFor(marker.hz);
+    if (x - lastLabelX < 16) continue;
+    labelled.add(marker.n);
+    lastLabelX = x;
+  }
+
+  return (
+    <div className="mt-3 rounded-xl bg-white border overflow-hidden flex flex-col" style={{ height: "150px" }}>
+      <div className="px-3 pt-2 flex items-center justify-between gap-2">
+        <span className="text-xs text-slate-500">
+          spectrum · {live ? "live FFT of the output" : "theoretical harmonics"} · markers at multiples of {formatHz(freqHz)}
+          {filter && <span className="text-amber-700"> · amber: filter response</span>}
+          {aliasingDemo && <span className="text-red-700"> · red: harmonics above {formatHz(nyquistHz)} folded back</span>}
+        </span>
+        <div className="flex items-center gap-1 shrink-0" role="group" aria-label="Frequency axis">
+          {onAliasingDemoChange && (
+            <button
+              type="button"
+              onClick={() => onAliasingDemoChange(!aliasingDemo)}
+              aria-pressed={aliasingDemo}
+              title="Play naive square, saw and triangle oscillators, and show where their harmonics above Nyquist fold back"
+              className={
+                "rounded-xl border px-2 py-1 text-xs " +
+                (aliasingDemo ? "bg-red-50 text-red-700" : "bg-white hover:bg-slate-50")
+              }
+            >
+              Aliasing demo
+            </button>
+          )}
+          {(["log", "linear"] as const).map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setAxis(option)}
+              aria-pressed={axis === option}
+              className={
+                "rounded-xl border px-2 py-1 text-xs " +
+                (axis === option ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+              }
+            >
+              {option === "log" ? "Log" : "Linear"}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${SPECTRUM_BOX.width} ${SPECTRUM_BOX.height}`}
+        className="w-full flex-1 min-h-0 block"
+        preserveAspectRatio="none"
+        aria-label="Spectrum plot"
+      >
+        {[0, -20, -40, -60].map((db) => (
+          <g key={db}>
+            <line x1={x0} y1={yFor(db)} x2={x1} y2={yFor(db)} stroke="rgb(241,245,249)" strokeWidth="1" />
+            <text x={x0 - 4} y={yFor(db) + 4} fontSize="10" textAnchor="end" fill="rgb(148,163,184)">
+              {db}
+            </text>
+          </g>
+        ))}
+        <text x={x0 - 4} y={y0 + 2} fontSize="10" textAnchor="end" fill="rgb(148,163,184)">dB</text>
+
+        {spectrumTicks(axis, range)
+          .filter(inRange)
+          .map((hz) => (
+            <text key={hz} x={xFor(hz)} y={SPECTRUM_BOX.height - 4} fontSize="10" textAnchor="middle" fill="rgb(148,163,184)">
+              {hz >= 1000 ? `${hz / 1000}k` : hz}
+            </text>
+          ))}
+        <line x1={x0} y1={y1} x2={x1} y2={y1} stroke="rgb(226,232,240)" strokeWidth="1" />
+
+        {/* harmonic markers */}
+        {markers.map((marker) => (
+          <g key={marker.n}>
+            <line
+              x1={xFor(marker.hz)}
+              y1={y0}
+              x2={xFor(marker.hz)}
+              y2={y1}
+              stroke="rgb(203,213,225)"
+              strokeWidth="1"
+              strokeDasharray="3 3"
+            />
+            {labelled.has(marker.n) && (
+              <text x={xFor(marker.hz) + 3} y={y0 + 8} fontSize="10" fill="rgb(100,116,139)">
+                {marker.n === 1 ? "f" : `${marker.n}f`}
+              </text>
+            )}
+          </g>
+        ))}
+
+        {/* folded-back partials (aliasing demo) */}
+        {aliases.map((marker) =>
+          live ? (
+            <line
+              key={marker.n}
+              x1={xFor(marker.hz)}
+              y1={y0}
+              x2={xFor(marker.hz)}
+              y2={y1}
+              stroke="rgb(252,165,165)"
+              strokeWidth="1"
+              strokeDasharray="3 3"
+            />
+          ) : (
+            <line
+              key={marker.n}
+              x1={xFor(marker.hz)}
+              y1={y1}
+              x2={xFor(marker.hz)}
+              y2={yFor(amplitudeToDb(marker.amplitude))}
+              stroke="rgb(220,38,38)"
+              strokeWidth="2"
+            />
+          )
+        )}
+
+        {live ? (
+          <path d={livePath} fill="none" stroke="rgb(37,99,235)" strokeWidth="1.5" />
+        ) : (
+          markers
+            .filter((marker) => amplitudeToDb(marker.amplitude) > minDb)
+            .map((marker) => (
+              <g key={marker.n}>
+                {filter && (
+                  <line
+                    x1={xFor(marker.hz)}
+                    y1={y1}
+                    x2={xFor(marker.hz)}
+                    y2={yFor(amplitudeToDb(marker.amplitude))}
+                    stroke="rgb(203,213,225)"
+                    strokeWidth="3"
+                  />
+                )}
+                <line
+                  x1={xFor(marker.hz)}
+                  y1={y1}
+                  x2={xFor(marker.hz)}
+                  y2={yFor(amplitudeToDb(marker.amplitude * filterGain(marker.hz)))}
+                  stroke="rgb(15,23,42)"
+                  strokeWidth="3"
+                />
+              </g>
+            ))
+        )}
+
+        {filter && <path d={filterPath.trim()} fill="none" stroke="rgb(217,119,6)" strokeWidth="2" />}
+      </svg>
+    </div>
+  );
+}
+
+const [CUTOFF_MIN_HZ, CUTOFF_MAX_HZ] = EFFECT_LIMITS.cutoffHz;
+
+function cutoffToSlider(cutoffHz: number) {
+  return Math.log(cutoffHz / CUTOFF_MIN_HZ) / Math.log(CUTOFF_MAX_HZ / CUTOFF_MIN_HZ);
+}
+
+function sliderToCutoff(value: number) {
+  return Math.round(CUTOFF_MIN_HZ * Math.pow(CUTOFF_MAX_HZ / CUTOFF_MIN_HZ, value));
+}
+
+/**
+ * Piano keys for whole MIDI notes `notes`, played with mouse or touch. Sliding across
+ * keys with the button down plays each in turn. Keys show their computer key.
+ */
+function PianoKeyboard({
+  notes,
+  octave,
+  held,
+  onNoteOn,
+  onNoteOff,
+}: {
+  notes: number[];
+  octave: number;
+  held: number[];
+  onNoteOn: (midi: number) => void;
+  onNoteOff: (midi: number) => void;
+}) {
+  const whiteWidth = 30;
+  const blackWidth = 18;
+  const whites = notes.filter((midi) => !isBlackKey(midi));
+  const blacks = notes.filter(isBlackKey);
+
+  const keyProps = (midi: number) => ({
+    onPointerDown: (e: ReactPointerEvent<SVGRectElement>) => {
+      // Touch captures the pointer to the first key; release it so sliding reaches the others.
+      if (e.currentTarget.hasPointerCapture(e.pointerId)) e.currentTarget.releasePointerCapture(e.pointerId);
+      onNoteOn(midi);
+    },
+    onPointerEnter: (e: ReactPointerEvent<SVGRectElement>) => {
+      if (e.buttons & 1) onNoteOn(midi);
+    },
+    onPointerUp: () => onNoteOff(midi),
+    onPointerLeave: () => onNoteOff(midi),
+    onPointerCancel: () => onNoteOff(midi),
+    style: { cursor: "pointer", touchAction: "none" as const },
+  });
+  const blackX = (midi: number) => whites.indexOf(midi - 1) * whiteWidth + whiteWidth - blackWidth / 2;
+
+  return (
+    <svg
+      viewBox={`0 0 ${whites.length * whiteWidth} 100`}
+      className="w-full block select-none"
+      style={{ height: "100px", touchAction: "none" }}
+      preserveAspectRatio="none"
+      aria-label="Piano keyboard"
+    >
+      {whites.map((midi, i) => {
+        const letter = qwertyLabel(midi, octave);
+        return (
+          <g key={midi}>
+            <rect
+              x={i * whiteWidth}
+              y="0"
+              width={whiteWidth}
+              height="100"
+              fill={held.includes(midi) ? "rgb(191,219,254)" : "white"}
+              stroke="rgb(148,163,184)"
+              strokeWidth="1"
+              {...keyProps(midi)}
+            />
+            <text
+              x={i * whiteWidth + whiteWidth / 2}
+              y="92"
+              fontSize="9"
+              textAnchor="middle"
+              fill="rgb(100,116,139)"
+              pointerEvents="none"
+            >
+              {midi % 12 === 0 ? noteName(midi) : letter}
+            </text>
+            {midi % 12 === 0 && letter && (
+              <text
+                x={i * whiteWidth + whiteWidth / 2}
+                y="80"
+                fontSize="9"
+                textAnchor="middle"
+                fill="rgb(148,163,184)"
+                pointerEvents="none"
+              >
+                {letter}
+              </text>
+            )}
+          </g>
+        );
+      })}
+      {blacks.map((midi) => {
+        const letter = qwertyLabel(midi, octave);
+        return (
+          <g key={midi}>
+            <rect
+              x={blackX(midi)}
+              y="0"
+              width={blackWidth}
+              height="62"
+              fill={held.includes(midi) ? "rgb(37,99,235)" : "rgb(15,23,42)"}
+              {...keyProps(midi)}
+            />
+            {letter && (
+              <text
+                x={blackX(midi) + blackWidth / 2}
+                y="55"
+                fontSize="8"
+                textAnchor="middle"
+                fill="white"
+                pointerEvents="none"
+              >
+                {letter}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/** Name of one effect in the Effects or Modulation card, with its bypass switch. */
+function EffectHeader({
+  name,
+  enabled,
+  onToggle,
+  offLabel = "Bypassed",
+}: {
+  name: string;
+  enabled: boolean;
+  onToggle: () => void;
+  offLabel?: string;
+}) {
+  return (
+    <div className="mt-4 flex items-center justify-between">
+      <div className="text-xs font-semibold text-slate-700">{name}</div>
+      <button
+        type="button"
+        onClick={onToggle}
+        aria-pressed={enabled}
+        aria-label={`${name} ${enabled ? "on" : offLabel.toLowerCase()}`}
+        className={
+          "rounded-xl border px-2 py-1 text-xs " + (enabled ? "bg-slate-900 text-white" : "bg-white text-slate-500 hover:bg-slate-50")
+        }
+      >
+        {enabled ? "On" : offLabel}
+      </button>
+    </div>
+  );
+}
+
+function EffectSlider(props: {
+  effect: string;
+  label: string;
+  display: string;
+  value: number;
+  min: number;
+  max: number;
+  step: number;
+  onChange: (value: number) => void;
+}) {
+  const { effect, label, display, value, min, max, step, onChange } = props;
+  return (
+    <div className="mt-2">
+      <div className="flex items-center justify-between text-xs text-slate-600">
+        <span>{label}</span>
+        <span className="tabular-nums">{display}</span>
       </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="w-full"
+        aria-label={`${effect} ${label.toLowerCase()}`}
+      />
     </div>
   );
 }
@@ -287,13 +1017,82 @@ function AppBanner() {
 // ----------------------------
 
 export default function SoundWavesPresentationMockup() {
-  const [waveType, setWaveType] = useState<WaveType>("sine");
-  const [amp, setAmp] = useState(1.0);
-  const [freqHz, setFreqHz] = useState(220);
-  const [customModes, setCustomModes] = useState<number[]>(() => [...DEFAULT_CUSTOM_MODES]);
-  const [customDraftModes, setCustomDraftModes] = useState<number[]>(() => [...DEFAULT_CUSTOM_MODES]);
+  // The last autosaved session (if any) seeds the initial state below.
+  const [restored] = useState(loadAutosave);
+  const [waveType, setWaveType] = useState<WaveType>(restored?.session.waveType ?? "sine");
+  const [amp, setAmp] = useState(restored?.session.amp ?? 1.0);
+  const [freqHz, setFreqHz] = useState(restored?.session.freqHz ?? 220);
+  const [customModes, setCustomModes] = useState<CustomModes>(() => restored?.session.customModes ?? DEFAULT_CUSTOM_MODES);
+  const [drawnWave, setDrawnWave] = useState<number[]>(() => restored?.session.drawnWave ?? DEFAULT_DRAWN_WAVE);
+  const [envelope, setEnvelope] = useState<Envelope>(restored?.session.envelope ?? DEFAULT_ENVELOPE);
+  const [effects, setEffects] = useState<Effects>(restored?.session.effects ?? DEFAULT_EFFECTS);
+  const [modulation, setModulation] = useState<Modulation>(restored?.session.modulation ?? DEFAULT_MODULATION);
+  const [glide, setGlide] = useState<Glide>(restored?.session.glide ?? DEFAULT_GLIDE);
+  const [tempo, setTempo] = useState<Tempo>(restored?.session.tempo ?? DEFAULT_TEMPO);
+  const [customPresets, setCustomPresets] = useState<CustomPreset[]>(() => restored?.session.customPresets ?? []);
+  // The preset the inspector's custom mix was picked from; ids are per page load, so it is not saved.
+  const [selectedPresetId, setSelectedPresetId] = useState<string | null>(null);
+  const selectedPreset =
+    waveType === "custom" ? (customPresets.find((preset) => preset.id === selectedPresetId) ?? null) : null;
+  const glidePreview = useMemo(() => glideSweep(glide, freqHz, GLIDE_PREVIEW_SECONDS), [glide, freqHz]);
+  // Interference lab; like the aliasing demo, it is not saved with the project.
+  const [secondOsc, setSecondOsc] = useState<SecondOscillator>(DEFAULT_SECOND_OSCILLATOR);
+  // Tuning the frequency control snaps to, and the interval the comparison plays in two tunings. Not saved.
+  const [tuning, setTuning] = useState<Tuning>(DEFAULT_TUNING);
+  const [compareInterval, setCompareInterval] = useState(7);
+  const [compareSystems, setCompareSystems] = useState<[TuningSystem, TuningSystem]>(["equal", "just"]);
+  // Lesson mode: the running lesson and its current step, which can hide or lock controls.
+  const [lesson, setLesson] = useState<{ lesson: Lesson; stepIndex: number } | null>(null);
+  const lessonStep = lesson ? lesson.lesson.steps[lesson.stepIndex] : null;
+  const controlState = (control: LessonControl) => lessonControlState(lessonStep, control);
+  // Props for a `lesson-gate` fieldset around a part of the screen a lesson step can hide or lock.
+  // Locking disables every control inside at once, without changing the layout.
+  const lessonGate = (control: LessonControl) => {
+    const state = controlState(control);
+    return { disabled: state === "locked", hidden: state === "hidden" };
+  };
+  const keyboardState = controlState("keyboard");
+  // What the modified wave plays besides its shape, pitch and level. The lab compares two plain
+  // oscillators, so glide and modulation pause while it is on.
+  const modifiedVoiceParams = useMemo<SynthMessageParams>(
+    () =>
+      secondOsc.enabled
+        ? {
+            modulation: DEFAULT_MODULATION,
+            sweep: null,
+            second: {
+              waveType: secondOsc.waveType,
+              freqHz: secondOsc.freqHz,
+              amp: secondOsc.amp,
+              phaseDeg: secondOsc.phaseDeg,
+              stereoXY: secondOsc.stereoXY,
+            },
+          }
+        : { modulation, sweep: glidePreview, second: null },
+    [secondOsc, modulation, glidePreview]
+  );
+  // In stereo XY mode the timeline, played or exported, keeps the lab's second oscillator on the right.
+  const timelineSecond = secondOsc.enabled && secondOsc.stereoXY ? (modifiedVoiceParams.second ?? null) : null;
+  const [customDraftModes, setCustomDraftModes] = useState<CustomModes>(DEFAULT_CUSTOM_MODES);
+  // Freehand drawing in the applet: one value per wavetable column, null where nothing was drawn.
+  const [drawSketch, setDrawSketch] = useState<Array<number | null>>(() => Array(WAVETABLE_SIZE).fill(null));
+  const drawnDraft = useMemo(() => wavetableFromSketch(drawSketch), [drawSketch]);
+  const sketchPointerRef = useRef<{ column: number; value: number } | null>(null);
   const [customEditorOpen, setCustomEditorOpen] = useState(false);
+  /** The preset the editor was opened on, which "Update" overwrites; null for the inspector's own mix. */
+  const [editingPresetId, setEditingPresetId] = useState<string | null>(null);
+  const [presetNameDraft, setPresetNameDraft] = useState(DEFAULT_PRESET_NAME);
   const [showModeUnderlay, setShowModeUnderlay] = useState(false);
+  /** Set when the editor was opened from "Approximate with harmonics": the wave being approximated. */
+  const [customApproximation, setCustomApproximation] = useState<{
+    type: WaveType;
+    /** The drawing, when approximating the Drawn wave. */
+    wavetable?: number[];
+    /** Constant offset of the original; the harmonic basis has no constant term. */
+    mean: number;
+    /** Factor from the original's units to slider units. */
+    scale: number;
+  } | null>(null);
 
   // Amani and Jacob are cool.
   // ----------------------------
@@ -303,17 +1102,38 @@ export default function SoundWavesPresentationMockup() {
   const workletReadyRef = useRef<Promise<void> | null>(null);
   const workletNodeRef = useRef<AudioWorkletNode | null>(null);
   const masterGainRef = useRef<GainNode | null>(null);
+  const masterBusRef = useRef<MasterBus | null>(null);
+  const analyserRef = useRef<AnalyserNode | null>(null);
+  const effectsChainRef = useRef<EffectsChain | null>(null);
+  const trackNodesRef = useRef<Array<{ trackId: string; node: AudioWorkletNode; effects: EffectsChain; gain: GainNode }>>(
+    []
+  );
+  const metronomeNodeRef = useRef<AudioWorkletNode | null>(null);
   const stopTimerRef = useRef<number | null>(null);
+  // A stop still fading out: the timer and the teardown it will run.
+  const fadeOutRef = useRef<{ timer: number; finish: () => void } | null>(null);
   const rafRef = useRef<number | null>(null);
-  const timelineTimersRef = useRef<number[]>([]);
   const timelineRafRef = useRef<number | null>(null);
   const timelineStartRef = useRef<number | null>(null);
-  const pendingParamsRef = useRef<{ freqHz: number; amp: number; waveType: WaveType; customModes: number[] } | null>(null);
-
-  const [playing, setPlaying] = useState<null | "base" | "modified" | "inspectorSample" | "timeline" | "customDraft" | "tilePreview">(null);
-  const [playingTileType, setPlayingTileType] = useState<WaveType | null>(null);
+  const pendingParamsRef = useRef<SynthMessageParams | null>(null);
+  // Piano: keys held down (newest last), the one sounding, and whether the voice is running for it.
+  const heldKeysRef = useRef<number[]>([]);
+  const soundingKeyRef = useRef<number | null>(null);
+  const keyboardLiveRef = useRef(false);
+  const recordingRef = useRef<{ startMs: number; notes: RecordedNote[] } | null>(null);
+
+  const [playing, setPlaying] = useState<PlaybackKind | null>(null);
+  /** The wave type or preset id of the tile being previewed. */
+  const [playingTileKey, setPlayingTileKey] = useState<string | null>(null);
   const [timelineProgress, setTimelineProgress] = useState<number | null>(null);
   const [inspectorAnimationProgressSec, setInspectorAnimationProgressSec] = useState(0);
+  // Aliasing demo: naive oscillators everywhere (live, timeline, export) until switched off. Not saved.
+  const [aliasingDemo, setAliasingDemo] = useState(false);
+  const [keyboardOctave, setKeyboardOctave] = useState(DEFAULT_KEYBOARD_OCTAVE);
+  const [heldKeys, setHeldKeys] = useState<number[]>([]);
+  const [recording, setRecording] = useState(false);
+  // Until audio has started the real rate is unknown; most devices run at 48 kHz.
+  const [outputSampleRate, setOutputSampleRate] = useState(48_000);
 
   const ensureAudioContext = useCallback(async () => {
     let ctx = audioCtxRef.current;
@@ -325,6 +1145,7 @@ export default function SoundWavesPresentationMockup() {
       }
       ctx = new Ctx();
       audioCtxRef.current = ctx;
+      setOutputSampleRate(ctx.sampleRate);
     }
     if (ctx.state === "suspended") {
       await ctx.resume();
@@ -334,186 +1155,64 @@ export default function SoundWavesPresentationMockup() {
 
   const ensureWorklet = useCallback(async (ctx: AudioContext) => {
     if (!workletReadyRef.current) {
-      // Inline AudioWorklet (self-contained) to maintain continuous phase and smooth parameter updates.
-      const workletCode = `
-        const TAU = Math.PI * 2;
-
-        function clamp(x, lo, hi) {
-          return Math.max(lo, Math.min(hi, x));
-        }
-
-        class WaveSynthProcessor extends AudioWorkletProcessor {
-          constructor() {
-            super();
-
-            // Continuous phase
-            this.phase = 0;
-
-            // Smoothed params
-            this.currentFreq = 220;
-            this.targetFreq = 220;
-            this.currentAmp = 0;
-            this.targetAmp = 0;
-
-            // Wave crossfade (to reduce clicks on wave shape change)
-            this.waveA = 'sine';
-            this.waveB = 'sine';
-            this.mix = 1; // 1 -> fully waveB
-
-            this.currentModes = Array(10).fill(0);
-            this.currentModes[0] = 1;
-            this.targetModes = Array(10).fill(0);
-            this.targetModes[0] = 1;
-
-            this.port.onmessage = (e) => {
-              const m = (e && e.data) ? e.data : {};
-              if (m.type !== 'params') return;
-
-              if (typeof m.freqHz === 'number' && isFinite(m.freqHz)) {
-                this.targetFreq = Math.max(0, m.freqHz);
-              }
-
-              if (typeof m.amp === 'number' && isFinite(m.amp)) {
-                // UI amp range is [0,2]. Convert to safe gain in [0,0.65].
-                const a = clamp(m.amp, 0, 2);
-                this.targetAmp = 0.65 * (a / 2);
-              }
-
-              if (typeof m.waveType === 'string') {
-                const w = m.waveType;
-                if (w !== this.waveB) {
-                  this.waveA = this.waveB;
-                  this.waveB = w;
-                  this.mix = 0;
-                }
-              }
-
-              if (Array.isArray(m.customModes)) {
-                for (let i = 0; i < 10; i++) {
-                  const v = Number(m.customModes[i] ?? 0);
-                  this.targetModes[i] = isFinite(v) ? v : 0;
-                }
-              }
-            };
-          }
-
-          _sampleWave(wave, phase) {
-            switch (wave) {
-              case 'sine':
-                return Math.sin(phase);
-              case 'square':
-                return Math.sin(phase) >= 0 ? 1 : -1;
-              case 'triangle':
-                return (2 / Math.PI) * Math.asin(Math.sin(phase));
-              case 'saw': {
-                // phase in [0, TAU): map to [-1,1)
-                const x = phase / TAU;
-                return 2 * x - 1;
-              }
-              case 'humps': {
-                const s = Math.abs(Math.sin(phase * 0.5));
-                return 2 * Math.pow(s, 0.8) - 1;
-              }
-              case 'custom': {
-                let sum = 0;
-                for (let i = 0; i < 10; i++) {
-                  sum += this.currentModes[i] * Math.sin(phase * (i + 1));
-                }
-                return Math.max(-1, Math.min(1, sum));
-              }
-              default:
-                return Math.sin(phase);
-            }
-          }
-
-          process(inputs, outputs) {
-            const out = outputs[0][0];
-            const sr = sampleRate;
-
-            // Time constants (seconds). Small but nonzero to avoid clicks.
-            const tcFreq = 0.010;
-            const tcAmp = 0.006;
-            const tcWave = 0.015;
-
-            const kFreq = 1 - Math.exp(-1 / (sr * tcFreq));
-            const kAmp = 1 - Math.exp(-1 / (sr * tcAmp));
-            const kWave = 1 - Math.exp(-1 / (sr * tcWave));
-
-            for (let i = 0; i < out.length; i++) {
-              // Smooth parameters
-              this.currentFreq += (this.targetFreq - this.currentFreq) * kFreq;
-              this.currentAmp += (this.targetAmp - this.currentAmp) * kAmp;
-              this.mix += (1 - this.mix) * kWave;
-              for (let j = 0; j < 10; j++) {
-                this.currentModes[j] += (this.targetModes[j] - this.currentModes[j]) * kWave;
-              }
-
-              // Continuous phase advance
-              const dphi = TAU * (this.currentFreq / sr);
-              this.phase += dphi;
-              if (this.phase >= TAU) {
-                this.phase -= TAU * Math.floor(this.phase / TAU);
-              }
-
-              // Crossfade between waveA and waveB during shape changes
-              const a = this._sampleWave(this.waveA, this.phase);
-              const b = this._sampleWave(this.waveB, this.phase);
-              const s = (1 - this.mix) * a + this.mix * b;
-
-              out[i] = s * this.currentAmp;
-            }
-
-            return true;
-          }
-        }
-
-        registerProcessor('wave-synth', WaveSynthProcessor);
-      `;
-
-      const blob = new Blob([workletCode], { type: "application/javascript" });
-      const url = URL.createObjectURL(blob);
-      workletReadyRef.current = ctx.audioWorklet.addModule(url).finally(() => {
-        try {
-          URL.revokeObjectURL(url);
-        } catch {
-          // ignore
-        }
-      });
+      workletReadyRef.current = addWaveSynthModule(ctx);
     }
 
     await workletReadyRef.current;
   }, []);
 
+  /** Tears down a stop that is still fading out now, so its timer cannot tear down what plays next. */
+  const finishFadeOut = useCallback(() => {
+    const fadeOut = fadeOutRef.current;
+    if (!fadeOut) return;
+    window.clearTimeout(fadeOut.timer);
+    fadeOut.finish();
+  }, []);
+
   const ensureSynthNode = useCallback(async () => {
     const ctx = await ensureAudioContext();
     await ensureWorklet(ctx);
+    finishFadeOut();
 
     if (!workletNodeRef.current) {
-      const node = new AudioWorkletNode(ctx, "wave-synth", {
-        numberOfInputs: 0,
-        numberOfOutputs: 1,
-        outputChannelCount: [1],
-      });
+      // Stereo, so the interference lab can put its second oscillator on the right.
+      const node = createWaveSynthNode(ctx, undefined, { bandLimited: !aliasingDemo, stereo: true });
 
       const g = ctx.createGain();
       // Start silent; ramp up when playback begins.
       g.gain.setValueAtTime(0.0001, ctx.currentTime);
 
-      node.connect(g);
-      g.connect(ctx.destination);
+      // The analyser taps everything that plays (before the limiter) for the spectrum view.
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 8192;
+      analyser.smoothingTimeConstant = 0.6;
+
+      // Inspector effects sit between the voice and the fade gain; see the effect that applies them.
+      const effects = createEffectsChain(ctx);
+
+      // Everything that plays is summed through the master bus (headroom + limiter).
+      const bus = createMasterBus(ctx);
+      node.connect(effects.input);
+      effects.output.connect(g);
+      g.connect(analyser);
+      analyser.connect(bus.input);
+      bus.output.connect(ctx.destination);
 
       workletNodeRef.current = node;
+      effectsChainRef.current = effects;
       masterGainRef.current = g;
+      analyserRef.current = analyser;
+      masterBusRef.current = bus;
     }
 
     return ctx;
-  }, [ensureAudioContext, ensureWorklet]);
+  }, [aliasingDemo, ensureAudioContext, ensureWorklet, finishFadeOut]);
 
-  const postParamsNow = useCallback((p: { freqHz: number; amp: number; waveType: WaveType; customModes: number[] }) => {
+  const postParamsNow = useCallback((p: SynthMessageParams) => {
     workletNodeRef.current?.port.postMessage({ type: "params", ...p });
   }, []);
 
-  const scheduleParams = useCallback((p: { freqHz: number; amp: number; waveType: WaveType; customModes: number[] }) => {
+  const scheduleParams = useCallback((p: SynthMessageParams) => {
     pendingParamsRef.current = p;
     if (rafRef.current != null) return;
 
@@ -531,15 +1230,14 @@ export default function SoundWavesPresentationMockup() {
       rafRef.current = null;
     }
     pendingParamsRef.current = null;
+    keyboardLiveRef.current = false;
+    soundingKeyRef.current = null;
 
     if (stopTimerRef.current != null) {
       window.clearTimeout(stopTimerRef.current);
       stopTimerRef.current = null;
     }
 
-    timelineTimersRef.current.forEach((timer) => window.clearTimeout(timer));
-    timelineTimersRef.current = [];
-
     if (timelineRafRef.current != null) {
       window.cancelAnimationFrame(timelineRafRef.current);
       timelineRafRef.current = null;
@@ -547,6 +1245,17 @@ export default function SoundWavesPresentationMockup() {
     timelineStartRef.current = null;
     setTimelineProgress(null);
 
+    // Already fading out, and nothing has started since (starting ends the fade first).
+    if (fadeOutRef.current) {
+      if (immediate) finishFadeOut();
+      return;
+    }
+
+    const trackNodes = trackNodesRef.current;
+    trackNodesRef.current = [];
+    const metronome = metronomeNodeRef.current;
+    metronomeNodeRef.current = null;
+
     const ctx = audioCtxRef.current;
     const g = masterGainRef.current;
 
@@ -562,20 +1271,38 @@ export default function SoundWavesPresentationMockup() {
     }
 
     const finishStop = () => {
+      fadeOutRef.current = null;
       try {
         workletNodeRef.current?.disconnect();
+        effectsChainRef.current?.disconnect();
       } catch {
         // ignore
       }
       try {
         masterGainRef.current?.disconnect();
+        analyserRef.current?.disconnect();
+        masterBusRef.current?.input.disconnect();
+        masterBusRef.current?.output.disconnect();
       } catch {
         // ignore
       }
+      trackNodes.forEach(({ node, effects, gain }) => {
+        try {
+          node.disconnect();
+          effects.disconnect();
+          gain.disconnect();
+        } catch {
+          // ignore
+        }
+      });
+      metronome?.disconnect();
       workletNodeRef.current = null;
+      effectsChainRef.current = null;
       masterGainRef.current = null;
+      analyserRef.current = null;
+      masterBusRef.current = null;
       setPlaying(null);
-      setPlayingTileType(null);
+      setPlayingTileKey(null);
     };
 
     if (immediate) {
@@ -584,8 +1311,8 @@ export default function SoundWavesPresentationMockup() {
     }
 
     // Disconnect shortly after fade.
-    window.setTimeout(finishStop, PLAYBACK_FADE_SECONDS * 1000 + 20);
-  }, []);
+    fadeOutRef.current = { timer: window.setTimeout(finishStop, PLAYBACK_FADE_SECONDS * 1000 + 20), finish: finishStop };
+  }, [finishFadeOut]);
 
   const playVariant = useCallback(
     async (variant: "base" | "modified") => {
@@ -602,8 +1329,8 @@ export default function SoundWavesPresentationMockup() {
       // Prepare params for the chosen variant.
       const params =
         variant === "base"
-          ? { freqHz: BASE_FREQUENCY_HZ, amp: 1.0, waveType, customModes }
-          : { freqHz, amp, waveType, customModes };
+          ? { freqHz: BASE_FREQUENCY_HZ, amp: 1.0, waveType, customModes, wavetable: drawnWave }
+          : { freqHz, amp, waveType, customModes, wavetable: drawnWave, ...modifiedVoiceParams };
 
       // Switching between base/modified: quick gain dip to mask abrupt change.
       if (g) {
@@ -623,12 +1350,34 @@ export default function SoundWavesPresentationMockup() {
         stopPlayback();
       }, 2000);
     },
-    [amp, customModes, ensureSynthNode, freqHz, playing, postParamsNow, stopPlayback, waveType]
+    [
+      amp,
+      customModes,
+      drawnWave,
+      ensureSynthNode,
+      freqHz,
+      modifiedVoiceParams,
+      playing,
+      postParamsNow,
+      stopPlayback,
+      waveType,
+    ]
   );
 
+  // Note-off for the inspector sample: let the envelope release ring out, then stop.
+  const releaseInspectorSample = useCallback(() => {
+    if (stopTimerRef.current != null) {
+      window.clearTimeout(stopTimerRef.current);
+    }
+    postParamsNow({ gate: false });
+    stopTimerRef.current = window.setTimeout(() => {
+      stopPlayback();
+    }, envelope.releaseSec * 1000);
+  }, [envelope.releaseSec, postParamsNow, stopPlayback]);
+
   const playInspectorSample = useCallback(async () => {
     if (playing === "inspectorSample") {
-      stopPlayback(true);
+      releaseInspectorSample();
       return;
     }
 
@@ -636,7 +1385,16 @@ export default function SoundWavesPresentationMockup() {
 
     const ctx = await ensureSynthNode();
     const g = masterGainRef.current;
-    const sampleParams = { freqHz, amp, waveType, customModes };
+    const sampleParams = {
+      freqHz,
+      amp,
+      waveType,
+      customModes,
+      wavetable: drawnWave,
+      envelope,
+      ...modifiedVoiceParams,
+      gate: true,
+    };
 
     if (g) {
       const now = ctx.currentTime;
@@ -650,14 +1408,29 @@ export default function SoundWavesPresentationMockup() {
 
     setPlaying("inspectorSample");
 
-    stopTimerRef.current = window.setTimeout(() => {
-      stopPlayback();
-    }, 10_000);
-  }, [amp, customModes, ensureSynthNode, freqHz, playing, postParamsNow, stopPlayback, waveType]);
+    stopTimerRef.current = window.setTimeout(
+      releaseInspectorSample,
+      Math.max(0, 10_000 - envelope.releaseSec * 1000)
+    );
+  }, [
+    amp,
+    customModes,
+    drawnWave,
+    ensureSynthNode,
+    envelope,
+    freqHz,
+    modifiedVoiceParams,
+    playing,
+    postParamsNow,
+    releaseInspectorSample,
+    stopPlayback,
+    waveType,
+  ]);
 
   const playWaveTilePreview = useCallback(
-    async (type: WaveType) => {
-      if (playing === "tilePreview" && playingTileType === type) {
+    async (type: WaveType, preset?: CustomPreset) => {
+      const key = preset?.id ?? type;
+      if (playing === "tilePreview" && playingTileKey === key) {
         stopPlayback(true);
         return;
       }
@@ -666,86 +1439,355 @@ export default function SoundWavesPresentationMockup() {
 
       const ctx = await ensureSynthNode();
       const g = masterGainRef.current;
-      const previewModes = type === "custom" ? customModes : [...DEFAULT_CUSTOM_MODES];
+      const previewModes = preset?.modes ?? (type === "custom" ? customModes : DEFAULT_CUSTOM_MODES);
 
       if (g) {
         const now = ctx.currentTime;
         g.gain.cancelScheduledValues(now);
         g.gain.setValueAtTime(0.0001, now);
-        postParamsNow({ freqHz, amp: 1.0, waveType: type, customModes: previewModes });
+        postParamsNow({ freqHz, amp: 1.0, waveType: type, customModes: previewModes, wavetable: drawnWave });
         g.gain.linearRampToValueAtTime(1.0, now + PLAYBACK_FADE_SECONDS);
       } else {
-        postParamsNow({ freqHz, amp: 1.0, waveType: type, customModes: previewModes });
+        postParamsNow({ freqHz, amp: 1.0, waveType: type, customModes: previewModes, wavetable: drawnWave });
       }
 
       setPlaying("tilePreview");
-      setPlayingTileType(type);
+      setPlayingTileKey(key);
 
       stopTimerRef.current = window.setTimeout(() => {
         stopPlayback();
       }, 2000);
     },
-    [customModes, ensureSynthNode, freqHz, playing, playingTileType, postParamsNow, stopPlayback]
+    [customModes, drawnWave, ensureSynthNode, freqHz, playing, playingTileKey, postParamsNow, stopPlayback]
   );
 
-  const [slots, setSlots] = useState<Slot[]>([...Array(5)].map(() => ({ kind: "empty" })));
-  const hasTimelineContent = useMemo(() => slots.some((slot) => slot.kind === "wave"), [slots]);
-  const activeTimelineSlot =
-    playing === "timeline" && timelineProgress != null ? Math.min(4, Math.floor(timelineProgress * 5)) : null;
-  const slotProgressWithinActive =
-    playing === "timeline" && timelineProgress != null ? (timelineProgress * 5) % 1 : 0;
-  const timelineProgressPct = (timelineProgress ?? 0) * 100;
-
-  useEffect(() => {
-    if (playing !== "base" && playing !== "modified" && playing !== "inspectorSample") return;
-
-    const start = performance.now();
-    let animationFrameId: number;
-
-    const tick = (now: number) => {
-      const elapsedSec = (now - start) / 1000;
-      setInspectorAnimationProgressSec(elapsedSec);
-      animationFrameId = window.requestAnimationFrame(tick);
-    };
-
-    animationFrameId = window.requestAnimationFrame(tick);
-
-    return () => {
-      window.cancelAnimationFrame(animationFrameId);
-    };
-  }, [playing]);
+  // The interval up from the current frequency in each of the two tunings in turn: the two notes one after
+  // the other, then together, where an interval off its simple ratio beats.
+  const playTuningCompare = useCallback(async () => {
+    if (playing === "tuningCompare") {
+      stopPlayback(true);
+      return;
+    }
 
-  const playTimeline = useCallback(async () => {
     stopPlayback(true);
 
     const ctx = await ensureSynthNode();
+    const node = workletNodeRef.current;
     const g = masterGainRef.current;
-    const timelineLengthMs = 10_000;
-    const slotLengthMs = 2_000;
+    if (!node || !g) return;
 
-    const slotParams = slots.map((slot) =>
-      slot.kind === "wave"
-        ? { freqHz: slot.freqHz, amp: slot.amp, waveType: slot.type, customModes: slot.customModes ?? customModes }
-        : { freqHz: 220, amp: 0, waveType: "sine" as WaveType, customModes }
-    );
+    const voice = { amp, waveType, customModes, wavetable: drawnWave, modulation: DEFAULT_MODULATION, sweep: null };
+    const note = (hz: number, durationSec: number, second: SynthParams["second"] = null): TimelineSegment => ({
+      params: { ...voice, freqHz: hz, second },
+      durationSec,
+      envelope: DEFAULT_ENVELOPE,
+    });
+    const segments = compareSystems.flatMap((system) => {
+      const upperHz = freqHz * intervalRatio(system, compareInterval);
+      return [
+        note(freqHz, COMPARE_NOTE_SECONDS),
+        note(upperHz, COMPARE_NOTE_SECONDS),
+        note(freqHz, 2 * COMPARE_NOTE_SECONDS, { waveType, freqHz: upperHz, amp, phaseDeg: 0, stereoXY: false }),
+        { params: { ...voice, freqHz, second: null }, durationSec: COMPARE_GAP_SECONDS },
+      ];
+    });
 
-    postParamsNow(slotParams[0]);
+    const startTime = ctx.currentTime + SCHEDULE_LOOKAHEAD_SECONDS;
+    const schedule = buildTimelineSchedule(segments, startTime);
+    node.port.onmessage = (e) => {
+      if (e.data?.type !== "ended" || workletNodeRef.current !== node) return;
+      stopPlayback(true);
+    };
+    node.port.postMessage({ type: "schedule", events: schedule.events, endTime: schedule.endTime });
+    scheduleTimelineGain(g.gain, startTime, schedule.soundingSec);
 
-    if (g) {
-      const now = ctx.currentTime;
-      g.gain.cancelScheduledValues(now);
-      g.gain.setValueAtTime(0.0001, now);
-      g.gain.linearRampToValueAtTime(1.0, now + PLAYBACK_FADE_SECONDS);
+    setPlaying("tuningCompare");
+  }, [
+    amp,
+    compareInterval,
+    compareSystems,
+    customModes,
+    drawnWave,
+    ensureSynthNode,
+    freqHz,
+    playing,
+    stopPlayback,
+    waveType,
+  ]);
+
+  // Piano note-off: the envelope releases, then the voice stops unless another key comes first.
+  const releaseKeyboardVoice = useCallback(() => {
+    soundingKeyRef.current = null;
+    postParamsNow({ gate: false });
+    if (stopTimerRef.current != null) {
+      window.clearTimeout(stopTimerRef.current);
+    }
+    stopTimerRef.current = window.setTimeout(() => {
+      stopPlayback();
+    }, envelope.releaseSec * 1000);
+  }, [envelope.releaseSec, postParamsNow, stopPlayback]);
+
+  // Piano note-on. One voice: the newest key sounds, and letting go of an older one does nothing.
+  const keyboardNoteOn = useCallback(
+    async (midi: number) => {
+      if (heldKeysRef.current.includes(midi)) return;
+      heldKeysRef.current = [...heldKeysRef.current, midi];
+      setHeldKeys(heldKeysRef.current);
+
+      const take = recordingRef.current;
+      if (take) {
+        const startSec = (performance.now() - take.startMs) / 1000;
+        take.notes.push({ midi, freqHz: tunedFreq(tuning, midi), startSec, endSec: Infinity });
+      }
+
+      const starting = !keyboardLiveRef.current;
+      if (starting) {
+        stopPlayback(true);
+      } else if (stopTimerRef.current != null) {
+        window.clearTimeout(stopTimerRef.current);
+        stopTimerRef.current = null;
+      }
+      soundingKeyRef.current = midi;
+
+      if (starting) {
+        keyboardLiveRef.current = true;
+        setPlaying("keyboard");
+        const ctx = await ensureSynthNode();
+        const g = masterGainRef.current;
+        if (g) {
+          const now = ctx.currentTime;
+          g.gain.cancelScheduledValues(now);
+          g.gain.setValueAtTime(0.0001, now);
+          g.gain.linearRampToValueAtTime(1.0, now + PLAYBACK_FADE_SECONDS);
+        }
+      }
+
+      // Keys may have come and gone while the audio started up: play the one sounding now, or a short tap.
+      const note = soundingKeyRef.current ?? midi;
+      postParamsNow({
+        freqHz: tunedFreq(tuning, note),
+        amp,
+        waveType,
+        customModes,
+        wavetable: drawnWave,
+        envelope,
+        modulation,
+        sweep: null,
+        second: null,
+        gate: true,
+      });
+      if (soundingKeyRef.current == null) releaseKeyboardVoice();
+    },
+    [
+      amp,
+      customModes,
+      drawnWave,
+      ensureSynthNode,
+      envelope,
+      modulation,
+      postParamsNow,
+      releaseKeyboardVoice,
+      stopPlayback,
+      tuning,
+      waveType,
+    ]
+  );
+
+  const keyboardNoteOff = useCallback(
+    (midi: number) => {
+      if (!heldKeysRef.current.includes(midi)) return;
+      heldKeysRef.current = heldKeysRef.current.filter((key) => key !== midi);
+      setHeldKeys(heldKeysRef.current);
+
+      const take = recordingRef.current;
+      const open = take?.notes.find((note) => note.midi === midi && !Number.isFinite(note.endSec));
+      if (take && open) open.endSec = (performance.now() - take.startMs) / 1000;
+
+      if (soundingKeyRef.current === midi) releaseKeyboardVoice();
+    },
+    [releaseKeyboardVoice]
+  );
+
+  // Computer keyboard: the QWERTY rows play the piano, Z and X shift it an octave. Keys typed into
+  // text fields and menus are left alone.
+  useEffect(() => {
+    if (AUDIENCE_VIEW) return;
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (e.repeat || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+      if (keyboardState !== "shown") return;
+      if (e.code === OCTAVE_DOWN_CODE || e.code === OCTAVE_UP_CODE) {
+        const shift = e.code === OCTAVE_UP_CODE ? 1 : -1;
+        setKeyboardOctave((prev) => clamp(prev + shift, KEYBOARD_OCTAVE_RANGE[0], KEYBOARD_OCTAVE_RANGE[1]));
+        return;
+      }
+      const midi = qwertyNote(e.code, keyboardOctave);
+      if (midi == null) return;
+      e.preventDefault();
+      void keyboardNoteOn(midi);
+    };
+    const onKeyUp = (e: KeyboardEvent) => {
+      const midi = qwertyNote(e.code, keyboardOctave);
+      if (midi != null) keyboardNoteOff(midi);
+    };
+    // Keys released while the window was in the background never send a keyup.
+    const onBlur = () => heldKeysRef.current.forEach(keyboardNoteOff);
+
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+    };
+  }, [keyboardNoteOff, keyboardNoteOn, keyboardOctave, keyboardState]);
+
+  const [tracks, setTracks] = useState<Track[]>(() => restored?.session.tracks ?? [makeTrack("Track 1")]);
+  const [draggedSlot, setDraggedSlot] = useState<{ trackId: string; slotId: string } | null>(null);
+  const [exportSampleRate, setExportSampleRate] = useState<number>(44_100);
+  const [exportBitDepth, setExportBitDepth] = useState<WavBitDepth>(16);
+  const [exportState, setExportState] = useState<"idle" | "rendering" | "failed">("idle");
+  const hasTimelineContent = useMemo(
+    () => tracks.some((track) => track.slots.some((slot) => slot.kind !== "empty")),
+    [tracks]
+  );
+  const trackTimings = useMemo(() => tracks.map((track) => slotStartTimes(track.slots)), [tracks]);
+  const timelineTotalSec = Math.max(0, ...trackTimings.map((timing) => timing.totalSec));
+  // Slot lengths and positions read in seconds or in bars and beats; the metronome and loop are not saved.
+  const [timelineUnits, setTimelineUnits] = useState<"seconds" | "beats">("seconds");
+  const [metronomeOn, setMetronomeOn] = useState(false);
+  const [loop, setLoop] = useState<TimelineLoop>({ mode: "off", fromBar: 1, toBar: 2 });
+  const timelineBars = Math.max(1, Math.ceil(timelineTotalSec / barSeconds(tempo) - 1e-9));
+  const loopRange = useMemo(() => {
+    if (loop.mode === "off") return null;
+    const range =
+      loop.mode === "all"
+        ? { fromSec: 0, toSec: timelineTotalSec }
+        : barRangeSeconds(tempo, loop.fromBar, Math.max(loop.fromBar, loop.toBar), timelineTotalSec);
+    return range.toSec > range.fromSec ? range : null;
+  }, [loop, tempo, timelineTotalSec]);
+  const timelineGrid = useMemo(() => gridLines(tempo, timelineTotalSec), [tempo, timelineTotalSec]);
+  const timelineElapsedSec =
+    playing === "timeline" && timelineProgress != null ? timelineProgress * timelineTotalSec : null;
+  const trackGains = useMemo(() => effectiveTrackGains(tracks), [tracks]);
+  // A take goes into the first empty track, or a new one.
+  const canRecord =
+    tracks.length < MAX_TRACK_COUNT || tracks.some((track) => track.slots.every((slot) => slot.kind === "empty"));
+  const timelineProgressPct = (timelineProgress ?? 0) * 100;
+
+  useEffect(() => {
+    if (playing !== "base" && playing !== "modified" && playing !== "inspectorSample") return;
+
+    const start = performance.now();
+    let animationFrameId: number;
+
+    const tick = (now: number) => {
+      const elapsedSec = (now - start) / 1000;
+      setInspectorAnimationProgressSec(elapsedSec);
+      animationFrameId = window.requestAnimationFrame(tick);
+    };
+
+    animationFrameId = window.requestAnimationFrame(tick);
+
+    return () => {
+      window.cancelAnimationFrame(animationFrameId);
+    };
+  }, [playing]);
+
+  const playTimeline = useCallback(async () => {
+    if (playing === "timeline") {
+      stopPlayback();
+      return;
+    }
+
+    stopPlayback(true);
+
+    const ctx = await ensureSynthNode();
+    const g = masterGainRef.current;
+    const bus = masterBusRef.current;
+    if (!g || !bus) return;
+
+    // Hand each track's slot schedule to its own worklet up front; the worklets switch
+    // params at the exact sample frame, so busy or background tabs cannot delay slot changes.
+    // A loop hands over one pass, which the worklets repeat on their own.
+    const startTime = ctx.currentTime + SCHEDULE_LOOKAHEAD_SECONDS;
+    const fullSegments = tracks.map((track) =>
+      withSecondOscillator(track.slots.map((slot) => slotSegment(slot, customModes)), timelineSecond)
+    );
+    const fullSec = Math.max(0, ...tracks.map((track) => slotStartTimes(track.slots).totalSec));
+    const range = loopRange ?? { fromSec: 0, toSec: fullSec };
+    const loopSec = loopRange ? loopRange.toSec - loopRange.fromSec : null;
+    const segments = loopRange
+      ? fullSegments.map((trackSegments) => cropSegments(trackSegments, range.fromSec, range.toSec))
+      : fullSegments;
+    const schedules = segments.map((trackSegments) => buildTimelineSchedule(trackSegments, startTime));
+    const totalSec = Math.max(0, ...schedules.map((schedule) => schedule.totalSec));
+    // Delay and reverb tails may ring on after the last slot.
+    const soundingSec = Math.max(0, ...schedules.map((schedule) => schedule.soundingSec));
+    const gains = effectiveTrackGains(tracks);
+    bus.input.gain.setValueAtTime(busHeadroomGain(gains.filter((gain) => gain > 0).length), ctx.currentTime);
+
+    // Effects are audio params, not worklet events, so a loop's later passes get theirs from here: a few
+    // passes ahead, topped up whenever a worklet starts its schedule over. Worklet messages keep coming in
+    // background tabs, where animation frames stop.
+    let scheduledPasses = 1;
+    const scheduleLoopEffects = () => {
+      if (loopSec == null) return;
+      const elapsed = Math.max(0, ctx.currentTime - startTime);
+      while (scheduledPasses * loopSec < elapsed + LOOP_EFFECT_PASSES_AHEAD * loopSec) {
+        const passStart = startTime + scheduledPasses * loopSec;
+        trackNodesRef.current.forEach(({ effects }, i) => scheduleTimelineEffects(effects, segments[i], passStart));
+        scheduledPasses += 1;
+      }
+    };
+
+    trackNodesRef.current = tracks.map((track, i) => {
+      const node = createWaveSynthNode(ctx, undefined, { bandLimited: !aliasingDemo, stereo: timelineSecond != null });
+      const effects = createEffectsChain(ctx);
+      scheduleTimelineEffects(effects, segments[i], startTime);
+      const trackGain = ctx.createGain();
+      trackGain.gain.value = gains[i];
+      node.connect(effects.input);
+      effects.output.connect(trackGain);
+      trackGain.connect(g);
+      // Only the first track reports the end of the (longest) timeline; a loop never ends.
+      const endTime = i === 0 && loopSec == null ? startTime + soundingSec + PLAYBACK_FADE_SECONDS : undefined;
+      // Any track may report a loop (a track with nothing in the range never does).
+      node.port.onmessage = (e) => {
+        if (trackNodesRef.current[i]?.node !== node) return;
+        if (e.data?.type === "looped") scheduleLoopEffects();
+        else if (e.data?.type === "ended" && i === 0) stopPlayback(true);
+      };
+      node.port.postMessage({ type: "schedule", events: schedules[i].events, endTime, loopSec: loopSec ?? undefined });
+      return { trackId: track.id, node, effects, gain: trackGain };
+    });
+    scheduleLoopEffects();
+
+    // The metronome is a voice of its own, straight into the master fade: no effects, no mixer strip.
+    if (metronomeOn) {
+      const node = createWaveSynthNode(ctx);
+      const schedule = buildTimelineSchedule(metronomeSegments(tempo, range.fromSec, range.toSec), startTime);
+      node.connect(g);
+      node.port.postMessage({ type: "schedule", events: schedule.events, loopSec: loopSec ?? undefined });
+      metronomeNodeRef.current = node;
     }
 
+    scheduleTimelineGain(g.gain, startTime, loopSec == null ? soundingSec : null);
+
     setPlaying("timeline");
-    timelineStartRef.current = performance.now();
-    setTimelineProgress(0);
+    timelineStartRef.current = startTime;
+    setTimelineProgress(range.fromSec / Math.max(fullSec, 1e-9));
 
+    // Progress follows the audio clock rather than wall-clock timers.
     const tick = () => {
       if (timelineStartRef.current == null) return;
-      const elapsed = performance.now() - timelineStartRef.current;
-      const progress = clamp(elapsed / timelineLengthMs, 0, 1);
+      const elapsed = Math.max(0, ctx.currentTime - timelineStartRef.current);
+      if (loopSec != null) {
+        setTimelineProgress(clamp((range.fromSec + (elapsed % loopSec)) / fullSec, 0, 1));
+        timelineRafRef.current = window.requestAnimationFrame(tick);
+        return;
+      }
+      const progress = clamp(elapsed / totalSec, 0, 1);
       setTimelineProgress(progress);
       if (progress < 1) {
         timelineRafRef.current = window.requestAnimationFrame(tick);
@@ -753,21 +1795,66 @@ export default function SoundWavesPresentationMockup() {
     };
 
     timelineRafRef.current = window.requestAnimationFrame(tick);
+  }, [
+    aliasingDemo,
+    customModes,
+    ensureSynthNode,
+    loopRange,
+    metronomeOn,
+    playing,
+    stopPlayback,
+    tempo,
+    timelineSecond,
+    tracks,
+  ]);
+
+  // The aliasing demo switches whatever is playing right now, not just the next note.
+  useEffect(() => {
+    const message = { type: "params", bandLimited: !aliasingDemo };
+    workletNodeRef.current?.port.postMessage(message);
+    trackNodesRef.current.forEach(({ node }) => node.port.postMessage(message));
+  }, [aliasingDemo]);
 
-    timelineTimersRef.current = slotParams.slice(1).map((params, idx) =>
-      window.setTimeout(() => {
-        postParamsNow(params);
-      }, slotLengthMs * (idx + 1))
-    );
+  // Mixer moves apply live while the timeline plays.
+  useEffect(() => {
+    const ctx = audioCtxRef.current;
+    const bus = masterBusRef.current;
+    if (playing !== "timeline" || !ctx || !bus) return;
+
+    const gains = effectiveTrackGains(tracks);
+    const now = ctx.currentTime;
+    trackNodesRef.current.forEach(({ trackId, gain }) => {
+      const i = tracks.findIndex((track) => track.id === trackId);
+      gain.gain.setTargetAtTime(i === -1 ? 0 : gains[i], now, 0.02);
+    });
+    bus.input.gain.setTargetAtTime(busHeadroomGain(gains.filter((gain) => gain > 0).length), now, 0.02);
+  }, [playing, tracks]);
 
-    stopTimerRef.current = window.setTimeout(() => {
-      stopPlayback();
-    }, timelineLengthMs);
-  }, [customModes, ensureSynthNode, postParamsNow, slots, stopPlayback]);
+  // Effects belong to the modified wave: the base wave and the previews play dry.
+  useEffect(() => {
+    const ctx = audioCtxRef.current;
+    const chain = effectsChainRef.current;
+    if (!ctx || !chain) return;
+    const wet = playing === "modified" || playing === "inspectorSample" || playing === "keyboard";
+    chain.apply(wet ? effects : DEFAULT_EFFECTS, ctx.currentTime, 0.02);
+  }, [effects, playing]);
 
   // While playing, reflect slider and wave-shape changes immediately.
   useEffect(() => {
-    if (!playing || playing === "timeline" || playing === "tilePreview") return;
+    if (
+      !playing ||
+      playing === "timeline" ||
+      playing === "tilePreview" ||
+      playing === "tuningCompare" ||
+      playing === "keyboard"
+    ) {
+      return;
+    }
+
+    if (playing === "drawingDraft") {
+      if (drawnDraft) scheduleParams({ freqHz, amp, waveType: "drawn", wavetable: drawnDraft });
+      return;
+    }
 
     if (playing === "customDraft") {
       scheduleParams({
@@ -779,9 +1866,26 @@ export default function SoundWavesPresentationMockup() {
       return;
     }
 
-    const p = playing === "base" ? { freqHz: 220, amp: 1.0, waveType, customModes } : { freqHz, amp, waveType, customModes };
+    const p =
+      playing === "base"
+        ? { freqHz: 220, amp: 1.0, waveType, customModes, wavetable: drawnWave }
+        : playing === "inspectorSample"
+          ? { freqHz, amp, waveType, customModes, wavetable: drawnWave, envelope, ...modifiedVoiceParams }
+          : { freqHz, amp, waveType, customModes, wavetable: drawnWave, ...modifiedVoiceParams };
     scheduleParams(p);
-  }, [playing, waveType, amp, freqHz, customModes, customDraftModes, scheduleParams]);
+  }, [
+    playing,
+    waveType,
+    amp,
+    freqHz,
+    customModes,
+    customDraftModes,
+    drawnWave,
+    drawnDraft,
+    envelope,
+    modifiedVoiceParams,
+    scheduleParams,
+  ]);
 
   // Cleanup on unmount.
   useEffect(() => {
@@ -797,44 +1901,196 @@ export default function SoundWavesPresentationMockup() {
 
   const baseStrokeWidth = playing === "base" ? 6 : 4;
   const modifiedStrokeWidth = playing === "modified" ? 6 : 4;
-  const inspectorWindowSec = secondsForPeriods(BASE_FREQUENCY_HZ);
+  // The window normally spans three base periods. The interference lab shows two beats, a glide its whole
+  // sweep, modulation two LFO periods. (The lab plays without glide and modulation.)
+  const interference = secondOsc.enabled;
+  const plotGlide = interference ? null : glidePreview;
+  const modulated = !interference && isModulated(modulation);
+  const inspectorWindowSec = interference
+    ? interferenceWindowSec(freqHz, secondOsc.freqHz)
+    : plotGlide
+      ? GLIDE_PREVIEW_SECONDS
+      : modulated
+        ? modulationWindowSec(modulation, freqHz)
+        : secondsForPeriods(BASE_FREQUENCY_HZ);
+  // In those longer windows, fast waves are drawn slowed down (like the envelope view) so each cycle stays visible.
+  const inspectorDrawScale =
+    plotGlide || modulated
+      ? drawSlowdown(
+          Math.max(BASE_FREQUENCY_HZ, freqHz, plotGlide?.toFreqHz ?? 0),
+          inspectorWindowSec,
+          plotGlide ? GLIDE_PLOT_CYCLES : MODULATION_PLOT_CYCLES
+        )
+      : 1;
+  const inspectorModifiedPlaying = playing === "modified" || playing === "inspectorSample";
+  // A glide stays put with a playhead over it; other windows scroll.
+  const glidePlayheadX =
+    plotGlide && inspectorModifiedPlaying
+      ? (760 * Math.min(inspectorAnimationProgressSec, GLIDE_PREVIEW_SECONDS)) / GLIDE_PREVIEW_SECONDS
+      : null;
   const inspectorAnimatedOffsetSec =
-    (playing === "base" || playing === "modified" || playing === "inspectorSample" ? inspectorAnimationProgressSec : 0) *
+    (!plotGlide && (playing === "base" || inspectorModifiedPlaying) ? inspectorAnimationProgressSec : 0) *
     INSPECTOR_SCROLL_GRAPHS_PER_SECOND *
     inspectorWindowSec;
   const baseInspectorTimeOffsetSec = playing === "base" ? inspectorAnimatedOffsetSec : 0;
-  const modifiedInspectorTimeOffsetSec =
-    playing === "modified" || playing === "inspectorSample" ? inspectorAnimatedOffsetSec : 0;
+  const modifiedInspectorTimeOffsetSec = inspectorModifiedPlaying ? inspectorAnimatedOffsetSec : 0;
 
   const basePath = useMemo(() => {
     return makeWavePath({
       type: waveType,
       amp: 1,
-      freqHz: BASE_FREQUENCY_HZ,
+      freqHz: BASE_FREQUENCY_HZ * inspectorDrawScale,
       width: 760,
       height: 280,
       seconds: inspectorWindowSec,
       timeOffsetSec: baseInspectorTimeOffsetSec,
-      samples: 320,
+      samples: inspectorWindowSec > secondsForPeriods(BASE_FREQUENCY_HZ) ? LONG_WINDOW_PLOT_SAMPLES : 320,
       yPad: 14,
       customModes,
+      wavetable: drawnWave,
     });
-  }, [waveType, customModes, inspectorWindowSec, baseInspectorTimeOffsetSec]);
+  }, [waveType, customModes, drawnWave, inspectorDrawScale, inspectorWindowSec, baseInspectorTimeOffsetSec]);
 
   const modifiedPath = useMemo(() => {
-    return makeWavePath({
-      type: waveType,
+    if (!plotGlide && !modulated) {
+      return makeWavePath({
+        type: waveType,
+        amp,
+        freqHz,
+        width: 760,
+        height: 280,
+        seconds: inspectorWindowSec,
+        timeOffsetSec: modifiedInspectorTimeOffsetSec,
+        samples: 320,
+        yPad: 14,
+        customModes,
+        wavetable: drawnWave,
+      });
+    }
+    // Same math as the worklet: glides, vibrato and FM move the phase, tremolo scales the level.
+    // (A glide is drawn without its vibrato.)
+    const drawFreq = freqHz * inspectorDrawScale;
+    const cycles = plotGlide
+      ? (t: number) =>
+          phaseModulatedCycles(
+            modulation,
+            sweepCycles(drawFreq, { ...plotGlide, toFreqHz: plotGlide.toFreqHz * inspectorDrawScale }, t)
+          )
+      : (t: number) => modulatedCycles(modulation, drawFreq, t);
+    return makeSampledPath({
+      sample: (t) => waveSample(waveType, cycles(t), 1, customModes, drawnWave) * tremoloLevel(modulation, t),
       amp,
-      freqHz,
       width: 760,
       height: 280,
       seconds: inspectorWindowSec,
       timeOffsetSec: modifiedInspectorTimeOffsetSec,
-      samples: 320,
+      samples: LONG_WINDOW_PLOT_SAMPLES,
       yPad: 14,
-      customModes,
     });
-  }, [waveType, amp, freqHz, customModes, inspectorWindowSec, modifiedInspectorTimeOffsetSec]);
+  }, [
+    waveType,
+    amp,
+    freqHz,
+    customModes,
+    drawnWave,
+    plotGlide,
+    modulated,
+    modulation,
+    inspectorDrawScale,
+    inspectorWindowSec,
+    modifiedInspectorTimeOffsetSec,
+  ]);
+
+  // Interference lab: both oscillators and their sum, scaled together so the sum fits the plot.
+  // Stereo XY: the left channel (oscillator 1) across, the right (oscillator 2) up, over one turn of the
+  // figure. While playing it runs in real time, so a ratio slightly off a simple one turns as heard.
+  const lissajousPath = useMemo(() => {
+    if (!secondOsc.enabled || !secondOsc.stereoXY) return null;
+    const seconds = lissajousPeriodSec(freqHz, secondOsc.freqHz);
+    return makeLissajousPath({
+      x: (t) => (amp / 2) * waveSample(waveType, t, freqHz, customModes, drawnWave),
+      y: (t) =>
+        (secondOsc.amp / 2) *
+        waveSample(secondOsc.waveType, secondOsc.freqHz * t + secondOsc.phaseDeg / 360, 1, customModes, drawnWave),
+      seconds,
+      timeOffsetSec: inspectorModifiedPlaying ? inspectorAnimationProgressSec : 0,
+      samples: clamp(Math.ceil(Math.max(freqHz, secondOsc.freqHz) * seconds * 64), 400, 4000),
+      size: 280,
+      pad: 14,
+    });
+  }, [
+    secondOsc,
+    waveType,
+    amp,
+    freqHz,
+    customModes,
+    drawnWave,
+    inspectorModifiedPlaying,
+    inspectorAnimationProgressSec,
+  ]);
+  const secondRatio = simpleRatio(freqHz, secondOsc.freqHz);
+  const beatHz = beatFrequency(freqHz, secondOsc.freqHz);
+  const interferencePaths = useMemo(() => {
+    if (!secondOsc.enabled) return null;
+    const scale = Math.max(1, (amp + secondOsc.amp) / 2);
+    const frame = {
+      width: 760,
+      height: 280,
+      seconds: inspectorWindowSec,
+      timeOffsetSec: modifiedInspectorTimeOffsetSec,
+      samples: clamp(Math.ceil(Math.max(freqHz, secondOsc.freqHz) * inspectorWindowSec * 16), 320, 2400),
+      yPad: 14,
+    };
+    const first = (t: number) => waveSample(waveType, t, freqHz, customModes, drawnWave);
+    const second = (t: number) =>
+      waveSample(secondOsc.waveType, secondOsc.freqHz * t + secondOsc.phaseDeg / 360, 1, customModes, drawnWave);
+    return {
+      first: makeSampledPath({ ...frame, sample: first, amp: amp / scale }),
+      second: makeSampledPath({ ...frame, sample: second, amp: secondOsc.amp / scale }),
+      sum: makeSampledPath({ ...frame, sample: (t) => (amp * first(t) + secondOsc.amp * second(t)) / scale, amp: 1 }),
+    };
+  }, [secondOsc, waveType, amp, freqHz, customModes, drawnWave, inspectorWindowSec, modifiedInspectorTimeOffsetSec]);
+
+  const spectrumHarmonics = useMemo(
+    () =>
+      harmonicAmplitudes(
+        waveType,
+        customModes,
+        // The aliasing demo also needs the harmonics above 20 kHz, to show where they fold back.
+        aliasingDemo ? MAX_SPECTRUM_HARMONICS : clamp(Math.floor(20_000 / Math.max(freqHz, 1)), 1, MAX_SPECTRUM_HARMONICS),
+        drawnWave
+      ),
+    [waveType, customModes, freqHz, drawnWave, aliasingDemo]
+  );
+  // A live FFT of the quiz's hidden sound would give its answer away.
+  const spectrumLive = playing !== null && playing !== "quiz";
+  // The presenter reads its analyser into this frame; the audience view keeps the last frame it was sent.
+  const spectrumFrameRef = useRef<SpectrumFrame | null>(null);
+  const getSpectrum = useCallback(() => {
+    if (AUDIENCE_VIEW) return spectrumFrameRef.current;
+    const analyser = analyserRef.current;
+    if (!analyser) return null;
+    const previous = spectrumFrameRef.current;
+    const bins =
+      previous?.bins.length === analyser.frequencyBinCount ? previous.bins : new Float32Array(analyser.frequencyBinCount);
+    analyser.getFloatFrequencyData(bins);
+    spectrumFrameRef.current = { bins, sampleRate: analyser.context.sampleRate };
+    return spectrumFrameRef.current;
+  }, []);
+
+  const envelopeNote = useMemo(
+    () =>
+      makeEnvelopeNotePaths({
+        type: waveType,
+        amp,
+        envelope,
+        customModes,
+        wavetable: drawnWave,
+        width: 760,
+        height: 90,
+      }),
+    [waveType, amp, envelope, customModes, drawnWave]
+  );
 
   const customDraftPath = useMemo(() => {
     return makeWavePath({
@@ -848,52 +2104,780 @@ export default function SoundWavesPresentationMockup() {
       yPad: 6,
       customModes: normalizeModes(customDraftModes),
     });
-  }, [freqHz, customDraftModes]);
+  }, [freqHz, customDraftModes]);
+
+  const customDraftModePaths = useMemo(
+    () =>
+      customDraftModes.sin.map((_, i) => {
+        const only = (coefficients: number[]) => coefficients.map((c, j) => (j === i ? c : 0));
+        const customMode = { sin: only(customDraftModes.sin), cos: only(customDraftModes.cos) };
+        return makeWavePath({
+          type: "custom",
+          amp: 2,
+          freqHz,
+          width: 980,
+          height: 360,
+          seconds: secondsForPeriods(freqHz),
+          samples: 560,
+          yPad: 16,
+          customModes: customMode,
+        });
+      }),
+    [customDraftModes, freqHz]
+  );
+
+  const drawingView = useMemo(() => {
+    const x = (column: number) => ((column + 0.5) / WAVETABLE_SIZE) * 640;
+    const y = (value: number) => 120 - value * 120;
+    let sketch = "";
+    drawSketch.forEach((value, i) => {
+      if (value == null) return;
+      sketch += `${drawSketch[i - 1] == null ? " M" : " L"} ${x(i).toFixed(1)} ${y(value).toFixed(1)}`;
+    });
+    const harmonics = drawnDraft ? harmonicAmplitudes("drawn", undefined, CUSTOM_MODE_COUNT, drawnDraft) : null;
+    const strongest = harmonics ? Math.max(...harmonics) : 0;
+    return {
+      sketch: sketch.trim(),
+      table: drawnDraft
+        ? makeSampledPath({
+            sample: (t) => waveSample("drawn", t, 1, undefined, drawnDraft),
+            amp: 2,
+            width: 640,
+            height: 240,
+            seconds: 1,
+            samples: 320,
+            yPad: 0,
+          })
+        : null,
+      harmonics: harmonics?.map((a) => (strongest > 0 ? a / strongest : 0)) ?? null,
+    };
+  }, [drawSketch, drawnDraft]);
+
+  // Original vs approximation, both scaled so the original fills the plot.
+  const customApproximationView = useMemo(() => {
+    if (!customApproximation) return null;
+    const { type, wavetable, mean, scale } = customApproximation;
+    const draft = normalizeModes(customDraftModes);
+    const magnitude = customModesMagnitude(customDraftModes);
+    // Periods (x in 0..1) of the original, offset removed, and of the raw slider mix in the same units.
+    const original = (x: number) => (waveSample(type, x, 1, undefined, wavetable) - mean) * scale;
+    const approximation = (x: number) => waveSample("custom", x, 1, draft) * magnitude;
+    let peak = 0;
+    for (let k = 0; k < 512; k++) peak = Math.max(peak, Math.abs(original(k / 512)));
+    const display = peak > 0 ? 1 / peak : 1;
+    const pathOpts = { amp: 2, width: 980, height: 360, seconds: secondsForPeriods(freqHz), samples: 640, yPad: 24 };
+    return {
+      originalPath: makeSampledPath({ ...pathOpts, sample: (t) => original(t * freqHz) * display }),
+      approximationPath: makeSampledPath({ ...pathOpts, sample: (t) => approximation(t * freqHz) * display }),
+      ...compareApproximation(original, approximation),
+    };
+  }, [customApproximation, customDraftModes, freqHz]);
+
+  // ----------------------------
+  // Project save/load
+  // ----------------------------
+  const projectFileInputRef = useRef<HTMLInputElement | null>(null);
+  const presetPackInputRef = useRef<HTMLInputElement | null>(null);
+  const [projectNotice, setProjectNotice] = useState<{ kind: "error" | "info"; text: string } | null>(() =>
+    restored && restored.warnings.length > 0
+      ? { kind: "info", text: `Restored your last session. ${restored.warnings.join(" ")}` }
+      : null
+  );
+
+  const session = useMemo<ProjectSession>(
+    () => ({
+      waveType,
+      amp,
+      freqHz,
+      customModes,
+      drawnWave,
+      envelope,
+      effects,
+      modulation,
+      glide,
+      tempo,
+      customPresets,
+      tracks,
+    }),
+    [waveType, amp, freqHz, customModes, drawnWave, envelope, effects, modulation, glide, tempo, customPresets, tracks]
+  );
+
+  // Autosave shortly after the last change, so slider drags do not write on every frame. A lesson
+  // is not autosaved: reloading mid-lesson brings back the work from before it. Nor is the audience
+  // view, which only mirrors the presenter.
+  useEffect(() => {
+    if (lesson || AUDIENCE_VIEW) return;
+    const timer = window.setTimeout(() => saveAutosave(session), 400);
+    return () => window.clearTimeout(timer);
+  }, [lesson, session]);
+
+  /** Sets every saved setting, leaving playback and the editors as they are. */
+  const setSession = useCallback((next: ProjectSession) => {
+    setWaveType(next.waveType);
+    setAmp(next.amp);
+    setFreqHz(next.freqHz);
+    setCustomModes(next.customModes);
+    setDrawnWave(next.drawnWave);
+    setEnvelope(next.envelope);
+    setEffects(next.effects);
+    setModulation(next.modulation);
+    setGlide(next.glide);
+    setTempo(next.tempo);
+    setCustomPresets(next.customPresets);
+    setTracks(next.tracks);
+  }, []);
+
+  const applySession = useCallback(
+    (next: ProjectSession) => {
+      stopPlayback(true);
+      setSession(next);
+      setSelectedPresetId(null);
+      setCustomEditorOpen(false);
+    },
+    [setSession, stopPlayback]
+  );
+
+  // A `#tune=…` share link takes precedence over the autosave, on load and when the hash changes.
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadSharedTune() {
+      const hash = window.location.hash;
+      if (!isShareFragment(hash)) return;
+      try {
+        const { session: shared, warnings } = await decodeShareFragment(hash);
+        if (cancelled) return;
+        applySession(shared);
+        setProjectNotice({ kind: "info", text: ["Loaded the tune from the link.", ...warnings].join(" ") });
+      } catch (err) {
+        if (cancelled) return;
+        setProjectNotice({
+          kind: "error",
+          text: err instanceof ProjectFileError ? err.message : "This link could not be loaded.",
+        });
+      }
+      // Drop the fragment so a reload keeps later edits (from the autosave) instead of re-applying the link.
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    }
+
+    void loadSharedTune();
+    window.addEventListener("hashchange", loadSharedTune);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("hashchange", loadSharedTune);
+    };
+  }, [applySession]);
+
+  // ----------------------------
+  // Undo/redo
+  // ----------------------------
+  const historySnapshot = useMemo<HistorySnapshot>(() => ({ ...session, customDraftModes }), [session, customDraftModes]);
+  const [history, setHistory] = useState(() => createHistory(historySnapshot));
+  const latestSnapshotRef = useRef(historySnapshot);
+  const pointerHeldRef = useRef(false);
+  const commitOnReleaseRef = useRef(false);
+
+  const commitHistory = useCallback(() => {
+    commitOnReleaseRef.current = false;
+    const latest = latestSnapshotRef.current;
+    setHistory((prev) => (sameFields(latest, prev.present) ? prev : pushHistory(prev, latest)));
+  }, []);
+
+  // A lesson's step presets are not edits: nothing is recorded while one runs.
+  const lessonRunning = lesson !== null;
+
+  useEffect(() => {
+    latestSnapshotRef.current = historySnapshot;
+    if (lessonRunning) return;
+    const timer = window.setTimeout(() => {
+      if (pointerHeldRef.current) commitOnReleaseRef.current = true;
+      else commitHistory();
+    }, HISTORY_SETTLE_MS);
+    return () => window.clearTimeout(timer);
+  }, [commitHistory, historySnapshot, lessonRunning]);
+
+  // A drag is one step however long it pauses: nothing is committed until the pointer is let go.
+  useEffect(() => {
+    const onPointerDown = () => {
+      pointerHeldRef.current = true;
+    };
+    const onPointerUp = () => {
+      pointerHeldRef.current = false;
+      if (commitOnReleaseRef.current) commitHistory();
+    };
+    window.addEventListener("pointerdown", onPointerDown, true);
+    window.addEventListener("pointerup", onPointerUp, true);
+    window.addEventListener("pointercancel", onPointerUp, true);
+    return () => {
+      window.removeEventListener("pointerdown", onPointerDown, true);
+      window.removeEventListener("pointerup", onPointerUp, true);
+      window.removeEventListener("pointercancel", onPointerUp, true);
+    };
+  }, [commitHistory]);
+
+  /** Unlike opening a project, this leaves playback and the editor as they are. */
+  const restoreSnapshot = useCallback(
+    (snapshot: HistorySnapshot) => {
+      setSession(snapshot);
+      setCustomDraftModes(snapshot.customDraftModes);
+    },
+    [setSession]
+  );
+
+  // Changes that have not settled into a step yet are committed first, so undo always reverts the latest one.
+  const settledHistory =
+    lessonRunning || sameFields(historySnapshot, history.present) ? history : pushHistory(history, historySnapshot);
+  const canUndo = !lessonRunning && settledHistory.past.length > 0;
+  const canRedo = !lessonRunning && settledHistory.future.length > 0;
+
+  const undo = useCallback(() => {
+    if (!canUndo) return;
+    const next = undoHistory(settledHistory);
+    restoreSnapshot(next.present);
+    setHistory(next);
+  }, [canUndo, restoreSnapshot, settledHistory]);
+
+  const redo = useCallback(() => {
+    if (!canRedo) return;
+    const next = redoHistory(settledHistory);
+    restoreSnapshot(next.present);
+    setHistory(next);
+  }, [canRedo, restoreSnapshot, settledHistory]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (⌘ on a Mac; Ctrl+Y too). Text fields keep their own undo.
+  useEffect(() => {
+    if (AUDIENCE_VIEW || lessonRunning) return;
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTypingTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) undo();
+      else if ((key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey)) redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [lessonRunning, redo, undo]);
+
+  // ----------------------------
+  // Lesson mode
+  // ----------------------------
+  const lessonFileInputRef = useRef<HTMLInputElement | null>(null);
+  // The session from before the lesson, restored when it ends.
+  const lessonReturnRef = useRef<ProjectSession | null>(null);
+  // Played once the step's settings have rendered, so the play functions see them.
+  const [lessonAutoplay, setLessonAutoplay] = useState<LessonAutoplay | null>(null);
+
+  const goToLessonStep = useCallback(
+    (current: Lesson, stepIndex: number) => {
+      const step = current.steps[stepIndex];
+      stopPlayback(true);
+      if (step.set.waveType !== undefined) setWaveType(step.set.waveType);
+      if (step.set.amp !== undefined) setAmp(step.set.amp);
+      if (step.set.freqHz !== undefined) setFreqHz(step.set.freqHz);
+      if (step.set.customModes !== undefined) {
+        setCustomModes(normalizeModes(step.set.customModes));
+        setSelectedPresetId(null);
+      }
+      if (step.set.tracks !== undefined) setTracks(step.set.tracks);
+      setCustomEditorOpen(false);
+      setLesson({ lesson: current, stepIndex });
+      setLessonAutoplay(step.autoplay ?? null);
+    },
+    [stopPlayback]
+  );
+
+  function startLesson(next: Lesson) {
+    // Edits made just before the lesson become a step of their own first.
+    if (!lessonReturnRef.current) commitHistory();
+    lessonReturnRef.current ??= session;
+    goToLessonStep(next, 0);
+  }
+
+  function exitLesson() {
+    if (lessonReturnRef.current) applySession(lessonReturnRef.current);
+    lessonReturnRef.current = null;
+    setLesson(null);
+    setLessonAutoplay(null);
+  }
+
+  const stepLesson = useCallback(
+    (delta: number) => {
+      if (!lesson) return;
+      const stepIndex = clamp(lesson.stepIndex + delta, 0, lesson.lesson.steps.length - 1);
+      if (stepIndex !== lesson.stepIndex) goToLessonStep(lesson.lesson, stepIndex);
+    },
+    [goToLessonStep, lesson]
+  );
+
+  async function openLessonFile(file: File) {
+    try {
+      startLesson(parseLesson(await file.text()));
+    } catch (err) {
+      setProjectNotice({
+        kind: "error",
+        text: err instanceof ProjectFileError ? err.message : `Could not read “${file.name}”.`,
+      });
+    }
+  }
+
+  useEffect(() => {
+    if (!lessonAutoplay || playing !== null) return;
+    setLessonAutoplay(null);
+    void (lessonAutoplay === "timeline" ? playTimeline() : playInspectorSample());
+  }, [lessonAutoplay, playInspectorSample, playTimeline, playing]);
+
+  // Arrow keys and Page Up/Down (what most presenter clickers send) move between steps.
+  useEffect(() => {
+    if (!lesson) return;
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+      // Sliders take arrow keys and Page Up/Down themselves.
+      if (e.target instanceof HTMLInputElement && e.target.type === "range") return;
+      if (e.key === "ArrowRight" || e.key === "PageDown") stepLesson(1);
+      else if (e.key === "ArrowLeft" || e.key === "PageUp") stepLesson(-1);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [lesson, stepLesson]);
+
+  // ----------------------------
+  // Ear-training quiz
+  // ----------------------------
+  const [quizOpen, setQuizOpen] = useState(false);
+  const [quizSettings, setQuizSettings] = useState<QuizSettings>({
+    seed: "",
+    difficulty: "medium",
+    kinds: [...QUIZ_KINDS],
+  });
+  // The quiz being taken; `index` runs past the last question once it is finished.
+  const [quiz, setQuiz] = useState<{
+    seed: string;
+    difficulty: QuizDifficulty;
+    questions: QuizQuestion[];
+    answers: Array<QuizAnswer | null>;
+    index: number;
+  } | null>(null);
+  const [harmonicsGuess, setHarmonicsGuess] = useState(1);
+  const quizQuestion = quiz?.questions[quiz.index] ?? null;
+  const quizAnswer = quiz?.answers[quiz.index] ?? null;
+  const quizTally = useMemo(() => (quiz ? quizScore(quiz.questions, quiz.answers) : null), [quiz]);
+
+  // The hidden sound plays dry, whatever the inspector's effects, so it sounds as the question says.
+  const playQuizSound = useCallback(
+    async (question: QuizQuestion) => {
+      stopPlayback(true);
+
+      const ctx = await ensureSynthNode();
+      const node = workletNodeRef.current;
+      const g = masterGainRef.current;
+      if (!node || !g) return;
+
+      const startTime = ctx.currentTime + SCHEDULE_LOOKAHEAD_SECONDS;
+      const schedule = buildTimelineSchedule(quizSegments(question), startTime);
+      node.port.onmessage = (e) => {
+        if (e.data?.type !== "ended" || workletNodeRef.current !== node) return;
+        stopPlayback(true);
+      };
+      node.port.postMessage({ type: "schedule", events: schedule.events, endTime: schedule.endTime });
+      scheduleTimelineGain(g.gain, startTime, schedule.soundingSec);
+
+      setPlaying("quiz");
+    },
+    [ensureSynthNode, stopPlayback]
+  );
+
+  function startQuiz(seed: string, difficulty: QuizDifficulty, questions: QuizQuestion[]) {
+    setQuiz({ seed, difficulty, questions, answers: questions.map(() => null), index: 0 });
+    setHarmonicsGuess(1);
+    void playQuizSound(questions[0]);
+  }
+
+  function startNewQuiz() {
+    const seed = cleanQuizSeed(quizSettings.seed) || randomQuizSeed();
+    const questions = makeQuiz({ ...quizSettings, seed });
+    if (questions.length > 0) startQuiz(seed, quizSettings.difficulty, questions);
+  }
+
+  function answerQuiz(answer: QuizAnswer) {
+    if (!quiz || quizAnswer !== null) return;
+    setQuiz({ ...quiz, answers: quiz.answers.map((given, i) => (i === quiz.index ? answer : given)) });
+  }
+
+  function nextQuizQuestion() {
+    if (!quiz) return;
+    const index = quiz.index + 1;
+    setQuiz({ ...quiz, index });
+    setHarmonicsGuess(1);
+    if (index < quiz.questions.length) void playQuizSound(quiz.questions[index]);
+    else if (playing === "quiz") stopPlayback();
+  }
+
+  function closeQuiz() {
+    if (playing === "quiz") stopPlayback(true);
+    setQuiz(null);
+    setQuizOpen(false);
+  }
+
+  /** Once answered, the right choice turns green and a wrong pick red. */
+  function quizChoiceClass(choice: QuizAnswer) {
+    if (!quizQuestion || quizAnswer === null) return "border-slate-200 bg-white hover:bg-slate-50";
+    if (choice === quizQuestion.answer) return "border-emerald-500 bg-emerald-50";
+    return choice === quizAnswer ? "border-red-500 bg-red-50" : "border-slate-200 bg-white";
+  }
+
+  // ----------------------------
+  // Audience view
+  // ----------------------------
+  const audienceChannelRef = useRef<AudienceChannel | null>(null);
+  // Presenter: hellos from an audience window (each one resends everything), 0 while none is open.
+  const [audienceJoins, setAudienceJoins] = useState(0);
+  // Audience: whether the presenter's state has arrived.
+  const [presenterConnected, setPresenterConnected] = useState(false);
+
+  useEffect(() => {
+    const channel = openAudienceChannel((message) => {
+      if (!AUDIENCE_VIEW) {
+        if (message.type === "audience-open") setAudienceJoins((n) => n + 1);
+        else if (message.type === "audience-closed") setAudienceJoins(0);
+        return;
+      }
+      switch (message.type) {
+        case "presenter-open":
+          audienceChannelRef.current?.post({ type: "audience-open" });
+          break;
+        case "presenter-closed":
+          setPresenterConnected(false);
+          setPlaying(null);
+          setTimelineProgress(null);
+          break;
+        case "state":
+          setSession(message.state.session);
+          setSecondOsc(message.state.secondOsc);
+          setAliasingDemo(message.state.aliasingDemo);
+          setLoop(message.state.loop);
+          setOutputSampleRate(message.state.sampleRate);
+          setPresenterConnected(true);
+          break;
+        case "playback":
+          setPlaying(message.playing);
+          setTimelineProgress(message.timelineProgress);
+          break;
+        case "spectrum":
+          spectrumFrameRef.current = { bins: message.bins, sampleRate: message.sampleRate };
+          break;
+      }
+    });
+    if (!channel) return;
+    audienceChannelRef.current = channel;
+
+    // Closing a window does not run effect cleanups, so the goodbye is also sent on pagehide.
+    const sayGoodbye = () => channel.post(AUDIENCE_VIEW ? { type: "audience-closed" } : { type: "presenter-closed" });
+    channel.post(AUDIENCE_VIEW ? { type: "audience-open" } : { type: "presenter-open" });
+    window.addEventListener("pagehide", sayGoodbye);
+    return () => {
+      window.removeEventListener("pagehide", sayGoodbye);
+      sayGoodbye();
+      channel.close();
+      audienceChannelRef.current = null;
+    };
+  }, [setSession]);
+
+  const audienceState = useMemo<AudienceState>(
+    () => ({ session, secondOsc, aliasingDemo, loop, sampleRate: outputSampleRate }),
+    [session, secondOsc, aliasingDemo, loop, outputSampleRate]
+  );
+
+  useEffect(() => {
+    if (audienceJoins > 0) audienceChannelRef.current?.post({ type: "state", state: audienceState });
+  }, [audienceJoins, audienceState]);
+
+  useEffect(() => {
+    if (audienceJoins > 0) audienceChannelRef.current?.post({ type: "playback", playing, timelineProgress });
+  }, [audienceJoins, playing, timelineProgress]);
+
+  // The audience's live spectrum: an FFT frame per animation frame while anything plays.
+  useEffect(() => {
+    if (audienceJoins === 0 || !spectrumLive) return;
+    let frameId = 0;
+
+    const tick = () => {
+      const frame = getSpectrum();
+      if (frame) audienceChannelRef.current?.post({ type: "spectrum", ...frame });
+      frameId = window.requestAnimationFrame(tick);
+    };
+
+    frameId = window.requestAnimationFrame(tick);
+    return () => window.cancelAnimationFrame(frameId);
+  }, [audienceJoins, getSpectrum, spectrumLive]);
+
+  function openAudienceView() {
+    if (!audienceChannelRef.current) {
+      setProjectNotice({ kind: "error", text: "This browser cannot keep two windows in sync, so there is no audience view." });
+      return;
+    }
+    const audienceWindow = window.open(
+      audienceViewUrl(window.location.href),
+      AUDIENCE_WINDOW_NAME,
+      "popup,width=1280,height=800"
+    );
+    if (audienceWindow) audienceWindow.focus();
+    else setProjectNotice({ kind: "error", text: "The audience window was blocked. Allow pop-ups for this page and try again." });
+  }
+
+  async function copyShareLink() {
+    let url: string;
+    try {
+      url = window.location.origin + window.location.pathname + window.location.search + (await encodeShareFragment(session));
+    } catch {
+      setProjectNotice({ kind: "error", text: "Could not create a link in this browser." });
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      setProjectNotice({ kind: "info", text: `Link copied to the clipboard (${url.length} characters).` });
+    } catch {
+      // Clipboard access can be denied; show the link so it can be copied by hand.
+      setProjectNotice({ kind: "info", text: `Copy this link: ${url}` });
+    }
+  }
+
+  function saveProject() {
+    downloadBlob(new Blob([serializeProject(session)], { type: "application/json" }), "my-tune.json");
+  }
+
+  async function openProjectFile(file: File) {
+    try {
+      const { session: loaded, warnings } = parseProject(await file.text());
+      applySession(loaded);
+      setProjectNotice(
+        warnings.length > 0
+          ? { kind: "info", text: `Opened “${file.name}” from an older version. ${warnings.join(" ")}` }
+          : { kind: "info", text: `Opened “${file.name}”.` }
+      );
+    } catch (err) {
+      setProjectNotice({
+        kind: "error",
+        text: err instanceof ProjectFileError ? err.message : `Could not read “${file.name}”.`,
+      });
+    }
+  }
+
+  function updateTrack(trackId: string, update: (track: Track) => Track) {
+    setTracks((prev) => prev.map((track) => (track.id === trackId ? update(track) : track)));
+  }
+
+  function updateTrackSlots(trackId: string, update: (slots: Slot[]) => Slot[]) {
+    updateTrack(trackId, (track) => ({ ...track, slots: update(track.slots) }));
+  }
+
+  function updateEffects<K extends keyof Effects>(stage: K, patch: Partial<Effects[K]>) {
+    setEffects((prev) => ({ ...prev, [stage]: { ...prev[stage], ...patch } }));
+  }
+
+  function updateModulation<K extends keyof Modulation>(stage: K, patch: Partial<Modulation[K]>) {
+    setModulation((prev) => ({ ...prev, [stage]: { ...prev[stage], ...patch } }));
+  }
+
+  /** Sets the frequency from its control, on the nearest note of the tuning when snapping. */
+  function setControlFreq(hz: number) {
+    const next = tuning.snap ? snapToTuning(tuning, hz) : Math.round(hz * 10) / 10;
+    setFreqHz(clamp(next, FREQ_CONTROL_RANGE_HZ[0], FREQ_CONTROL_RANGE_HZ[1]));
+  }
+
+  function updateTuning(patch: Partial<Tuning>) {
+    const next = { ...tuning, ...patch };
+    setTuning(next);
+    if (next.snap) setFreqHz(clamp(snapToTuning(next, freqHz), FREQ_CONTROL_RANGE_HZ[0], FREQ_CONTROL_RANGE_HZ[1]));
+  }
+
+  /** A slot holding the modified wave as it is set now, optionally at another pitch or glide. */
+  function inspectorSlot(id: string, durationSec: number, noteHz = freqHz, noteGlide = glide): Slot {
+    const pitch = noteGlide.enabled
+      ? `${formatPitch(noteHz)} → ${formatPitch(glideEndFreq(noteGlide, noteHz))}`
+      : `${formatPitch(noteHz)} · ${formatHz(noteHz)}`;
+    if (waveType === "drawn") {
+      return {
+        id,
+        durationSec,
+        kind: "drawn",
+        amp,
+        freqHz: noteHz,
+        wavetable: drawnWave,
+        envelope,
+        effects,
+        modulation,
+        glide: noteGlide,
+        label: `Drawn wave · ${pitch}`,
+      };
+    }
+    return {
+      id,
+      durationSec,
+      kind: "wave",
+      type: waveType,
+      amp,
+      freqHz: noteHz,
+      customModes: waveType === "custom" ? customModes : undefined,
+      envelope,
+      effects,
+      modulation,
+      glide: noteGlide,
+      label:
+        waveType === "custom"
+          ? `${selectedPreset?.name ?? "Custom mix"} · ${pitch}`
+          : `${WAVE_DEFINITIONS[waveType].name} · ${pitch}`,
+    };
+  }
+
+  function placeInSlot(trackId: string, i: number) {
+    updateTrackSlots(trackId, (prev) => {
+      const next = [...prev];
+      next[i] = inspectorSlot(prev[i].id, prev[i].durationSec);
+      return next;
+    });
+  }
+
+  function startRecording() {
+    recordingRef.current = { startMs: performance.now(), notes: [] };
+    setRecording(true);
+  }
+
+  /** Lays the take out as slots: into the first empty track, else a new one. */
+  function stopRecording() {
+    const take = recordingRef.current;
+    recordingRef.current = null;
+    setRecording(false);
+    if (!take) return;
+
+    const nowSec = (performance.now() - take.startMs) / 1000;
+    const notes = take.notes.map((note) => (Number.isFinite(note.endSec) ? note : { ...note, endSec: nowSec }));
+    // Snapped to sixteenth notes at the timeline's tempo.
+    const gridSec = Math.max(MIN_SLOT_SECONDS, noteValueSeconds(tempo, 0.25));
+    const slots = recordingToSlots(notes, gridSec).map(({ durationSec, note }) =>
+      note ? inspectorSlot(makeId("slot"), durationSec, note.freqHz, DEFAULT_GLIDE) : makeEmptySlot(durationSec)
+    );
+    if (slots.length === 0) return;
+
+    setTracks((prev) => {
+      const i = prev.findIndex((track) => track.slots.every((slot) => slot.kind === "empty"));
+      if (i !== -1) return prev.map((track, j) => (j === i ? { ...track, slots } : track));
+      if (prev.length >= MAX_TRACK_COUNT) return prev;
+      return [...prev, { ...makeTrack(`Track ${prev.length + 1}`), slots }];
+    });
+  }
+
+  function addSlot(trackId: string) {
+    updateTrackSlots(trackId, (prev) => (prev.length >= MAX_SLOT_COUNT ? prev : [...prev, makeEmptySlot()]));
+  }
+
+  function removeSlot(trackId: string, id: string) {
+    updateTrackSlots(trackId, (prev) => (prev.length <= 1 ? prev : prev.filter((slot) => slot.id !== id)));
+  }
+
+  function duplicateSlot(trackId: string, id: string) {
+    updateTrackSlots(trackId, (prev) => {
+      const i = prev.findIndex((slot) => slot.id === id);
+      if (i === -1 || prev.length >= MAX_SLOT_COUNT) return prev;
+      const copy: Slot = { ...prev[i], id: makeId("slot") };
+      return [...prev.slice(0, i + 1), copy, ...prev.slice(i + 1)];
+    });
+  }
+
+  function setSlotDuration(trackId: string, id: string, durationSec: number) {
+    if (!Number.isFinite(durationSec)) return;
+    const safe = clamp(durationSec, MIN_SLOT_SECONDS, MAX_SLOT_SECONDS);
+    updateTrackSlots(trackId, (prev) => prev.map((slot) => (slot.id === id ? { ...slot, durationSec: safe } : slot)));
+  }
+
+  /** In bars and beats, slots keep their length in beats when the tempo changes; in seconds, their length in seconds. */
+  function changeBpm(bpm: number) {
+    if (!Number.isFinite(bpm)) return;
+    const next = clamp(Math.round(bpm), TEMPO_LIMITS.bpm[0], TEMPO_LIMITS.bpm[1]);
+    if (timelineUnits === "beats") {
+      const stretch = tempo.bpm / next;
+      setTracks((prev) =>
+        prev.map((track) => ({
+          ...track,
+          slots: track.slots.map((slot) => ({
+            ...slot,
+            durationSec: clamp(slot.durationSec * stretch, MIN_SLOT_SECONDS, MAX_SLOT_SECONDS),
+          })),
+        }))
+      );
+    }
+    setTempo((prev) => ({ ...prev, bpm: next }));
+  }
+
+  /** Moves a slot to `toIndex` of `toTrackId`; dragging between tracks is allowed. */
+  function moveSlot(from: { trackId: string; slotId: string }, toTrackId: string, toIndex: number) {
+    setTracks((prev) => {
+      const source = prev.find((track) => track.id === from.trackId);
+      const target = prev.find((track) => track.id === toTrackId);
+      const moved = source?.slots.find((slot) => slot.id === from.slotId);
+      if (!source || !target || !moved) return prev;
+      if (source !== target && (source.slots.length <= 1 || target.slots.length >= MAX_SLOT_COUNT)) return prev;
+
+      return prev.map((track) => {
+        if (track.id !== from.trackId && track.id !== toTrackId) return track;
+        const remaining = track.id === from.trackId ? track.slots.filter((slot) => slot.id !== from.slotId) : [...track.slots];
+        if (track.id === toTrackId) remaining.splice(toIndex, 0, moved);
+        return { ...track, slots: remaining };
+      });
+    });
+  }
 
-  const customDraftModePaths = useMemo(
-    () =>
-      customDraftModes.map((mode, i) => {
-        const customMode = Array(CUSTOM_MODE_COUNT).fill(0);
-        customMode[i] = mode;
-        return makeWavePath({
-          type: "custom",
-          amp: 2,
-          freqHz,
-          width: 980,
-          height: 360,
-          seconds: secondsForPeriods(freqHz),
-          samples: 560,
-          yPad: 16,
-          customModes: customMode,
-        });
-      }),
-    [customDraftModes, freqHz]
-  );
+  function addTrack() {
+    setTracks((prev) => (prev.length >= MAX_TRACK_COUNT ? prev : [...prev, makeTrack(`Track ${prev.length + 1}`)]));
+  }
 
-  function placeInSlot(i: number) {
-    setSlots((prev) => {
-      const next = [...prev];
-      next[i] = {
-        kind: "wave",
-        type: waveType,
-        amp,
-        freqHz,
-        customModes: waveType === "custom" ? [...customModes] : undefined,
-        label:
-          waveType === "custom"
-            ? `Custom mix · ${formatHz(freqHz)}`
-            : `${WAVE_TILES.find((w) => w.type === waveType)?.name ?? waveType} · ${formatHz(freqHz)}`,
-      };
-      return next;
-    });
+  function removeTrack(trackId: string) {
+    setTracks((prev) => (prev.length <= 1 ? prev : prev.filter((track) => track.id !== trackId)));
+  }
+
+  async function exportTimelineWav() {
+    setExportState("rendering");
+    try {
+      const gains = effectiveTrackGains(tracks);
+      const rendered = await renderTimelineOffline(
+        tracks.map((track, i) => ({
+          segments: withSecondOscillator(
+            track.slots.map((slot) => slotSegment(slot, customModes)),
+            timelineSecond
+          ),
+          gain: gains[i],
+        })),
+        exportSampleRate,
+        { bandLimited: !aliasingDemo, stereo: timelineSecond != null }
+      );
+      const channels = Array.from({ length: rendered.numberOfChannels }, (_, c) => rendered.getChannelData(c));
+      const wav = encodeWav(channels, { sampleRate: exportSampleRate, bitDepth: exportBitDepth });
+      downloadBlob(new Blob([wav], { type: "audio/wav" }), "make-your-own-tune.wav");
+      setExportState("idle");
+    } catch {
+      setExportState("failed");
+    }
   }
 
   function clearTimeline() {
-    setSlots([...Array(5)].map(() => ({ kind: "empty" })));
+    setTracks((prev) => prev.map((track) => ({ ...track, slots: makeDefaultSlots() })));
+  }
+
+  /** Loading a mix into the editor is not an edit of its own, so it does not become an undo step. */
+  function loadCustomDraft(modes: CustomModes) {
+    setCustomDraftModes(modes);
+    setHistory((prev) => replacePresent(prev, { ...prev.present, customDraftModes: modes }));
   }
 
-  function openCustomEditor() {
-    setCustomDraftModes([...customModes]);
+  /** Opens the editor on `preset`, or on the inspector's current mix. */
+  function openCustomEditor(preset: CustomPreset | null = null) {
+    loadCustomDraft(preset?.modes ?? customModes);
+    setEditingPresetId(preset?.id ?? null);
+    setPresetNameDraft(preset?.name ?? selectedPreset?.name ?? DEFAULT_PRESET_NAME);
+    setCustomApproximation(null);
+    setDrawSketch(drawnWave);
     setCustomEditorOpen(true);
   }
 
@@ -901,21 +2885,168 @@ export default function SoundWavesPresentationMockup() {
     setCustomEditorOpen(false);
   }
 
-  function saveCustomEditor() {
-    const normalized = normalizeModes(customDraftModes);
-    setCustomModes(normalized);
+  function pickPreset(preset: CustomPreset) {
+    setCustomModes(preset.modes);
+    setSelectedPresetId(preset.id);
+    setWaveType("custom");
+  }
+
+  /** Plays the editor's mix in the inspector without keeping it as a preset. */
+  function applyCustomDraft() {
+    setCustomModes(normalizeModes(customDraftModes));
+    setSelectedPresetId(null);
     setWaveType("custom");
     setCustomEditorOpen(false);
   }
 
-  function updateCustomMode(index: number, value: number) {
-    setCustomDraftModes((prev) => {
+  function saveDraftAsPreset() {
+    if (customPresets.length >= MAX_PRESET_COUNT) return;
+    const preset = makePreset(uniquePresetName(presetNameDraft, customPresets), normalizeModes(customDraftModes));
+    setCustomPresets((prev) => [...prev, preset]);
+    pickPreset(preset);
+    setCustomEditorOpen(false);
+  }
+
+  function updatePresetFromDraft() {
+    const preset = customPresets.find((p) => p.id === editingPresetId);
+    if (!preset) return;
+    const others = customPresets.filter((p) => p.id !== preset.id);
+    const updated = { ...preset, name: uniquePresetName(presetNameDraft, others), modes: normalizeModes(customDraftModes) };
+    setCustomPresets((prev) => prev.map((p) => (p.id === updated.id ? updated : p)));
+    pickPreset(updated);
+    setCustomEditorOpen(false);
+  }
+
+  function renamePreset(id: string, name: string) {
+    setCustomPresets((prev) =>
+      prev.map((preset) => (preset.id === id ? { ...preset, name: name.slice(0, PRESET_NAME_MAX_LENGTH) } : preset))
+    );
+  }
+
+  /** Names are free-form while typing; on leaving the field they are cleaned up and made unique. */
+  function finishRenamingPreset(id: string) {
+    setCustomPresets((prev) => {
+      const others = prev.filter((preset) => preset.id !== id);
+      return prev.map((preset) => (preset.id === id ? { ...preset, name: uniquePresetName(preset.name, others) } : preset));
+    });
+  }
+
+  function duplicatePreset(preset: CustomPreset) {
+    if (customPresets.length >= MAX_PRESET_COUNT) return;
+    const copy = makePreset(uniquePresetName(preset.name, customPresets), preset.modes);
+    setCustomPresets((prev) => {
+      const i = prev.findIndex((p) => p.id === preset.id);
+      return [...prev.slice(0, i + 1), copy, ...prev.slice(i + 1)];
+    });
+  }
+
+  /** Slots keep their own copy of the mix, so a deleted preset still plays where it was placed. */
+  function deletePreset(id: string) {
+    setCustomPresets((prev) => prev.filter((preset) => preset.id !== id));
+  }
+
+  function exportPresetPack() {
+    downloadBlob(
+      new Blob([serializePresetPack(customPresets)], { type: "application/json" }),
+      "custom-wave-presets.json"
+    );
+  }
+
+  /** Adds a pack's presets after the existing ones, renaming any that clash, up to the library limit. */
+  async function importPresetPack(file: File) {
+    try {
+      const incoming = parsePresetPack(await file.text());
+      const room = MAX_PRESET_COUNT - customPresets.length;
+      const added: CustomPreset[] = [];
+      for (const preset of incoming.slice(0, room)) {
+        added.push({ ...preset, name: uniquePresetName(preset.name, [...customPresets, ...added]) });
+      }
+      setCustomPresets((prev) => [...prev, ...added]);
+      const skipped = incoming.length - added.length;
+      setProjectNotice({
+        kind: "info",
+        text:
+          `Imported ${added.length} preset${added.length === 1 ? "" : "s"} from “${file.name}”.` +
+          (skipped > 0 ? ` ${skipped} did not fit: the library holds ${MAX_PRESET_COUNT} presets.` : ""),
+      });
+    } catch (err) {
+      setProjectNotice({
+        kind: "error",
+        text: err instanceof ProjectFileError ? err.message : `Could not read “${file.name}”.`,
+      });
+    }
+  }
+
+  function updateCustomMode(part: keyof CustomModes, index: number, value: number) {
+    setCustomDraftModes((prev) => ({ ...prev, [part]: prev[part].map((c, i) => (i === index ? value : c)) }));
+  }
+
+  /**
+   * Projects a library wave onto the editor's harmonics (its Fourier series up to
+   * CUSTOM_MODE_COUNT) and opens the editor on the result, with the original overlaid.
+   */
+  function approximateWithHarmonics(type: WaveType) {
+    const wavetable = type === "drawn" ? drawnWave : undefined;
+    const { mean, sin, cos } = fourierSeries(type, undefined, CUSTOM_MODE_COUNT, wavetable);
+    // Sliders span [-1, 1], so scale the largest coefficient to ±1; mixes are normalized anyway.
+    const peak = Math.max(...sin.map(Math.abs), ...cos.map(Math.abs));
+    if (peak === 0) {
+      // A silent drawing has nothing to approximate.
+      openCustomEditor();
+      return;
+    }
+    const toSlider = (c: number) => (Math.abs(c / peak) < 1e-4 ? 0 : c / peak);
+    loadCustomDraft({ sin: sin.map(toSlider), cos: cos.map(toSlider) });
+    setEditingPresetId(null);
+    setPresetNameDraft(cleanPresetName(`${WAVE_DEFINITIONS[type].name} ≈ ${CUSTOM_MODE_COUNT} harmonics`));
+    setCustomApproximation({ type, wavetable, mean, scale: 1 / peak });
+    setDrawSketch(drawnWave);
+    setCustomEditorOpen(true);
+  }
+
+  function sketchAt(e: ReactPointerEvent<SVGSVGElement>) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const column = clamp(Math.floor(((e.clientX - rect.left) / rect.width) * WAVETABLE_SIZE), 0, WAVETABLE_SIZE - 1);
+    const value = clamp(1 - (2 * (e.clientY - rect.top)) / rect.height, -1, 1);
+    const from = sketchPointerRef.current ?? { column, value };
+    sketchPointerRef.current = { column, value };
+    // Fill every column the pointer crossed since the last event, so fast strokes leave no gaps.
+    setDrawSketch((prev) => {
       const next = [...prev];
-      next[index] = value;
+      const steps = Math.abs(column - from.column);
+      for (let k = 0; k <= steps; k++) {
+        const t = steps === 0 ? 1 : k / steps;
+        next[Math.round(from.column + (column - from.column) * t)] = from.value + (value - from.value) * t;
+      }
       return next;
     });
   }
 
+  function saveDrawing() {
+    if (!drawnDraft) return;
+    setDrawnWave(drawnDraft);
+    setWaveType("drawn");
+    setCustomEditorOpen(false);
+  }
+
+  async function playDrawingDraft() {
+    if (!drawnDraft) return;
+    stopPlayback(true);
+    const ctx = await ensureSynthNode();
+    const g = masterGainRef.current;
+    if (g) {
+      const now = ctx.currentTime;
+      g.gain.cancelScheduledValues(now);
+      g.gain.setValueAtTime(0.0001, now);
+      postParamsNow({ freqHz, amp, waveType: "drawn", wavetable: drawnDraft });
+      g.gain.linearRampToValueAtTime(1.0, now + PLAYBACK_FADE_SECONDS);
+    }
+    setPlaying("drawingDraft");
+    stopTimerRef.current = window.setTimeout(() => {
+      stopPlayback();
+    }, 2000);
+  }
+
   async function playCustomDraft() {
     const draft = normalizeModes(customDraftModes);
     stopPlayback(true);
@@ -934,35 +3065,605 @@ export default function SoundWavesPresentationMockup() {
     }, 2000);
   }
 
+  // Shared by the presenter's screen and the audience view.
+  const inspectorPlot = (
+    <div className="mt-3 flex-1 min-h-0 rounded-xl bg-white border overflow-hidden">
+      {lissajousPath ? (
+        <svg viewBox="0 0 280 280" className="w-full h-full block" aria-label="XY scope">
+          <line x1="0" y1="140" x2="280" y2="140" stroke="rgb(226,232,240)" strokeWidth="1" />
+          <line x1="140" y1="0" x2="140" y2="280" stroke="rgb(226,232,240)" strokeWidth="1" />
+          <path
+            d={lissajousPath}
+            fill="none"
+            stroke="rgb(15,23,42)"
+            strokeWidth={playing === "modified" ? 2.5 : 1.5}
+            style={{ cursor: "pointer" }}
+            onClick={() => playVariant("modified")}
+          />
+          <text x="272" y="134" fontSize="10" textAnchor="end" fill="rgb(100,116,139)">
+            left (osc 1)
+          </text>
+          <text x="146" y="12" fontSize="10" fill="rgb(100,116,139)">
+            right (osc 2)
+          </text>
+        </svg>
+      ) : (
+        <svg
+          viewBox="0 0 760 280"
+          className="w-full h-full block"
+          preserveAspectRatio="none"
+          aria-label="Wave plot"
+        >
+          {/* axes */}
+          <line x1="0" y1="140" x2="760" y2="140" stroke="rgb(226,232,240)" strokeWidth="2" />
+          <line x1="40" y1="0" x2="40" y2="280" stroke="rgb(226,232,240)" strokeWidth="2" />
+
+          {interferencePaths ? (
+            <>
+              {/* interference lab: the two components, then their sum on top */}
+              <path d={interferencePaths.first} fill="none" stroke="rgb(37,99,235)" strokeWidth="1.5" />
+              <path d={interferencePaths.second} fill="none" stroke="rgb(217,119,6)" strokeWidth="1.5" />
+              <path
+                d={interferencePaths.sum}
+                fill="none"
+                stroke="rgb(15,23,42)"
+                strokeWidth={modifiedStrokeWidth - 1}
+                style={{ cursor: "pointer" }}
+                onClick={() => playVariant("modified")}
+              />
+            </>
+          ) : (
+            <>
+              {/* base */}
+              <path
+                d={basePath}
+                fill="none"
+                stroke="rgb(203,213,225)"
+                strokeWidth={baseStrokeWidth}
+              />
+              <path
+                d={basePath}
+                fill="none"
+                stroke="rgba(0,0,0,0)"
+                strokeWidth="16"
+                style={{ cursor: "pointer" }}
+                pointerEvents="stroke"
+                onClick={() => playVariant("base")}
+              />
+
+              {/* modified */}
+              <path
+                d={modifiedPath}
+                fill="none"
+                stroke="rgb(15,23,42)"
+                strokeWidth={modifiedStrokeWidth}
+              />
+              <path
+                d={modifiedPath}
+                fill="none"
+                stroke="rgba(0,0,0,0)"
+                strokeWidth="16"
+                style={{ cursor: "pointer" }}
+                pointerEvents="stroke"
+                onClick={() => playVariant("modified")}
+              />
+            </>
+          )}
+
+          {glidePlayheadX != null && (
+            <line
+              x1={glidePlayheadX}
+              y1="0"
+              x2={glidePlayheadX}
+              y2="280"
+              stroke="rgb(37,99,235)"
+              strokeWidth="2"
+              pointerEvents="none"
+            />
+          )}
+
+          {/* labels */}
+          <text x="48" y="20" fontSize="12" fill="rgb(100,116,139)">Amplitude</text>
+          <text x="690" y="268" fontSize="12" fill="rgb(100,116,139)">time</text>
+        </svg>
+      )}
+    </div>
+  );
+
+  if (AUDIENCE_VIEW) {
+    return (
+      <div className="h-screen w-screen bg-slate-50 text-slate-900 flex flex-col">
+        {presenterConnected ? (
+          <div className="flex-1 min-h-0 p-6 flex flex-col">
+            <div className="text-sm font-medium">
+              {WAVE_DEFINITIONS[waveType].name} · {formatHz(freqHz)} · amp {amp.toFixed(2)}
+            </div>
+            {/* Clicking a curve would play it; sound only comes from the presenter's window. */}
+            <div className="flex-1 min-h-0 flex flex-col" style={{ pointerEvents: "none" }}>
+              {inspectorPlot}
+            </div>
+            <SpectrumPlot
+              live={spectrumLive}
+              getSpectrum={getSpectrum}
+              harmonics={spectrumHarmonics}
+              amp={amp}
+              freqHz={freqHz}
+              sampleRate={outputSampleRate}
+              aliasingDemo={aliasingDemo}
+              filter={effects.filter.enabled ? effects.filter : null}
+            />
+            <div className="mt-3">
+              <div className="text-xs text-slate-500">
+                {formatSeconds(Math.round(timelineTotalSec * 100) / 100)}-second timeline
+                {timelineElapsedSec != null && ` · playing at ${formatSeconds(Math.round(timelineElapsedSec * 10) / 10)} s`}
+              </div>
+              <div className="mt-1 relative h-2 w-full rounded-full bg-slate-200" aria-hidden="true">
+                {loopRange && timelineTotalSec > 0 && (
+                  <div
+                    className="absolute h-full rounded-full"
+                    style={{
+                      left: `${(loopRange.fromSec / timelineTotalSec) * 100}%`,
+                      width: `${((loopRange.toSec - loopRange.fromSec) / timelineTotalSec) * 100}%`,
+                      background: "rgba(217,119,6,0.35)",
+                    }}
+                  />
+                )}
+                <div className="h-full rounded-full bg-blue-500" style={{ width: `${timelineProgressPct}%` }} />
+              </div>
+            </div>
+          </div>
+        ) : (
+          <div className="flex-1 flex items-center justify-center text-slate-500">
+            Waiting for the presenter's window… Keep it open in this browser; everything shown here follows it.
+          </div>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="h-screen w-screen bg-slate-50 text-slate-900 flex flex-col">
-      <AppBanner />
+      <AppBanner
+        actions={
+          <>
+            <select
+              value=""
+              onChange={(e) => {
+                const choice = e.target.value;
+                if (choice === "file") lessonFileInputRef.current?.click();
+                else if (choice !== "") startLesson(BUILT_IN_LESSONS[parseInt(choice, 10)]);
+              }}
+              className="rounded-xl border bg-white px-3 py-2 text-sm"
+              aria-label="Start a lesson"
+            >
+              <option value="">{lesson ? "Switch lesson…" : "Start a lesson…"}</option>
+              {BUILT_IN_LESSONS.map((builtIn, i) => (
+                <option key={builtIn.title} value={i}>
+                  {builtIn.title}
+                </option>
+              ))}
+              <option value="file">Open lesson file…</option>
+            </select>
+            <input
+              ref={lessonFileInputRef}
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                e.target.value = "";
+                if (file) void openLessonFile(file);
+              }}
+            />
+            <button
+              type="button"
+              onClick={() => (quizOpen ? closeQuiz() : setQuizOpen(true))}
+              aria-pressed={quizOpen}
+              className={
+                "rounded-xl border px-3 py-2 text-sm " + (quizOpen ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+              }
+            >
+              Ear-training quiz
+            </button>
+            <button
+              type="button"
+              onClick={openAudienceView}
+              className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50"
+              title="A second window for the projector: the wave, spectrum and timeline progress, following this one"
+            >
+              {audienceJoins > 0 ? "Audience view ✓" : "Open audience view"}
+            </button>
+            <button
+              type="button"
+              onClick={undo}
+              disabled={!canUndo}
+              className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50 disabled:opacity-40"
+              title={lessonRunning ? "Undo is off during a lesson" : "Undo (Ctrl+Z)"}
+            >
+              ↶ Undo
+            </button>
+            <button
+              type="button"
+              onClick={redo}
+              disabled={!canRedo}
+              className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50 disabled:opacity-40"
+              title={lessonRunning ? "Redo is off during a lesson" : "Redo (Ctrl+Shift+Z)"}
+            >
+              ↷ Redo
+            </button>
+            <button
+              type="button"
+              onClick={saveProject}
+              className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50"
+            >
+              Save project
+            </button>
+            <button
+              type="button"
+              onClick={() => projectFileInputRef.current?.click()}
+              className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50"
+            >
+              Open project
+            </button>
+            <input
+              ref={projectFileInputRef}
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                e.target.value = "";
+                if (file) void openProjectFile(file);
+              }}
+            />
+          </>
+        }
+      />
+
+      {lesson && lessonStep && (
+        <div role="region" aria-label="Lesson" className="px-6 py-3 border-b bg-slate-900 text-white flex items-center gap-4">
+          <div className="min-w-0 flex-1">
+            <div className="text-xs uppercase tracking-wider text-slate-300">
+              {lesson.lesson.title} · step {lesson.stepIndex + 1} of {lesson.lesson.steps.length}
+            </div>
+            <div className="text-lg font-semibold">{lessonStep.title}</div>
+            {lessonStep.caption && <div className="text-sm">{lessonStep.caption}</div>}
+            {lessonStep.question && <div className="mt-1 text-sm font-semibold text-amber-300">? {lessonStep.question}</div>}
+          </div>
+          <div className="flex items-center gap-2">
+            {lessonStep.autoplay && (
+              <button
+                type="button"
+                onClick={() => {
+                  stopPlayback(true);
+                  setLessonAutoplay(lessonStep.autoplay ?? null);
+                }}
+                className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900 hover:bg-slate-50"
+              >
+                ▶ Play again
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => stepLesson(-1)}
+              disabled={lesson.stepIndex === 0}
+              className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900 hover:bg-slate-50 disabled:opacity-40"
+              title="Previous step (←)"
+            >
+              ← Back
+            </button>
+            <button
+              type="button"
+              onClick={() => stepLesson(1)}
+              disabled={lesson.stepIndex === lesson.lesson.steps.length - 1}
+              className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900 hover:bg-slate-50 disabled:opacity-40"
+              title="Next step (→)"
+            >
+              Next →
+            </button>
+            <button
+              type="button"
+              onClick={exitLesson}
+              className="rounded-xl border px-3 py-2 text-sm hover:bg-slate-800"
+              title="Leave the lesson and restore your work"
+            >
+              Exit lesson
+            </button>
+          </div>
+        </div>
+      )}
+
+      {quizOpen && (
+        <div role="region" aria-label="Quiz" className="px-6 py-3 border-b bg-slate-900 text-white">
+          {!quiz ? (
+            <div className="flex items-end gap-4 flex-wrap">
+              <div className="min-w-0 flex-1">
+                <div className="text-xs uppercase tracking-wider text-slate-300">Ear-training quiz</div>
+                <div className="text-sm">
+                  {QUIZ_QUESTION_COUNT} questions about a hidden sound. With the same seed everyone gets the same
+                  questions; leave it empty for a new set.
+                </div>
+                <div className="mt-2 flex items-center gap-3 flex-wrap text-sm">
+                  {QUIZ_KINDS.map((kind) => (
+                    <label key={kind} className="flex items-center gap-1">
+                      <input
+                        type="checkbox"
+                        checked={quizSettings.kinds.includes(kind)}
+                        onChange={(e) =>
+                          setQuizSettings((prev) => ({
+                            ...prev,
+                            kinds: e.target.checked ? [...prev.kinds, kind] : prev.kinds.filter((k) => k !== kind),
+                          }))
+                        }
+                      />
+                      {QUIZ_KIND_NAMES[kind]}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <select
+                  value={quizSettings.difficulty}
+                  onChange={(e) =>
+                    setQuizSettings((prev) => ({ ...prev, difficulty: e.target.value as QuizDifficulty }))
+                  }
+                  className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900"
+                  aria-label="Difficulty"
+                >
+                  {QUIZ_DIFFICULTIES.map((difficulty) => (
+                    <option key={difficulty} value={difficulty}>
+                      {difficulty[0].toUpperCase() + difficulty.slice(1)}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={quizSettings.seed}
+                  maxLength={QUIZ_SEED_MAX_LENGTH}
+                  onChange={(e) => setQuizSettings((prev) => ({ ...prev, seed: e.target.value }))}
+                  placeholder="Seed (optional)"
+                  className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900"
+                  style={{ width: "140px" }}
+                  aria-label="Seed"
+                />
+                <button
+                  type="button"
+                  onClick={startNewQuiz}
+                  disabled={quizSettings.kinds.length === 0}
+                  className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900 hover:bg-slate-50 disabled:opacity-40"
+                >
+                  Start quiz
+                </button>
+                <button
+                  type="button"
+                  onClick={closeQuiz}
+                  className="rounded-xl border px-3 py-2 text-sm hover:bg-slate-800"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+          ) : !quizQuestion ? (
+            <div className="flex items-center gap-4">
+              <div className="min-w-0 flex-1">
+                <div className="text-xs uppercase tracking-wider text-slate-300">
+                  Quiz results · seed {quiz.seed} · {quiz.difficulty}
+                </div>
+                <div className="text-lg font-semibold">
+                  {quizTally?.total.correct ?? 0} of {quiz.questions.length} right
+                </div>
+                <div className="text-sm text-slate-300">
+                  {QUIZ_KINDS.flatMap((kind) => {
+                    const tally = quizTally?.byKind[kind];
+                    return tally ? [`${QUIZ_KIND_NAMES[kind]} ${tally.correct}/${tally.answered}`] : [];
+                  }).join(" · ")}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => startQuiz(quiz.seed, quiz.difficulty, quiz.questions)}
+                  className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900 hover:bg-slate-50"
+                  title="The same questions again"
+                >
+                  Try again
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setQuiz(null)}
+                  className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900 hover:bg-slate-50"
+                >
+                  New quiz
+                </button>
+                <button
+                  type="button"
+                  onClick={closeQuiz}
+                  className="rounded-xl border px-3 py-2 text-sm hover:bg-slate-800"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-center gap-4">
+              <div className="min-w-0 flex-1">
+                <div className="text-xs uppercase tracking-wider text-slate-300">
+                  Question {quiz.index + 1} of {quiz.questions.length} · score {quizTally?.total.correct ?? 0}/
+                  {quizTally?.total.answered ?? 0} · seed {quiz.seed} · {quiz.difficulty}
+                </div>
+                <div className="text-lg font-semibold">{quizPrompt(quizQuestion)}</div>
+
+                <div className="mt-2 flex items-center gap-2 flex-wrap">
+                  {quizQuestion.kind === "waveform" &&
+                    quizQuestion.choices.map((type) => {
+                      const wave = WAVE_DEFINITIONS[type];
+                      return (
+                        <button
+                          key={type}
+                          type="button"
+                          onClick={() => answerQuiz(type)}
+                          disabled={quizAnswer !== null}
+                          className={"rounded-xl border p-2 text-left text-slate-900 " + quizChoiceClass(type)}
+                          aria-label={wave.name}
+                        >
+                          <svg viewBox="0 0 120 44" className="block" style={{ width: "120px", height: "44px" }}>
+                            <path
+                              d={makeWavePath({
+                                type,
+                                amp: 1,
+                                freqHz: 1,
+                                width: 120,
+                                height: 44,
+                                seconds: secondsForPeriods(1, wave.preview.periods),
+                                samples: wave.preview.samples,
+                                yPad: 6,
+                                customModes: DEFAULT_CUSTOM_MODES,
+                                wavetable: DEFAULT_DRAWN_WAVE,
+                              })}
+                              fill="none"
+                              stroke="rgb(15,23,42)"
+                              strokeWidth="2"
+                            />
+                          </svg>
+                          <div className="text-xs font-semibold">{wave.name}</div>
+                        </button>
+                      );
+                    })}
+
+                  {(quizQuestion.kind === "pitch" || quizQuestion.kind === "loudness") &&
+                    (quizQuestion.kind === "pitch" ? (["lower", "higher"] as const) : (["first", "second"] as const)).map(
+                      (choice) => (
+                        <button
+                          key={choice}
+                          type="button"
+                          onClick={() => answerQuiz(choice)}
+                          disabled={quizAnswer !== null}
+                          className={"rounded-xl border px-4 py-2 text-sm text-slate-900 " + quizChoiceClass(choice)}
+                        >
+                          {choice[0].toUpperCase() + choice.slice(1)}
+                        </button>
+                      )
+                    )}
+
+                  {quizQuestion.kind === "harmonics" && (
+                    <>
+                      <input
+                        type="range"
+                        min={1}
+                        max={quizQuestion.maxCount}
+                        step={1}
+                        value={typeof quizAnswer === "number" ? quizAnswer : harmonicsGuess}
+                        onChange={(e) => setHarmonicsGuess(parseInt(e.target.value, 10))}
+                        disabled={quizAnswer !== null}
+                        aria-label="Number of harmonics"
+                        style={{ width: "220px" }}
+                      />
+                      <span className="text-lg font-semibold tabular-nums">
+                        {typeof quizAnswer === "number" ? quizAnswer : harmonicsGuess}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => answerQuiz(harmonicsGuess)}
+                        disabled={quizAnswer !== null}
+                        className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900 hover:bg-slate-50 disabled:opacity-40"
+                      >
+                        Answer
+                      </button>
+                    </>
+                  )}
+                </div>
+
+                {quizAnswer !== null && (
+                  <div className="mt-2 text-sm">
+                    {quizAnswer === quizQuestion.answer ? (
+                      <span className="font-semibold text-emerald-300">✓ Right. </span>
+                    ) : (
+                      <span className="font-semibold text-red-300">✗ Not quite. </span>
+                    )}
+                    {quizExplanation(quizQuestion)}
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (playing === "quiz") stopPlayback(true);
+                    else void playQuizSound(quizQuestion);
+                  }}
+                  className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900 hover:bg-slate-50"
+                >
+                  {playing === "quiz" ? "■ Stop" : "▶ Play sound"}
+                </button>
+                <button
+                  type="button"
+                  onClick={nextQuizQuestion}
+                  disabled={quizAnswer === null}
+                  className="rounded-xl border bg-white px-3 py-2 text-sm text-slate-900 hover:bg-slate-50 disabled:opacity-40"
+                >
+                  {quiz.index === quiz.questions.length - 1 ? "See results" : "Next →"}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeQuiz}
+                  className="rounded-xl border px-3 py-2 text-sm hover:bg-slate-800"
+                  title="Leave the quiz"
+                >
+                  Quit quiz
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {projectNotice && (
+        <div
+          role={projectNotice.kind === "error" ? "alert" : "status"}
+          className={
+            "px-6 py-2 border-b text-sm flex items-center justify-between gap-2 " +
+            (projectNotice.kind === "error" ? "bg-red-50 text-red-700" : "bg-blue-50 text-slate-600")
+          }
+        >
+          <span className="min-w-0 break-words">{projectNotice.text}</span>
+          <button
+            type="button"
+            onClick={() => setProjectNotice(null)}
+            className="rounded-xl border bg-white px-2 py-1 text-xs hover:bg-slate-50"
+            aria-label="Dismiss message"
+          >
+            ✕
+          </button>
+        </div>
+      )}
 
       {/* Main */}
       <div className="h-full w-full flex flex-1 min-h-0">
         {/* Left column (1/3) */}
-        <div className="w-1/3 min-w-[360px] border-r bg-white p-5">
+        <div className="w-1/3 min-w-[360px] border-r bg-white p-5 overflow-auto">
           <div className="flex items-baseline justify-between">
             <div>
               <div className="text-xs uppercase tracking-wider text-slate-500">▶ 1) Select wave</div>
               <div className="text-lg font-semibold">Wave Library</div>
             </div>
-            <div className="text-xs text-slate-500">6 tiles</div>
+            <div className="text-xs text-slate-500">{WAVE_TILES.length + customPresets.length} tiles</div>
           </div>
 
-          <div className="mt-4 grid grid-cols-2 gap-4">
+          <fieldset className="lesson-gate mt-4 grid grid-cols-2 gap-4" {...lessonGate("waves")}>
             {WAVE_TILES.map((w) => {
-              const selected = w.type === waveType;
+              // A picked preset is shown selected in its own tile rather than in Custom's.
+              const selected = w.type === waveType && !(w.type === "custom" && selectedPreset);
               const tilePath = makeWavePath({
                 type: w.type,
                 amp: 1,
-                freqHz: 4,
+                freqHz: 1,
                 width: 160,
                 height: 90,
-                seconds: secondsForPeriods(4),
-                samples: 120,
+                seconds: secondsForPeriods(1, w.preview.periods),
+                samples: w.preview.samples,
                 yPad: 10,
                 customModes,
+                wavetable: drawnWave,
               });
               return (
                 <div
@@ -986,22 +3687,34 @@ export default function SoundWavesPresentationMockup() {
                         onClick={() => playWaveTilePreview(w.type)}
                         className="h-6 w-6 rounded-full border border-slate-200 text-slate-500 text-[10px] leading-none transition hover:bg-slate-100 hover:text-slate-700"
                         aria-label={
-                          playing === "tilePreview" && playingTileType === w.type
+                          playing === "tilePreview" && playingTileKey === w.type
                             ? `Stop ${w.name} waveform preview`
                             : `Play ${w.name} waveform for 2 seconds at ${formatHz(freqHz)}`
                         }
                         title={
-                          playing === "tilePreview" && playingTileType === w.type
+                          playing === "tilePreview" && playingTileKey === w.type
                             ? "Stop preview"
                             : `Play preview at ${formatHz(freqHz)}`
                         }
                       >
-                        {playing === "tilePreview" && playingTileType === w.type ? "■" : "▶"}
+                        {playing === "tilePreview" && playingTileKey === w.type ? "■" : "▶"}
                       </button>
 
+                      {w.type !== "custom" && (
+                        <button
+                          type="button"
+                          onClick={() => approximateWithHarmonics(w.type)}
+                          className="h-6 w-6 rounded-full border border-slate-200 text-slate-500 text-[10px] leading-none transition hover:bg-slate-100 hover:text-slate-700"
+                          aria-label={`Approximate ${w.name} with harmonics`}
+                          title="Approximate with harmonics (opens the custom editor)"
+                        >
+                          ∑
+                        </button>
+                      )}
+
                       <button
                         type="button"
-                        onClick={() => (w.type === "custom" ? openCustomEditor() : setWaveType(w.type))}
+                        onClick={() => (w.type === "custom" || w.type === "drawn" ? openCustomEditor() : setWaveType(w.type))}
                         className={
                           "text-[10px] px-2 py-1 rounded-full border transition " +
                           (selected
@@ -1009,14 +3722,14 @@ export default function SoundWavesPresentationMockup() {
                             : "border-slate-200 text-slate-500 hover:bg-slate-100")
                         }
                       >
-                        {w.type === "custom" ? "Edit" : selected ? "Selected" : "Pick"}
+                        {w.type === "custom" || w.type === "drawn" ? "Edit" : selected ? "Selected" : "Pick"}
                       </button>
                     </div>
                   </div>
 
                   <button
                     type="button"
-                    onClick={() => (w.type === "custom" ? openCustomEditor() : setWaveType(w.type))}
+                    onClick={() => (w.type === "custom" || w.type === "drawn" ? openCustomEditor() : setWaveType(w.type))}
                     className="mt-2 w-full rounded-xl bg-white border overflow-hidden"
                     aria-label={`Select ${w.name} waveform`}
                   >
@@ -1028,7 +3741,151 @@ export default function SoundWavesPresentationMockup() {
                 </div>
               );
             })}
-          </div>
+          </fieldset>
+
+          <fieldset className="lesson-gate mt-5 flex items-baseline justify-between gap-2" {...lessonGate("waves")}>
+            <div>
+              <div className="font-semibold">My presets</div>
+              <div className="text-xs text-slate-500">
+                {customPresets.length}/{MAX_PRESET_COUNT} · saved from the custom waveform applet
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={exportPresetPack}
+                disabled={customPresets.length === 0}
+                className="rounded-xl border bg-white px-2 py-1 text-xs hover:bg-slate-50 disabled:opacity-40"
+                title="Download every preset as a pack file"
+              >
+                Export pack
+              </button>
+              <button
+                type="button"
+                onClick={() => presetPackInputRef.current?.click()}
+                disabled={customPresets.length >= MAX_PRESET_COUNT}
+                className="rounded-xl border bg-white px-2 py-1 text-xs hover:bg-slate-50 disabled:opacity-40"
+                title="Add the presets of a pack file to the library"
+              >
+                Import pack
+              </button>
+              <input
+                ref={presetPackInputRef}
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  e.target.value = "";
+                  if (file) void importPresetPack(file);
+                }}
+              />
+            </div>
+          </fieldset>
+
+          {customPresets.length === 0 ? (
+            <fieldset
+              className="lesson-gate mt-3 rounded-2xl border border-dashed p-4 text-sm text-slate-500"
+              {...lessonGate("waves")}
+            >
+              Mix harmonics in the Custom tile's editor and choose <span className="font-medium">Save as new preset</span>{" "}
+              to keep them here, or import a pack.
+            </fieldset>
+          ) : (
+            <fieldset className="lesson-gate mt-3 grid grid-cols-2 gap-4" {...lessonGate("waves")}>
+              {customPresets.map((preset) => {
+                const selected = selectedPreset?.id === preset.id;
+                const previewing = playing === "tilePreview" && playingTileKey === preset.id;
+                const tilePath = makeWavePath({
+                  type: "custom",
+                  amp: 1,
+                  freqHz: 1,
+                  width: 160,
+                  height: 90,
+                  seconds: secondsForPeriods(1, WAVE_DEFINITIONS.custom.preview.periods),
+                  samples: WAVE_DEFINITIONS.custom.preview.samples,
+                  yPad: 10,
+                  customModes: preset.modes,
+                });
+                return (
+                  <div
+                    key={preset.id}
+                    className={
+                      "rounded-2xl border p-3 text-left shadow-sm transition " +
+                      (selected
+                        ? "border-slate-900 ring-2 ring-slate-900/10 bg-slate-50"
+                        : "border-slate-200 hover:border-slate-300 bg-white")
+                    }
+                  >
+                    <input
+                      type="text"
+                      value={preset.name}
+                      maxLength={PRESET_NAME_MAX_LENGTH}
+                      onChange={(e) => renamePreset(preset.id, e.target.value)}
+                      onBlur={() => finishRenamingPreset(preset.id)}
+                      className="w-full rounded-xl border border-transparent bg-transparent px-1 font-semibold hover:border-slate-200"
+                      aria-label={`Name of preset ${preset.name}`}
+                      title="Rename"
+                    />
+
+                    <div className="mt-1 flex items-center gap-1.5">
+                      <button
+                        type="button"
+                        onClick={() => playWaveTilePreview("custom", preset)}
+                        className="h-6 w-6 rounded-full border border-slate-200 text-slate-500 text-[10px] leading-none transition hover:bg-slate-100 hover:text-slate-700"
+                        aria-label={
+                          previewing
+                            ? `Stop ${preset.name} preview`
+                            : `Play ${preset.name} for 2 seconds at ${formatHz(freqHz)}`
+                        }
+                        title={previewing ? "Stop preview" : `Play preview at ${formatHz(freqHz)}`}
+                      >
+                        {previewing ? "■" : "▶"}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => duplicatePreset(preset)}
+                        disabled={customPresets.length >= MAX_PRESET_COUNT}
+                        className="h-6 w-6 rounded-full border border-slate-200 text-slate-500 text-[10px] leading-none transition hover:bg-slate-100 hover:text-slate-700 disabled:opacity-40"
+                        aria-label={`Duplicate preset ${preset.name}`}
+                        title="Duplicate"
+                      >
+                        ⧉
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => deletePreset(preset.id)}
+                        className="h-6 w-6 rounded-full border border-slate-200 text-slate-500 text-[10px] leading-none transition hover:bg-slate-100 hover:text-slate-700"
+                        aria-label={`Delete preset ${preset.name}`}
+                        title="Delete (slots that use it keep their sound)"
+                      >
+                        ✕
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => openCustomEditor(preset)}
+                        className="text-[10px] px-2 py-1 rounded-full border border-slate-200 text-slate-500 transition hover:bg-slate-100"
+                      >
+                        Edit
+                      </button>
+                    </div>
+
+                    <button
+                      type="button"
+                      onClick={() => pickPreset(preset)}
+                      className="mt-2 w-full rounded-xl bg-white border overflow-hidden"
+                      aria-label={`Select preset ${preset.name}`}
+                    >
+                      <svg width="100%" height="90" viewBox="0 0 160 90" className="block">
+                        <path d={tilePath} fill="none" stroke="currentColor" strokeWidth="3" className="text-slate-800" />
+                        <line x1="0" y1="45" x2="160" y2="45" className="stroke-slate-200" strokeWidth="1" />
+                      </svg>
+                    </button>
+                  </div>
+                );
+              })}
+            </fieldset>
+          )}
 
           <div className="mt-5 rounded-2xl border bg-slate-50 p-4">
             <div className="text-xs uppercase tracking-wider text-slate-500">Tip</div>
@@ -1051,13 +3908,28 @@ export default function SoundWavesPresentationMockup() {
                   </div>
                 }
                 right={
-                  <div className="flex items-center gap-2">
-                    <div className="text-xs text-slate-500">Base: 220 Hz, amp 1</div>
-                    <div className="h-2 w-2 rounded-full bg-slate-900" title="Modified" />
-                    <div className="text-xs text-slate-600">Modified</div>
-                    <div className="h-2 w-2 rounded-full bg-slate-300" title="Base" />
-                    <div className="text-xs text-slate-500">Base</div>
-                  </div>
+                  lissajousPath ? (
+                    <div className="flex items-center gap-2">
+                      <div className="text-xs text-slate-600">XY scope: left → across, right → up</div>
+                    </div>
+                  ) : interferencePaths ? (
+                    <div className="flex items-center gap-2">
+                      <div className="h-2 w-2 rounded-full bg-blue-600" title="Oscillator 1" />
+                      <div className="text-xs text-slate-600">Oscillator 1</div>
+                      <div className="h-2 w-2 rounded-full bg-amber-600" title="Oscillator 2" />
+                      <div className="text-xs text-slate-600">Oscillator 2</div>
+                      <div className="h-2 w-2 rounded-full bg-slate-900" title="Sum" />
+                      <div className="text-xs text-slate-600">Sum</div>
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      <div className="text-xs text-slate-500">Base: 220 Hz, amp 1</div>
+                      <div className="h-2 w-2 rounded-full bg-slate-900" title="Modified" />
+                      <div className="text-xs text-slate-600">Modified</div>
+                      <div className="h-2 w-2 rounded-full bg-slate-300" title="Base" />
+                      <div className="text-xs text-slate-500">Base</div>
+                    </div>
+                  )
                 }
               />
 
@@ -1067,71 +3939,126 @@ export default function SoundWavesPresentationMockup() {
                   <div className="h-full rounded-2xl border bg-slate-50 p-4 flex flex-col">
                     <div className="text-sm font-medium flex items-center justify-between">
                       <span>
-                        {WAVE_TILES.find((w) => w.type === waveType)?.name ?? waveType} · {formatHz(freqHz)} · amp {amp.toFixed(2)}
+                        {WAVE_DEFINITIONS[waveType].name} · {formatHz(freqHz)} · amp {amp.toFixed(2)}
+                      </span>
+                      <span className="text-xs text-slate-500">
+                        {lissajousPath
+                          ? secondRatio
+                            ? `one turn of the figure: ${secondRatio.first} period${secondRatio.first === 1 ? "" : "s"} of osc 1`
+                            : "no simple ratio: the figure turns"
+                          : plotGlide
+                            ? `window: the ${GLIDE_PREVIEW_SECONDS} s glide to ${formatHz(plotGlide.toFreqHz)}`
+                            : interference || modulated
+                              ? `window: ${Math.round(inspectorWindowSec * 1000)} ms`
+                              : "window: 3 periods at 220 Hz"}
+                        {!lissajousPath && inspectorDrawScale < 1 ? " · drawn slower" : ""}
                       </span>
-                      <span className="text-xs text-slate-500">window: 3 periods at 220 Hz</span>
                     </div>
 
-                    <div className="mt-3 flex-1 min-h-0 rounded-xl bg-white border overflow-hidden">
-                      <svg
-                        viewBox="0 0 760 280"
-                        className="w-full h-full block"
-                        preserveAspectRatio="none"
-                        aria-label="Wave plot"
-                      >
-                        {/* axes */}
-                        <line x1="0" y1="140" x2="760" y2="140" stroke="rgb(226,232,240)" strokeWidth="2" />
-                        <line x1="40" y1="0" x2="40" y2="280" stroke="rgb(226,232,240)" strokeWidth="2" />
-
-                        {/* base */}
-                        <path
-                          d={basePath}
-                          fill="none"
+                    {inspectorPlot}
+
+                    <div className="mt-3 rounded-xl bg-white border overflow-hidden" style={{ height: "90px" }}>
+                      <svg viewBox="0 0 760 90" className="w-full h-full block" preserveAspectRatio="none" aria-label="Envelope plot">
+                        <line x1="0" y1="45" x2="760" y2="45" stroke="rgb(226,232,240)" strokeWidth="1" />
+                        <line
+                          x1={envelopeNote.gateX}
+                          y1="0"
+                          x2={envelopeNote.gateX}
+                          y2="90"
                           stroke="rgb(203,213,225)"
-                          strokeWidth={baseStrokeWidth}
-                        />
-                        <path
-                          d={basePath}
-                          fill="none"
-                          stroke="rgba(0,0,0,0)"
-                          strokeWidth="16"
-                          style={{ cursor: "pointer" }}
-                          pointerEvents="stroke"
-                          onClick={() => playVariant("base")}
+                          strokeWidth="1"
+                          strokeDasharray="4 4"
                         />
+                        <path d={envelopeNote.wave} fill="none" stroke="rgb(100,116,139)" strokeWidth="1" />
+                        <path d={envelopeNote.outline} fill="none" stroke="rgb(37,99,235)" strokeWidth="2.5" />
+                        <text x="8" y="14" fontSize="11" fill="rgb(100,116,139)">envelope (one note)</text>
+                        <text x={envelopeNote.gateX + 4} y="84" fontSize="11" fill="rgb(100,116,139)">note off</text>
+                      </svg>
+                    </div>
 
-                        {/* modified */}
-                        <path
-                          d={modifiedPath}
-                          fill="none"
-                          stroke="rgb(15,23,42)"
-                          strokeWidth={modifiedStrokeWidth}
-                        />
-                        <path
-                          d={modifiedPath}
-                          fill="none"
-                          stroke="rgba(0,0,0,0)"
-                          strokeWidth="16"
-                          style={{ cursor: "pointer" }}
-                          pointerEvents="stroke"
-                          onClick={() => playVariant("modified")}
+                    <SpectrumPlot
+                      live={spectrumLive}
+                      getSpectrum={getSpectrum}
+                      harmonics={spectrumHarmonics}
+                      amp={amp}
+                      freqHz={freqHz}
+                      sampleRate={outputSampleRate}
+                      aliasingDemo={aliasingDemo}
+                      onAliasingDemoChange={setAliasingDemo}
+                      filter={effects.filter.enabled ? effects.filter : null}
+                    />
+
+                    <fieldset className="lesson-gate mt-3 rounded-xl bg-white border p-2" {...lessonGate("keyboard")}>
+                      <div className="flex items-center justify-between gap-2">
+                        <div className="text-xs text-slate-600">
+                          Piano · {TUNING_SYSTEMS[tuning.system].name.toLowerCase()} · keys A–; (octave: Z / X)
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <button
+                            type="button"
+                            onClick={() => setKeyboardOctave((prev) => Math.max(KEYBOARD_OCTAVE_RANGE[0], prev - 1))}
+                            disabled={keyboardOctave <= KEYBOARD_OCTAVE_RANGE[0]}
+                            className={
+                              "rounded-xl border bg-white px-2 py-1 text-xs hover:bg-slate-50 " +
+                              "disabled:cursor-not-allowed disabled:opacity-40"
+                            }
+                            aria-label="Octave down"
+                          >
+                            −
+                          </button>
+                          <div className="text-xs tabular-nums text-slate-600">C{keyboardOctave}</div>
+                          <button
+                            type="button"
+                            onClick={() => setKeyboardOctave((prev) => Math.min(KEYBOARD_OCTAVE_RANGE[1], prev + 1))}
+                            disabled={keyboardOctave >= KEYBOARD_OCTAVE_RANGE[1]}
+                            className={
+                              "rounded-xl border bg-white px-2 py-1 text-xs hover:bg-slate-50 " +
+                              "disabled:cursor-not-allowed disabled:opacity-40"
+                            }
+                            aria-label="Octave up"
+                          >
+                            +
+                          </button>
+                          <button
+                            type="button"
+                            onClick={recording ? stopRecording : startRecording}
+                            disabled={!recording && !canRecord}
+                            aria-pressed={recording}
+                            title={
+                              canRecord ? "Record what you play into the timeline" : "Clear a track or remove one to record"
+                            }
+                            className={
+                              "rounded-xl border px-2 py-1 text-xs disabled:cursor-not-allowed disabled:opacity-40 " +
+                              (recording ? "bg-red-600 text-white" : "bg-white hover:bg-slate-50")
+                            }
+                          >
+                            {recording ? "■ Stop recording" : "● Record"}
+                          </button>
+                        </div>
+                      </div>
+                      <div className="mt-2">
+                        <PianoKeyboard
+                          notes={keyboardNotes(keyboardOctave)}
+                          octave={keyboardOctave}
+                          held={heldKeys}
+                          onNoteOn={(midi) => {
+                            if (keyboardState === "shown") void keyboardNoteOn(midi);
+                          }}
+                          onNoteOff={keyboardNoteOff}
                         />
-
-                        {/* labels */}
-                        <text x="48" y="20" fontSize="12" fill="rgb(100,116,139)">Amplitude</text>
-                        <text x="690" y="268" fontSize="12" fill="rgb(100,116,139)">time</text>
-                      </svg>
-                    </div>
+                      </div>
+                    </fieldset>
 
                     <div className="mt-3 text-xs text-slate-500">
                       This plot overlays a base wave (220 Hz, amp 1) with the modified wave (current sliders). Click either curve to
-                      preview for 2 seconds.
+                      preview for 2 seconds. The strips below show one note shaped by the ADSR envelope and the wave's spectrum; the
+                      piano plays the modified wave.
                     </div>
                   </div>
                 </div>
 
                 {/* Sliders */}
-                <div className="w-[320px] border-l p-6 bg-white">
+                <div className="w-[320px] border-l p-6 bg-white overflow-auto">
                   <div className="flex items-center justify-between gap-2">
                     <div className="text-sm font-semibold">Controls</div>
                     <button
@@ -1144,7 +4071,7 @@ export default function SoundWavesPresentationMockup() {
                   </div>
 
                   <div className="mt-4 space-y-5">
-                    <div className="rounded-2xl border bg-slate-50 p-4">
+                    <fieldset className="lesson-gate rounded-2xl border bg-slate-50 p-4" {...lessonGate("amplitude")}>
                       <div className="flex items-center justify-between">
                         <div className="text-sm font-medium">Amplitude</div>
                         <div className="text-sm tabular-nums">{amp.toFixed(2)}</div>
@@ -1162,21 +4089,24 @@ export default function SoundWavesPresentationMockup() {
                         <span>0</span>
                         <span>2</span>
                       </div>
-                    </div>
+                    </fieldset>
 
-                    <div className="rounded-2xl border bg-slate-50 p-4">
+                    <fieldset className="lesson-gate rounded-2xl border bg-slate-50 p-4" {...lessonGate("frequency")}>
                       <div className="flex items-center justify-between">
                         <div className="text-sm font-medium">Frequency</div>
-                        <div className="text-sm tabular-nums">{formatHz(freqHz)}</div>
+                        <div className="text-sm tabular-nums">
+                          {formatPitch(freqHz)} · {formatHz(freqHz)}
+                        </div>
                       </div>
                       <input
                         type="range"
-                        min={40}
-                        max={2000}
-                        step={1}
-                        value={freqHz}
-                        onChange={(e) => setFreqHz(parseInt(e.target.value, 10))}
+                        min={midiFromHz(FREQ_CONTROL_RANGE_HZ[0])}
+                        max={midiFromHz(FREQ_CONTROL_RANGE_HZ[1])}
+                        step={0.01}
+                        value={midiFromHz(freqHz)}
+                        onChange={(e) => setControlFreq(hzFromMidi(parseFloat(e.target.value)))}
                         className="mt-3 w-full"
+                        aria-label="Frequency"
                       />
                       <div className="mt-2 flex justify-between text-[11px] text-slate-500">
                         <span>40 Hz</span>
@@ -1199,13 +4129,598 @@ export default function SoundWavesPresentationMockup() {
                           Reset all
                         </button>
                       </div>
-                    </div>
+
+                      <div className="mt-3 flex items-center justify-between gap-2">
+                        <div className="text-xs text-slate-700">Tuning</div>
+                        <button
+                          type="button"
+                          onClick={() => updateTuning({ snap: !tuning.snap })}
+                          aria-pressed={tuning.snap}
+                          className={
+                            "rounded-xl border px-2 py-1 text-xs " +
+                            (tuning.snap ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+                          }
+                        >
+                          {tuning.snap ? "Snap to notes" : "Free"}
+                        </button>
+                      </div>
+                      <div className="mt-2 flex gap-2">
+                        <select
+                          value={tuning.system}
+                          onChange={(e) => updateTuning({ system: e.target.value as TuningSystem })}
+                          className="flex-1 rounded-xl border bg-white px-2 py-1 text-xs"
+                          aria-label="Tuning system"
+                        >
+                          {(Object.keys(TUNING_SYSTEMS) as TuningSystem[]).map((system) => (
+                            <option key={system} value={system}>
+                              {TUNING_SYSTEMS[system].name}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={tuning.root}
+                          onChange={(e) => updateTuning({ root: parseInt(e.target.value, 10) })}
+                          className="rounded-xl border bg-white px-2 py-1 text-xs"
+                          aria-label="Tuning root"
+                        >
+                          {NOTE_NAMES.map((name, pitchClass) => (
+                            <option key={name} value={pitchClass}>
+                              root {name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="mt-1 text-[11px] text-slate-500">
+                        Note names and cents are measured from equal temperament (A4 = 440 Hz), so just and Pythagorean
+                        notes show how far they sit from it.
+                      </div>
+
+                      <div className="mt-3 text-xs text-slate-700">Compare an interval</div>
+                      <div className="mt-2 flex gap-2">
+                        <select
+                          value={compareInterval}
+                          onChange={(e) => setCompareInterval(parseInt(e.target.value, 10))}
+                          className="flex-1 rounded-xl border bg-white px-2 py-1 text-xs"
+                          aria-label="Interval"
+                        >
+                          {INTERVAL_NAMES.slice(1).map((name, i) => (
+                            <option key={name} value={i + 1}>
+                              {name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="mt-2 flex items-center gap-2">
+                        {compareSystems.map((system, i) => (
+                          <select
+                            key={i}
+                            value={system}
+                            onChange={(e) =>
+                              setCompareSystems((prev) => {
+                                const next: [TuningSystem, TuningSystem] = [...prev];
+                                next[i] = e.target.value as TuningSystem;
+                                return next;
+                              })
+                            }
+                            className="flex-1 min-w-0 rounded-xl border bg-white px-2 py-1 text-xs"
+                            aria-label={i === 0 ? "First tuning" : "Second tuning"}
+                          >
+                            {(Object.keys(TUNING_SYSTEMS) as TuningSystem[]).map((option) => (
+                              <option key={option} value={option}>
+                                {TUNING_SYSTEMS[option].name}
+                              </option>
+                            ))}
+                          </select>
+                        ))}
+                      </div>
+                      <div className="mt-2 rounded-xl border bg-white p-2 text-xs text-slate-700">
+                        {compareSystems.map((system, i) => {
+                          const ratio = intervalRatio(system, compareInterval);
+                          return (
+                            <div key={i} className={"flex justify-between gap-2" + (i > 0 ? " mt-1" : "")}>
+                              <span>{TUNING_SYSTEMS[system].name}</span>
+                              <span className="tabular-nums">
+                                {ratioCents(ratio).toFixed(1)}¢ · up to {formatHz(freqHz * ratio)}
+                              </span>
+                            </div>
+                          );
+                        })}
+                      </div>
+                      <button
+                        type="button"
+                        onClick={playTuningCompare}
+                        className="mt-2 w-full rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50"
+                      >
+                        {playing === "tuningCompare" ? "■ Stop" : "▶ Play in both tunings"}
+                      </button>
+                      <div className="mt-1 text-[11px] text-slate-500">
+                        From the frequency above: the two notes in turn, then together, in the first tuning and then the
+                        second.
+                      </div>
+
+                      <EffectHeader
+                        name="Glide"
+                        enabled={glide.enabled}
+                        offLabel="Off"
+                        onToggle={() => setGlide((prev) => ({ ...prev, enabled: !prev.enabled }))}
+                      />
+                      <div className="mt-1 text-[11px] text-slate-500">
+                        Sweeps from the frequency above over {GLIDE_PREVIEW_SECONDS} s here, and over the whole slot on the
+                        timeline.
+                      </div>
+                      <div className="mt-2 flex gap-2">
+                        {(Object.keys(GLIDE_CURVES) as GlideCurve[]).map((curve) => (
+                          <button
+                            key={curve}
+                            type="button"
+                            onClick={() => setGlide((prev) => ({ ...prev, curve }))}
+                            aria-pressed={glide.curve === curve}
+                            className={
+                              "flex-1 rounded-xl border px-2 py-1 text-xs " +
+                              (glide.curve === curve ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+                            }
+                          >
+                            {GLIDE_CURVES[curve].name}
+                          </button>
+                        ))}
+                      </div>
+                      {glide.curve === "semitones" ? (
+                        <EffectSlider
+                          effect="Glide"
+                          label="Interval"
+                          display={`${glide.semitones > 0 ? "+" : ""}${glide.semitones} st → ${formatHz(glideEndFreq(glide, freqHz))}`}
+                          value={glide.semitones}
+                          min={GLIDE_LIMITS.semitones[0]}
+                          max={GLIDE_LIMITS.semitones[1]}
+                          step={1}
+                          onChange={(semitones) => setGlide((prev) => ({ ...prev, semitones }))}
+                        />
+                      ) : (
+                        <EffectSlider
+                          effect="Glide"
+                          label="End frequency"
+                          display={formatHz(glide.endFreqHz)}
+                          value={glide.endFreqHz}
+                          min={GLIDE_LIMITS.endFreqHz[0]}
+                          max={GLIDE_LIMITS.endFreqHz[1]}
+                          step={1}
+                          onChange={(endFreqHz) => setGlide((prev) => ({ ...prev, endFreqHz }))}
+                        />
+                      )}
+                    </fieldset>
+
+                    <fieldset
+                      className="lesson-gate rounded-2xl border bg-slate-50 p-4"
+                      {...lessonGate("interference")}
+                    >
+                      <div className="text-sm font-medium">Interference lab</div>
+                      <div className="mt-1 text-[11px] text-slate-500">
+                        A second oscillator heard together with the modified wave, so you can hear beats and cancellation.
+                        Glide and modulation pause while it is on.
+                      </div>
+
+                      <EffectHeader
+                        name="Second oscillator"
+                        enabled={secondOsc.enabled}
+                        offLabel="Off"
+                        onToggle={() => setSecondOsc((prev) => ({ ...prev, enabled: !prev.enabled }))}
+                      />
+                      <select
+                        value={secondOsc.waveType}
+                        onChange={(e) => setSecondOsc((prev) => ({ ...prev, waveType: e.target.value as WaveType }))}
+                        className="mt-2 w-full rounded-xl border bg-white px-2 py-1 text-xs"
+                        aria-label="Second oscillator wave"
+                      >
+                        {WAVE_TYPES.map((type) => (
+                          <option key={type} value={type}>
+                            {WAVE_DEFINITIONS[type].name}
+                          </option>
+                        ))}
+                      </select>
+                      <EffectSlider
+                        effect="Second oscillator"
+                        label="Frequency"
+                        display={`${secondOsc.freqHz.toFixed(1)} Hz`}
+                        value={secondOsc.freqHz}
+                        min={40}
+                        max={2000}
+                        step={0.5}
+                        onChange={(hz) => setSecondOsc((prev) => ({ ...prev, freqHz: hz }))}
+                      />
+                      <div className="mt-2 flex gap-2">
+                        {[
+                          { label: "−1 Hz", hz: secondOsc.freqHz - 1 },
+                          { label: "Match", hz: freqHz },
+                          { label: "+1 Hz", hz: secondOsc.freqHz + 1 },
+                        ].map(({ label, hz }) => (
+                          <button
+                            key={label}
+                            type="button"
+                            onClick={() => setSecondOsc((prev) => ({ ...prev, freqHz: clamp(hz, 40, 2000) }))}
+                            className="flex-1 rounded-xl border bg-white px-2 py-1 text-xs hover:bg-slate-50"
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      <EffectSlider
+                        effect="Second oscillator"
+                        label="Amplitude"
+                        display={secondOsc.amp.toFixed(2)}
+                        value={secondOsc.amp}
+                        min={0}
+                        max={2}
+                        step={0.01}
+                        onChange={(value) => setSecondOsc((prev) => ({ ...prev, amp: value }))}
+                      />
+                      <EffectSlider
+                        effect="Second oscillator"
+                        label="Phase offset"
+                        display={`${Math.round(secondOsc.phaseDeg)}°`}
+                        value={secondOsc.phaseDeg}
+                        min={0}
+                        max={360}
+                        step={1}
+                        onChange={(phaseDeg) => setSecondOsc((prev) => ({ ...prev, phaseDeg }))}
+                      />
+                      <div className="mt-2 flex gap-2">
+                        {[0, 90, 180].map((deg) => (
+                          <button
+                            key={deg}
+                            type="button"
+                            onClick={() => setSecondOsc((prev) => ({ ...prev, phaseDeg: deg }))}
+                            aria-pressed={secondOsc.phaseDeg === deg}
+                            className={
+                              "flex-1 rounded-xl border px-2 py-1 text-xs " +
+                              (secondOsc.phaseDeg === deg ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+                            }
+                          >
+                            {deg}°
+                          </button>
+                        ))}
+                      </div>
+
+                      <div className="mt-3 flex items-center justify-between gap-2">
+                        <div className="text-xs text-slate-700">Stereo XY</div>
+                        <button
+                          type="button"
+                          onClick={() => setSecondOsc((prev) => ({ ...prev, stereoXY: !prev.stereoXY }))}
+                          aria-pressed={secondOsc.stereoXY}
+                          className={
+                            "rounded-xl border px-2 py-1 text-xs " +
+                            (secondOsc.stereoXY ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+                          }
+                        >
+                          {secondOsc.stereoXY ? "Left / right" : "Mixed"}
+                        </button>
+                      </div>
+                      <div className="mt-1 text-[11px] text-slate-500">
+                        Oscillator 1 on the left, 2 on the right; the inspector draws one against the other, as an
+                        oscilloscope in XY mode.
+                      </div>
+                      <div className="mt-2 flex gap-2">
+                        {LISSAJOUS_RATIOS.map((ratio) => {
+                          const active = secondRatio?.first === ratio.first && secondRatio.second === ratio.second;
+                          return (
+                            <button
+                              key={ratio.interval}
+                              type="button"
+                              onClick={() =>
+                                setSecondOsc((prev) => ({
+                                  ...prev,
+                                  freqHz: clamp((freqHz * ratio.second) / ratio.first, 40, 2000),
+                                }))
+                              }
+                              aria-pressed={active}
+                              title={ratio.interval}
+                              className={
+                                "flex-1 rounded-xl border px-2 py-1 text-xs " +
+                                (active ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+                              }
+                            >
+                              {ratio.first}:{ratio.second}
+                            </button>
+                          );
+                        })}
+                      </div>
+
+                      <div className="mt-3 rounded-xl border bg-white p-2 text-xs text-slate-700">
+                        <div className="flex justify-between gap-2">
+                          <span>Beat frequency</span>
+                          <span className="tabular-nums">
+                            {beatHz === 0
+                              ? "none (same frequency)"
+                              : `${beatHz.toFixed(1)} Hz · a swell every ${Math.round(1000 / beatHz)} ms`}
+                          </span>
+                        </div>
+                        <div className="mt-1 flex justify-between gap-2">
+                          <span>Phase difference</span>
+                          <span className="tabular-nums">
+                            {beatHz === 0
+                              ? `${Math.round(secondOsc.phaseDeg)}° · ${PHASE_RELATION_TEXT[phaseRelation(secondOsc.phaseDeg)]}`
+                              : `${Math.round(secondOsc.phaseDeg)}° at note-on, turning 360° per beat`}
+                          </span>
+                        </div>
+                        {beatHz === 0 && waveType === "sine" && secondOsc.waveType === "sine" && (
+                          <div className="mt-1 flex justify-between gap-2">
+                            <span>Peak of the sum</span>
+                            <span className="tabular-nums">
+                              {sineSumAmplitude(amp, secondOsc.amp, secondOsc.phaseDeg).toFixed(2)}
+                            </span>
+                          </div>
+                        )}
+                        <div className="mt-1 flex justify-between gap-2">
+                          <span>Frequency ratio</span>
+                          <span className="tabular-nums">
+                            {secondRatio
+                              ? `${secondRatio.first}:${secondRatio.second}` +
+                                (ratioInterval(secondRatio) ? ` · ${ratioInterval(secondRatio)}` : "")
+                              : "no simple ratio: the figure turns"}
+                          </span>
+                        </div>
+                        {beatHz > 20 && (
+                          <div className="mt-1 text-[11px] text-slate-500">
+                            Above about 20 Hz the beats blur into roughness, then into two separate pitches.
+                          </div>
+                        )}
+                      </div>
+                    </fieldset>
+
+                    <fieldset className="lesson-gate rounded-2xl border bg-slate-50 p-4" {...lessonGate("envelope")}>
+                      <div className="text-sm font-medium">Envelope (ADSR)</div>
+                      <div className="mt-2 flex gap-2">
+                        {ENVELOPE_PRESETS.map((preset) => (
+                          <button
+                            key={preset.name}
+                            type="button"
+                            onClick={() => setEnvelope(preset.envelope)}
+                            className="flex-1 rounded-xl border bg-white px-2 py-1 text-xs hover:bg-slate-50"
+                          >
+                            {preset.name}
+                          </button>
+                        ))}
+                      </div>
+                      {(
+                        [
+                          { key: "attackSec", label: "Attack", unit: "s" },
+                          { key: "decaySec", label: "Decay", unit: "s" },
+                          { key: "sustain", label: "Sustain", unit: "" },
+                          { key: "releaseSec", label: "Release", unit: "s" },
+                        ] as const
+                      ).map(({ key, label, unit }) => (
+                        <div key={key} className="mt-3">
+                          <div className="flex items-center justify-between text-xs text-slate-600">
+                            <span>{label}</span>
+                            <span className="tabular-nums">
+                              {envelope[key].toFixed(2)}
+                              {unit}
+                            </span>
+                          </div>
+                          <input
+                            type="range"
+                            min={0}
+                            max={ENVELOPE_LIMITS[key]}
+                            step={0.01}
+                            value={envelope[key]}
+                            onChange={(e) => {
+                              const value = parseFloat(e.target.value);
+                              setEnvelope((prev) => ({ ...prev, [key]: value }));
+                            }}
+                            className="w-full"
+                            aria-label={`Envelope ${label.toLowerCase()}`}
+                          />
+                        </div>
+                      ))}
+                    </fieldset>
+
+                    <fieldset className="lesson-gate rounded-2xl border bg-slate-50 p-4" {...lessonGate("modulation")}>
+                      <div className="text-sm font-medium">Modulation</div>
+                      <div className="mt-1 text-[11px] text-slate-500">
+                        Heard on the modified wave and drawn in the plot over a longer window. Slots keep the modulation set when
+                        they were placed.
+                      </div>
+
+                      <EffectHeader
+                        name="Vibrato"
+                        enabled={modulation.vibrato.enabled}
+                        onToggle={() => updateModulation("vibrato", { enabled: !modulation.vibrato.enabled })}
+                      />
+                      <EffectSlider
+                        effect="Vibrato"
+                        label="Rate"
+                        display={`${modulation.vibrato.rateHz.toFixed(1)} Hz`}
+                        value={modulation.vibrato.rateHz}
+                        min={MODULATION_LIMITS.vibratoRateHz[0]}
+                        max={MODULATION_LIMITS.vibratoRateHz[1]}
+                        step={0.1}
+                        onChange={(rateHz) => updateModulation("vibrato", { rateHz })}
+                      />
+                      <EffectSlider
+                        effect="Vibrato"
+                        label="Depth"
+                        display={`±${Math.round(modulation.vibrato.depthCents)} cents`}
+                        value={modulation.vibrato.depthCents}
+                        min={MODULATION_LIMITS.depthCents[0]}
+                        max={MODULATION_LIMITS.depthCents[1]}
+                        step={1}
+                        onChange={(depthCents) => updateModulation("vibrato", { depthCents })}
+                      />
+
+                      <EffectHeader
+                        name="Tremolo"
+                        enabled={modulation.tremolo.enabled}
+                        onToggle={() => updateModulation("tremolo", { enabled: !modulation.tremolo.enabled })}
+                      />
+                      <EffectSlider
+                        effect="Tremolo"
+                        label="Rate"
+                        display={`${modulation.tremolo.rateHz.toFixed(1)} Hz`}
+                        value={modulation.tremolo.rateHz}
+                        min={MODULATION_LIMITS.tremoloRateHz[0]}
+                        max={MODULATION_LIMITS.tremoloRateHz[1]}
+                        step={0.1}
+                        onChange={(rateHz) => updateModulation("tremolo", { rateHz })}
+                      />
+                      <EffectSlider
+                        effect="Tremolo"
+                        label="Depth"
+                        display={`${Math.round(modulation.tremolo.depth * 100)}%`}
+                        value={modulation.tremolo.depth}
+                        min={MODULATION_LIMITS.tremoloDepth[0]}
+                        max={MODULATION_LIMITS.tremoloDepth[1]}
+                        step={0.01}
+                        onChange={(depth) => updateModulation("tremolo", { depth })}
+                      />
+
+                      <EffectHeader
+                        name="FM"
+                        enabled={modulation.fm.enabled}
+                        onToggle={() => updateModulation("fm", { enabled: !modulation.fm.enabled })}
+                      />
+                      <EffectSlider
+                        effect="FM"
+                        label="Ratio"
+                        display={`${modulation.fm.ratio.toFixed(2)} × (${formatHz(modulation.fm.ratio * freqHz)})`}
+                        value={modulation.fm.ratio}
+                        min={MODULATION_LIMITS.fmRatio[0]}
+                        max={MODULATION_LIMITS.fmRatio[1]}
+                        step={0.25}
+                        onChange={(ratio) => updateModulation("fm", { ratio })}
+                      />
+                      <EffectSlider
+                        effect="FM"
+                        label="Index"
+                        display={modulation.fm.index.toFixed(2)}
+                        value={modulation.fm.index}
+                        min={MODULATION_LIMITS.fmIndex[0]}
+                        max={MODULATION_LIMITS.fmIndex[1]}
+                        step={0.05}
+                        onChange={(index) => updateModulation("fm", { index })}
+                      />
+                    </fieldset>
+
+                    <fieldset className="lesson-gate rounded-2xl border bg-slate-50 p-4" {...lessonGate("effects")}>
+                      <div className="text-sm font-medium">Effects</div>
+                      <div className="mt-1 text-[11px] text-slate-500">
+                        Heard on the modified wave. Slots placed on the timeline keep the effects set when they were placed.
+                      </div>
+
+                      <EffectHeader
+                        name="Filter"
+                        enabled={effects.filter.enabled}
+                        onToggle={() => updateEffects("filter", { enabled: !effects.filter.enabled })}
+                      />
+                      <div className="mt-2 flex gap-2">
+                        {FILTER_MODES.map((mode) => (
+                          <button
+                            key={mode}
+                            type="button"
+                            onClick={() => updateEffects("filter", { mode })}
+                            aria-pressed={effects.filter.mode === mode}
+                            className={
+                              "flex-1 rounded-xl border px-2 py-1 text-xs " +
+                              (effects.filter.mode === mode ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+                            }
+                          >
+                            {mode === "lowpass" ? "Low-pass" : "High-pass"}
+                          </button>
+                        ))}
+                      </div>
+                      <EffectSlider
+                        effect="Filter"
+                        label="Cutoff"
+                        display={formatHz(effects.filter.cutoffHz)}
+                        // Log scale: equal slider steps are equal musical intervals.
+                        value={cutoffToSlider(effects.filter.cutoffHz)}
+                        min={0}
+                        max={1}
+                        step={0.001}
+                        onChange={(v) => updateEffects("filter", { cutoffHz: sliderToCutoff(v) })}
+                      />
+                      <EffectSlider
+                        effect="Filter"
+                        label="Resonance (Q)"
+                        display={effects.filter.q.toFixed(2)}
+                        value={effects.filter.q}
+                        min={EFFECT_LIMITS.q[0]}
+                        max={EFFECT_LIMITS.q[1]}
+                        step={0.01}
+                        onChange={(q) => updateEffects("filter", { q })}
+                      />
+
+                      <EffectHeader
+                        name="Delay"
+                        enabled={effects.delay.enabled}
+                        onToggle={() => updateEffects("delay", { enabled: !effects.delay.enabled })}
+                      />
+                      <EffectSlider
+                        effect="Delay"
+                        label="Time"
+                        display={`${Math.round(effects.delay.timeSec * 1000)} ms`}
+                        value={effects.delay.timeSec}
+                        min={EFFECT_LIMITS.timeSec[0]}
+                        max={EFFECT_LIMITS.timeSec[1]}
+                        step={0.01}
+                        onChange={(timeSec) => updateEffects("delay", { timeSec })}
+                      />
+                      <EffectSlider
+                        effect="Delay"
+                        label="Feedback"
+                        display={`${Math.round(effects.delay.feedback * 100)}%`}
+                        value={effects.delay.feedback}
+                        min={EFFECT_LIMITS.feedback[0]}
+                        max={EFFECT_LIMITS.feedback[1]}
+                        step={0.01}
+                        onChange={(feedback) => updateEffects("delay", { feedback })}
+                      />
+                      <EffectSlider
+                        effect="Delay"
+                        label="Mix"
+                        display={`${Math.round(effects.delay.mix * 100)}%`}
+                        value={effects.delay.mix}
+                        min={EFFECT_LIMITS.mix[0]}
+                        max={EFFECT_LIMITS.mix[1]}
+                        step={0.01}
+                        onChange={(mix) => updateEffects("delay", { mix })}
+                      />
+
+                      <EffectHeader
+                        name="Reverb"
+                        enabled={effects.reverb.enabled}
+                        onToggle={() => updateEffects("reverb", { enabled: !effects.reverb.enabled })}
+                      />
+                      <div className="mt-2 flex gap-2">
+                        {(Object.keys(REVERB_SPACES) as ReverbSpace[]).map((space) => (
+                          <button
+                            key={space}
+                            type="button"
+                            onClick={() => updateEffects("reverb", { space })}
+                            aria-pressed={effects.reverb.space === space}
+                            title={`Decays in ${REVERB_SPACES[space].decaySec} s`}
+                            className={
+                              "flex-1 rounded-xl border px-2 py-1 text-xs " +
+                              (effects.reverb.space === space ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+                            }
+                          >
+                            {REVERB_SPACES[space].name}
+                          </button>
+                        ))}
+                      </div>
+                      <EffectSlider
+                        effect="Reverb"
+                        label="Mix"
+                        display={`${Math.round(effects.reverb.mix * 100)}%`}
+                        value={effects.reverb.mix}
+                        min={EFFECT_LIMITS.mix[0]}
+                        max={EFFECT_LIMITS.mix[1]}
+                        step={0.01}
+                        onChange={(mix) => updateEffects("reverb", { mix })}
+                      />
+                    </fieldset>
 
                     <div className="rounded-2xl border p-4">
                       <div className="text-xs uppercase tracking-wider text-slate-500">Current selection</div>
-                      <div className="mt-1 font-semibold">
-                        {WAVE_TILES.find((w) => w.type === waveType)?.name ?? waveType}
-                      </div>
+                      <div className="mt-1 font-semibold">{WAVE_DEFINITIONS[waveType].name}</div>
                       <div className="mt-1 text-sm text-slate-600">{formatHz(freqHz)} · amp {amp.toFixed(2)}</div>
                       <div className="mt-2 text-[11px] text-slate-500">
                         Use the play/pause button in the Controls header to hear this modified waveform for up to 10 seconds.
@@ -1218,12 +4733,15 @@ export default function SoundWavesPresentationMockup() {
           </div>
 
           {/* PRODUCE (1/3 height) */}
-          <div className="flex-[1]">
+          <fieldset className="lesson-gate flex-[1]" {...lessonGate("timeline")}>
             <div className="h-full rounded-3xl border bg-white shadow-sm overflow-hidden flex flex-col">
               <div className="px-6 py-4 border-b flex items-center justify-between">
                 <div>
                   <div className="text-xs uppercase tracking-wider text-slate-500">3) Produce</div>
-                  <div className="text-lg font-semibold">10-second Timeline</div>
+                  <div className="text-lg font-semibold">
+                    {formatSeconds(Math.round(timelineTotalSec * 100) / 100)}-second Timeline · {tracks.length}{" "}
+                    {tracks.length === 1 ? "track" : "tracks"}
+                  </div>
                 </div>
 
                 <div className="flex items-center gap-2">
@@ -1232,7 +4750,53 @@ export default function SoundWavesPresentationMockup() {
                     disabled={!hasTimelineContent}
                     className="rounded-xl bg-slate-900 text-white px-3 py-2 text-sm hover:bg-slate-800 disabled:cursor-not-allowed disabled:bg-slate-300"
                   >
-                    {playing === "timeline" ? "Playing…" : "Play all"}
+                    {playing === "timeline" ? "■ Stop" : loopRange ? "Play loop" : "Play all"}
+                  </button>
+                  <select
+                    value={exportSampleRate}
+                    onChange={(e) => setExportSampleRate(parseInt(e.target.value, 10))}
+                    className="rounded-xl border bg-white px-2 py-2 text-sm"
+                    aria-label="Export sample rate"
+                  >
+                    {WAV_SAMPLE_RATES.map((rate) => (
+                      <option key={rate} value={rate}>
+                        {(rate / 1000).toFixed(rate % 1000 === 0 ? 0 : 2)} kHz
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={exportBitDepth}
+                    onChange={(e) => setExportBitDepth(parseInt(e.target.value, 10) as WavBitDepth)}
+                    className="rounded-xl border bg-white px-2 py-2 text-sm"
+                    aria-label="Export bit depth"
+                  >
+                    {WAV_BIT_DEPTHS.map((depth) => (
+                      <option key={depth} value={depth}>
+                        {depth === 32 ? "32-bit float" : `${depth}-bit`}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={exportTimelineWav}
+                    disabled={!hasTimelineContent || exportState === "rendering"}
+                    className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50 disabled:cursor-not-allowed"
+                    title={exportState === "failed" ? "Export failed. Check the console and try again." : "Download the timeline as a WAV file"}
+                  >
+                    {exportState === "rendering" ? "Rendering…" : exportState === "failed" ? "Export failed" : "Export WAV"}
+                  </button>
+                  <button
+                    onClick={() => void copyShareLink()}
+                    className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50"
+                    title="Copy a link that opens this exact tune"
+                  >
+                    Copy link
+                  </button>
+                  <button
+                    onClick={addTrack}
+                    disabled={tracks.length >= MAX_TRACK_COUNT}
+                    className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50 disabled:cursor-not-allowed"
+                  >
+                    + Track
                   </button>
                   <button
                     onClick={clearTimeline}
@@ -1245,8 +4809,161 @@ export default function SoundWavesPresentationMockup() {
 
               <div className="flex-1 p-6 flex flex-col min-h-0">
                 {/* timeline transport + slots */}
-                <div className="min-h-0">
+                <div className="min-h-0 overflow-auto">
+                  <div className="mb-3 flex flex-wrap items-center gap-3 text-xs text-slate-600">
+                    <div className="flex items-center gap-1">
+                      <span>Tempo</span>
+                      <input
+                        type="number"
+                        min={TEMPO_LIMITS.bpm[0]}
+                        max={TEMPO_LIMITS.bpm[1]}
+                        step={1}
+                        value={tempo.bpm}
+                        onChange={(e) => changeBpm(parseFloat(e.target.value))}
+                        className="rounded-xl border bg-white px-2 py-1 text-xs tabular-nums"
+                        style={{ width: "64px" }}
+                        aria-label="Tempo in beats per minute"
+                      />
+                      <span>bpm</span>
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <select
+                        value={tempo.beatsPerBar}
+                        onChange={(e) => setTempo((prev) => ({ ...prev, beatsPerBar: parseInt(e.target.value, 10) }))}
+                        className="rounded-xl border bg-white px-2 py-1 text-xs"
+                        aria-label="Beats per bar"
+                      >
+                        {Array.from({ length: TEMPO_LIMITS.beatsPerBar[1] }, (_, i) => i + 1).map((beats) => (
+                          <option key={beats} value={beats}>
+                            {beats}
+                          </option>
+                        ))}
+                      </select>
+                      <span>/</span>
+                      <select
+                        value={tempo.beatUnit}
+                        onChange={(e) =>
+                          setTempo((prev) => ({ ...prev, beatUnit: parseInt(e.target.value, 10) as BeatUnit }))
+                        }
+                        className="rounded-xl border bg-white px-2 py-1 text-xs"
+                        aria-label="Beat unit"
+                      >
+                        {BEAT_UNITS.map((unit) => (
+                          <option key={unit} value={unit}>
+                            {unit}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setMetronomeOn((prev) => !prev)}
+                      aria-pressed={metronomeOn}
+                      className={
+                        "rounded-xl border px-2 py-1 text-xs " +
+                        (metronomeOn ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+                      }
+                      title="Click on every beat during playback"
+                    >
+                      Metronome
+                    </button>
+                    <div className="flex items-center gap-1">
+                      <select
+                        value={loop.mode}
+                        onChange={(e) => setLoop((prev) => ({ ...prev, mode: e.target.value as typeof loop.mode }))}
+                        className="rounded-xl border bg-white px-2 py-1 text-xs"
+                        aria-label="Loop"
+                      >
+                        <option value="off">No loop</option>
+                        <option value="all">Loop all</option>
+                        <option value="bars">Loop bars</option>
+                      </select>
+                      {loop.mode === "bars" && (
+                        <>
+                          <input
+                            type="number"
+                            min={1}
+                            max={timelineBars}
+                            step={1}
+                            value={loop.fromBar}
+                            onChange={(e) => {
+                              const fromBar = clamp(parseInt(e.target.value, 10) || 1, 1, timelineBars);
+                              setLoop((prev) => ({ ...prev, fromBar, toBar: Math.max(fromBar, prev.toBar) }));
+                            }}
+                            className="rounded-xl border bg-white px-2 py-1 text-xs tabular-nums"
+                            style={{ width: "52px" }}
+                            aria-label="Loop from bar"
+                          />
+                          <span>to</span>
+                          <input
+                            type="number"
+                            min={loop.fromBar}
+                            max={timelineBars}
+                            step={1}
+                            value={loop.toBar}
+                            onChange={(e) => {
+                              const toBar = clamp(parseInt(e.target.value, 10) || 1, 1, timelineBars);
+                              setLoop((prev) => ({ ...prev, toBar, fromBar: Math.min(prev.fromBar, toBar) }));
+                            }}
+                            className="rounded-xl border bg-white px-2 py-1 text-xs tabular-nums"
+                            style={{ width: "52px" }}
+                            aria-label="Loop to bar"
+                          />
+                        </>
+                      )}
+                    </div>
+                    <div className="flex gap-1">
+                      {(["seconds", "beats"] as const).map((units) => (
+                        <button
+                          key={units}
+                          type="button"
+                          onClick={() => setTimelineUnits(units)}
+                          aria-pressed={timelineUnits === units}
+                          className={
+                            "rounded-xl border px-2 py-1 text-xs " +
+                            (timelineUnits === units ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+                          }
+                        >
+                          {units === "seconds" ? "Seconds" : "Bars & beats"}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* beat grid: a tick per beat (or per few bars on long timelines), bar numbers on downbeats */}
+                  <div className="relative w-full" style={{ height: "16px" }} aria-hidden="true">
+                    {timelineTotalSec > 0 &&
+                      timelineGrid.map((line) => (
+                        <div
+                          key={line.timeSec}
+                          className="absolute"
+                          style={{
+                            left: `${(line.timeSec / timelineTotalSec) * 100}%`,
+                            bottom: 0,
+                            width: "1px",
+                            height: line.downbeat ? "16px" : "6px",
+                            background: line.downbeat ? "rgb(100,116,139)" : "rgb(203,213,225)",
+                          }}
+                        >
+                          {line.downbeat && line.timeSec < timelineTotalSec && (
+                            <span className="absolute text-[10px] text-slate-500" style={{ left: "3px", top: "-2px" }}>
+                              {line.bar}
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                  </div>
                   <div className="mb-3 relative h-2 w-full rounded-full bg-slate-200" aria-hidden="true">
+                    {loopRange && timelineTotalSec > 0 && (
+                      <div
+                        className="absolute h-full rounded-full"
+                        style={{
+                          left: `${(loopRange.fromSec / timelineTotalSec) * 100}%`,
+                          width: `${((loopRange.toSec - loopRange.fromSec) / timelineTotalSec) * 100}%`,
+                          background: "rgba(217,119,6,0.35)",
+                        }}
+                      />
+                    )}
                     <div
                       className="h-full rounded-full bg-blue-500 transition-[width] duration-100"
                       style={{ width: `${timelineProgressPct}%` }}
@@ -1259,86 +4976,285 @@ export default function SoundWavesPresentationMockup() {
                     )}
                   </div>
 
-                  <div className="grid grid-cols-5 gap-3 min-h-0">
-                    {slots.map((slot, i) => {
-                      const label = timeLabelForSlot(i);
-                      const filled = slot.kind === "wave";
-                      const isActive = activeTimelineSlot === i;
-                      const miniPath = filled
-                        ? makeWavePath({
-                            type: slot.type,
-                            amp: slot.amp,
-                            freqHz: slot.freqHz,
-                            width: 220,
-                            height: 80,
-                            seconds: 0.02,
-                            samples: 120,
-                            yPad: 10,
-                            customModes: slot.customModes ?? customModes,
-                          })
-                        : null;
+                  <div className="space-y-5">
+                    {tracks.map((track, trackIndex) => {
+                      const timing = trackTimings[trackIndex];
+                      const activeSlot =
+                        timelineElapsedSec == null ? null : activeSlotIndex(track.slots, timing.starts, timelineElapsedSec);
+                      const audible = trackGains[trackIndex] > 0;
 
                       return (
-                        <div key={i} className="flex flex-col min-h-0">
-                          <div
-                            className={
-                              "relative flex-1 rounded-2xl border p-3 bg-slate-50 flex flex-col min-h-0 transition-colors duration-200 " +
-                              (filled ? "border-slate-300" : "border-dashed border-slate-300") +
-                              (isActive
-                                ? " ring-2 ring-blue-200 border-blue-400 bg-blue-50 shadow-lg"
-                                : "")
-                            }
-                            style={{
-                              transform: isActive ? "scale(1.15)" : "scale(1)",
-                              transformOrigin: "center",
-                              transition: "transform 180ms ease, background-color 180ms ease, border-color 180ms ease",
-                              willChange: "transform",
-                            }}
-                          >
-                            {isActive && (
-                              <div className="absolute top-2 right-2 rounded-full bg-blue-600 text-white text-[10px] px-2 py-0.5 animate-pulse">
-                                Playing
-                              </div>
-                            )}
-
+                        <div key={track.id} className="flex gap-3 min-h-0" style={{ opacity: audible ? 1 : 0.55 }}>
+                          {/* Mixer strip */}
+                          <div className="w-[140px] shrink-0 rounded-2xl border bg-slate-50 p-3 flex flex-col gap-2">
                             <div className="flex items-center justify-between">
-                              <div className="text-xs uppercase tracking-wider text-slate-500">Slot {i + 1}</div>
-                              <div className="text-xs text-slate-500 tabular-nums">{label}</div>
+                              <div className="text-sm font-semibold truncate">{track.name}</div>
+                              <button
+                                type="button"
+                                onClick={() => removeTrack(track.id)}
+                                disabled={tracks.length <= 1}
+                                className="rounded-xl border bg-white px-2 py-1 text-xs hover:bg-slate-50"
+                                title="Remove track"
+                                aria-label={`Remove ${track.name}`}
+                              >
+                                ✕
+                              </button>
                             </div>
-
-                            <div className="mt-2 rounded-xl bg-white border flex-1 min-h-0 overflow-hidden">
-                              {filled ? (
-                                <svg viewBox="0 0 220 80" className="w-full h-full block" preserveAspectRatio="none">
-                                  <line x1="0" y1="40" x2="220" y2="40" stroke="rgb(226,232,240)" strokeWidth="2" />
-                                  <path d={miniPath!} fill="none" stroke="rgb(15,23,42)" strokeWidth="3" />
-                                </svg>
-                              ) : (
-                                <div className="h-full w-full flex items-center justify-center text-xs text-slate-400">
-                                  empty
-                                </div>
-                              )}
+                            <div className="flex items-center justify-between text-xs text-slate-500">
+                              <span>Gain</span>
+                              <span className="tabular-nums">{track.gain.toFixed(2)}</span>
                             </div>
-
-                            {isActive && (
-                              <div className="mt-2 h-1 w-full rounded-full bg-blue-100 overflow-hidden" aria-hidden="true">
-                                <div
-                                  className="h-full bg-blue-500 transition-[width] duration-100"
-                                  style={{ width: `${slotProgressWithinActive * 100}%` }}
-                                />
-                              </div>
-                            )}
-
-                            <div className="mt-2 text-xs text-slate-600 truncate">
-                              {filled ? slot.label : "—"}
+                            <input
+                              type="range"
+                              min={0}
+                              max={1.5}
+                              step={0.01}
+                              value={track.gain}
+                              onChange={(e) => updateTrack(track.id, (t) => ({ ...t, gain: parseFloat(e.target.value) }))}
+                              className="w-full"
+                              aria-label={`${track.name} gain`}
+                            />
+                            <div className="flex gap-2">
+                              <button
+                                type="button"
+                                onClick={() => updateTrack(track.id, (t) => ({ ...t, muted: !t.muted }))}
+                                aria-pressed={track.muted}
+                                className={
+                                  "flex-1 rounded-xl border px-2 py-1 text-xs " +
+                                  (track.muted ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")
+                                }
+                                title="Mute"
+                              >
+                                M
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => updateTrack(track.id, (t) => ({ ...t, solo: !t.solo }))}
+                                aria-pressed={track.solo}
+                                className={
+                                  "flex-1 rounded-xl border px-2 py-1 text-xs " +
+                                  (track.solo ? "bg-blue-600 text-white" : "bg-white hover:bg-slate-50")
+                                }
+                                title="Solo"
+                              >
+                                S
+                              </button>
                             </div>
+                            <button
+                              type="button"
+                              onClick={() => addSlot(track.id)}
+                              disabled={track.slots.length >= MAX_SLOT_COUNT}
+                              className="rounded-xl border bg-white px-2 py-1 text-xs hover:bg-slate-50"
+                            >
+                              + Clip
+                            </button>
                           </div>
 
-                          <button
-                            onClick={() => placeInSlot(i)}
-                            className="mt-2 rounded-xl bg-slate-900 text-white px-3 py-2 text-sm hover:bg-slate-800"
-                          >
-                            Add here
-                          </button>
+                          <div className="flex-1 flex gap-3 min-h-0">
+                            {track.slots.map((slot, i) => {
+                              const label =
+                                timelineUnits === "beats"
+                                  ? `${formatBarBeat(tempo, timing.starts[i])}–` +
+                                    formatBarBeat(tempo, timing.starts[i] + slot.durationSec)
+                                  : timeLabelForSlot(timing.starts[i], slot.durationSec);
+                              const noteValue = NOTE_VALUES.find(
+                                (value) => Math.abs(noteValueSeconds(tempo, value.quarters) - slot.durationSec) < 1e-6
+                              );
+                              const filled = slot.kind !== "empty";
+                              const isActive = activeSlot === i;
+                              const progressWithinSlot =
+                                isActive && timelineElapsedSec != null
+                                  ? clamp((timelineElapsedSec - timing.starts[i]) / slot.durationSec, 0, 1)
+                                  : 0;
+                              const miniPath = slot.kind !== "empty" ? makeSlotPreviewPath(slot, customModes) : null;
+
+                              return (
+                                <div
+                                  key={slot.id}
+                                  className="flex flex-col min-h-0"
+                                  style={{
+                                    flex: `${slot.durationSec} 1 0%`,
+                                    minWidth: "140px",
+                                    opacity: draggedSlot?.slotId === slot.id ? 0.5 : 1,
+                                  }}
+                                  draggable
+                                  onDragStart={(e) => {
+                                    e.dataTransfer.effectAllowed = "move";
+                                    e.dataTransfer.setData("text/plain", slot.id);
+                                    setDraggedSlot({ trackId: track.id, slotId: slot.id });
+                                  }}
+                                  onDragOver={(e) => {
+                                    if (draggedSlot == null) return;
+                                    e.preventDefault();
+                                    e.dataTransfer.dropEffect = "move";
+                                  }}
+                                  onDrop={(e) => {
+                                    e.preventDefault();
+                                    if (draggedSlot != null) moveSlot(draggedSlot, track.id, i);
+                                    setDraggedSlot(null);
+                                  }}
+                                  onDragEnd={() => setDraggedSlot(null)}
+                                >
+                                  <div
+                                    className={
+                                      "relative flex-1 rounded-2xl border p-3 bg-slate-50 flex flex-col min-h-0 transition-colors duration-200 " +
+                                      (filled ? "border-slate-300" : "border-dashed border-slate-300") +
+                                      (isActive
+                                        ? " ring-2 ring-blue-200 border-blue-400 bg-blue-50 shadow-lg"
+                                        : "")
+                                    }
+                                    style={{
+                                      transform: isActive ? "scale(1.15)" : "scale(1)",
+                                      transformOrigin: "center",
+                                      transition: "transform 180ms ease, background-color 180ms ease, border-color 180ms ease",
+                                      willChange: "transform",
+                                    }}
+                                  >
+                                    {isActive && (
+                                      <div className="absolute top-2 right-2 rounded-full bg-blue-600 text-white text-[10px] px-2 py-0.5 animate-pulse">
+                                        Playing
+                                      </div>
+                                    )}
+
+                                    <div className="flex items-center justify-between">
+                                      <div
+                                        className="text-xs uppercase tracking-wider text-slate-500"
+                                        style={{ cursor: "grab" }}
+                                        title="Drag to reorder"
+                                      >
+                                        ⠿ Slot {i + 1}
+                                      </div>
+                                      <div className="text-xs text-slate-500 tabular-nums">{label}</div>
+                                    </div>
+
+                                    <div className="mt-2 rounded-xl bg-white border flex-1 min-h-0 overflow-hidden">
+                                      {filled ? (
+                                        <svg viewBox="0 0 220 80" className="w-full h-full block" preserveAspectRatio="none">
+                                          <line x1="0" y1="40" x2="220" y2="40" stroke="rgb(226,232,240)" strokeWidth="2" />
+                                          <path d={miniPath!} fill="none" stroke="rgb(15,23,42)" strokeWidth="3" />
+                                        </svg>
+                                      ) : (
+                                        <div className="h-full w-full flex items-center justify-center text-xs text-slate-400">
+                                          empty
+                                        </div>
+                                      )}
+                                    </div>
+
+                                    {isActive && (
+                                      <div className="mt-2 h-1 w-full rounded-full bg-blue-100 overflow-hidden" aria-hidden="true">
+                                        <div
+                                          className="h-full bg-blue-500 transition-[width] duration-100"
+                                          style={{ width: `${progressWithinSlot * 100}%` }}
+                                        />
+                                      </div>
+                                    )}
+
+                                    <div className="mt-2 text-xs text-slate-600 truncate">
+                                      {filled ? slot.label : "—"}
+                                    </div>
+
+                                    <div className="mt-2 flex items-center gap-2 text-xs text-slate-500">
+                                      {timelineUnits === "beats" ? (
+                                        <>
+                                          <input
+                                            type="number"
+                                            min={secondsToBeats(tempo, MIN_SLOT_SECONDS)}
+                                            max={secondsToBeats(tempo, MAX_SLOT_SECONDS)}
+                                            step={0.25}
+                                            value={secondsToBeats(tempo, slot.durationSec)}
+                                            onChange={(e) =>
+                                              setSlotDuration(
+                                                track.id,
+                                                slot.id,
+                                                parseFloat(e.target.value) * beatSeconds(tempo)
+                                              )
+                                            }
+                                            className="w-full rounded-xl border bg-white px-2 py-1 text-xs tabular-nums"
+                                            aria-label={`${track.name} slot ${i + 1} duration in beats`}
+                                          />
+                                          <span>beats</span>
+                                        </>
+                                      ) : (
+                                        <>
+                                          <input
+                                            type="number"
+                                            min={MIN_SLOT_SECONDS}
+                                            max={MAX_SLOT_SECONDS}
+                                            step={0.25}
+                                            value={slot.durationSec}
+                                            onChange={(e) => setSlotDuration(track.id, slot.id, parseFloat(e.target.value))}
+                                            className="w-full rounded-xl border bg-white px-2 py-1 text-xs tabular-nums"
+                                            aria-label={`${track.name} slot ${i + 1} duration in seconds`}
+                                          />
+                                          <span>s</span>
+                                        </>
+                                      )}
+                                      <button
+                                        type="button"
+                                        onClick={() => duplicateSlot(track.id, slot.id)}
+                                        disabled={track.slots.length >= MAX_SLOT_COUNT}
+                                        className="rounded-xl border bg-white px-2 py-1 hover:bg-slate-50"
+                                        title="Duplicate clip"
+                                        aria-label={`Duplicate ${track.name} slot ${i + 1}`}
+                                      >
+                                        ⧉
+                                      </button>
+                                      <button
+                                        type="button"
+                                        onClick={() => removeSlot(track.id, slot.id)}
+                                        disabled={track.slots.length <= 1}
+                                        className="rounded-xl border bg-white px-2 py-1 hover:bg-slate-50"
+                                        title="Remove clip"
+                                        aria-label={`Remove ${track.name} slot ${i + 1}`}
+                                      >
+                                        ✕
+                                      </button>
+                                    </div>
+
+                                    {timelineUnits === "beats" && (
+                                      <select
+                                        value={noteValue?.quarters ?? ""}
+                                        onChange={(e) =>
+                                          setSlotDuration(
+                                            track.id,
+                                            slot.id,
+                                            noteValueSeconds(tempo, parseFloat(e.target.value))
+                                          )
+                                        }
+                                        className="mt-2 w-full rounded-xl border bg-white px-2 py-1 text-xs"
+                                        aria-label={`${track.name} slot ${i + 1} note value`}
+                                      >
+                                        {!noteValue && (
+                                          <option value="" disabled>
+                                            Note value…
+                                          </option>
+                                        )}
+                                        {NOTE_VALUES.map((value) => {
+                                          const sec = noteValueSeconds(tempo, value.quarters);
+                                          return (
+                                            <option
+                                              key={value.name}
+                                              value={value.quarters}
+                                              disabled={sec < MIN_SLOT_SECONDS || sec > MAX_SLOT_SECONDS}
+                                            >
+                                              {value.name}
+                                            </option>
+                                          );
+                                        })}
+                                      </select>
+                                    )}
+                                  </div>
+
+                                  <button
+                                    onClick={() => placeInSlot(track.id, i)}
+                                    className="mt-2 rounded-xl bg-slate-900 text-white px-3 py-2 text-sm hover:bg-slate-800"
+                                  >
+                                    Add here
+                                  </button>
+                                </div>
+                              );
+                            })}
+                          </div>
                         </div>
                       );
                     })}
@@ -1347,12 +5263,12 @@ export default function SoundWavesPresentationMockup() {
 
 
                 <div className="mt-4 text-xs text-slate-500">
-                  Each slot is a 2-second region (total 10 seconds). “Add here” copies the current modified wave (type, amplitude,
-                  frequency) into that slot.
+                  Tracks play together; each clip has its own length, in seconds or in beats and note values at the tempo
+                  above, and can be dragged to reorder it or move it to another track. “Add here” copies the current modified wave (type, amplitude, frequency) into that clip.
                 </div>
               </div>
             </div>
-          </div>
+          </fieldset>
         </div>
       </div>
 
@@ -1362,7 +5278,11 @@ export default function SoundWavesPresentationMockup() {
             <div className="px-6 py-4 border-b bg-slate-50 flex items-center justify-between">
               <div>
                 <div className="text-xs uppercase tracking-wider text-slate-500">Custom waveform applet</div>
-                <div className="text-lg font-semibold">Mix {CUSTOM_MODE_COUNT} sine modes</div>
+                <div className="text-lg font-semibold">
+                  {customApproximation
+                    ? `${WAVE_DEFINITIONS[customApproximation.type].name} wave ≈ ${CUSTOM_MODE_COUNT} harmonics`
+                    : `Mix ${CUSTOM_MODE_COUNT} harmonic modes`}
+                </div>
               </div>
               <button onClick={closeCustomEditor} className="rounded-xl border px-3 py-2 text-sm hover:bg-slate-50">Close</button>
             </div>
@@ -1389,6 +5309,15 @@ export default function SoundWavesPresentationMockup() {
                   </div>
                 </div>
                 <div className="mt-2 text-center text-sm font-medium text-slate-700">Playing at {formatHz(freqHz)}</div>
+                {customApproximationView && (
+                  <div className="mt-2 text-center text-xs text-slate-600">
+                    <span style={{ color: "rgb(148,163,184)" }}>original</span> vs{" "}
+                    <span className="font-semibold">sum of harmonics</span> (scaled to fit
+                    {customApproximation && Math.abs(customApproximation.mean) > 1e-3 ? ", constant offset removed" : ""}) · RMS
+                    error <span className="tabular-nums">{(customApproximationView.rmsError * 100).toFixed(1)}%</span> · overshoot{" "}
+                    <span className="tabular-nums">{(customApproximationView.overshoot * 100).toFixed(1)}%</span>
+                  </div>
+                )}
                 <svg viewBox="0 0 980 360" className="mt-3 w-full rounded-xl border bg-white" style={{ height: "24rem" }}>
                   <line x1="0" y1="180" x2="980" y2="180" stroke="rgb(226,232,240)" strokeWidth="2" />
                   {showModeUnderlay &&
@@ -1402,47 +5331,183 @@ export default function SoundWavesPresentationMockup() {
                         opacity={0.24}
                       />
                     ))}
-                  <path d={customDraftPath} fill="none" stroke="rgb(15,23,42)" strokeWidth="4" />
+                  {customApproximationView ? (
+                    <>
+                      <path d={customApproximationView.originalPath} fill="none" stroke="rgb(203,213,225)" strokeWidth="6" />
+                      <path d={customApproximationView.approximationPath} fill="none" stroke="rgb(15,23,42)" strokeWidth="3" />
+                    </>
+                  ) : (
+                    <path d={customDraftPath} fill="none" stroke="rgb(15,23,42)" strokeWidth="4" />
+                  )}
                 </svg>
               </button>
 
               <div className="rounded-2xl border bg-slate-50 p-4">
                 <div className="text-sm font-medium">Harmonic sliders</div>
                 <div className="mt-3 space-y-3">
-                  {customDraftModes.map((mode, i) => (
-                    <div key={i}>
-                      <div className="flex items-center justify-between text-xs text-slate-600">
-                        <span>
-                          sin(2π f <span style={{ color: getModeColor(i) }}>{i + 1}</span> x)
-                        </span>
-                        <span className="tabular-nums">{mode.toFixed(2)}</span>
-                      </div>
-                      <input
-                        type="range"
-                        min={-1}
-                        max={1}
-                        step={0.01}
-                        value={mode}
-                        onChange={(e) => updateCustomMode(i, parseFloat(e.target.value))}
-                        className="w-full bipolar-slider"
-                        style={{ background: getBipolarSliderBackground(mode, getModeColor(i)) }}
-                      />
+                  {customDraftModes.sin.map((_, i) => (
+                    <div key={i} className="grid grid-cols-2 gap-3">
+                      {(["sin", "cos"] as const).map((part) => {
+                        const mode = customDraftModes[part][i];
+                        return (
+                          <div key={part}>
+                            <div className="flex items-center justify-between text-xs text-slate-600">
+                              <span>
+                                {part}(2π f <span style={{ color: getModeColor(i) }}>{i + 1}</span> x)
+                              </span>
+                              <span className="tabular-nums">{mode.toFixed(2)}</span>
+                            </div>
+                            <input
+                              type="range"
+                              min={-1}
+                              max={1}
+                              step={0.01}
+                              value={mode}
+                              onChange={(e) => updateCustomMode(part, i, parseFloat(e.target.value))}
+                              className="w-full bipolar-slider"
+                              style={{ background: getBipolarSliderBackground(mode, getModeColor(i)) }}
+                              aria-label={`${part === "sin" ? "Sine" : "Cosine"} coefficient of harmonic ${i + 1}`}
+                            />
+                          </div>
+                        );
+                      })}
                     </div>
                   ))}
                 </div>
 
                 <div className="mt-4 flex gap-2">
                   <button
-                    onClick={() => setCustomDraftModes([...DEFAULT_CUSTOM_MODES])}
+                    onClick={() => setCustomDraftModes(DEFAULT_CUSTOM_MODES)}
                     className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50"
                   >
                     Reset modes
                   </button>
-                  <button onClick={saveCustomEditor} className="rounded-xl bg-slate-900 text-white px-3 py-2 text-sm hover:bg-slate-800">
-                    Save to library slot
+                  <button
+                    onClick={applyCustomDraft}
+                    className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50"
+                    title="Play this mix in the inspector without saving it as a preset"
+                  >
+                    Use in inspector
+                  </button>
+                </div>
+
+                <div className="mt-3 flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    value={presetNameDraft}
+                    maxLength={PRESET_NAME_MAX_LENGTH}
+                    onChange={(e) => setPresetNameDraft(e.target.value)}
+                    className="flex-1 rounded-xl border bg-white px-3 py-2 text-sm"
+                    aria-label="Preset name"
+                  />
+                  <button
+                    onClick={saveDraftAsPreset}
+                    disabled={customPresets.length >= MAX_PRESET_COUNT}
+                    className="rounded-xl bg-slate-900 text-white px-3 py-2 text-sm hover:bg-slate-800 disabled:cursor-not-allowed disabled:bg-slate-300"
+                  >
+                    Save as new preset
+                  </button>
+                  {editingPresetId && customPresets.some((preset) => preset.id === editingPresetId) && (
+                    <button
+                      onClick={updatePresetFromDraft}
+                      className="rounded-xl bg-slate-900 text-white px-3 py-2 text-sm hover:bg-slate-800"
+                    >
+                      Update preset
+                    </button>
+                  )}
+                </div>
+                {customPresets.length >= MAX_PRESET_COUNT && (
+                  <div className="mt-2 text-xs text-slate-500">
+                    The library is full ({MAX_PRESET_COUNT} presets); delete one to save another.
+                  </div>
+                )}
+              </div>
+
+              <div className="rounded-2xl border bg-slate-50 p-4">
+                <div className="text-sm font-medium flex items-center justify-between">
+                  <span>Draw one period</span>
+                  <span className="text-xs text-slate-500">smoothed, looped and normalized</span>
+                </div>
+                <svg
+                  viewBox="0 0 640 240"
+                  className="mt-3 w-full rounded-xl border bg-white block"
+                  style={{ height: "15rem", cursor: "crosshair", touchAction: "none" }}
+                  preserveAspectRatio="none"
+                  aria-label="Drawing surface: sketch one period of a wave"
+                  onPointerDown={(e) => {
+                    e.currentTarget.setPointerCapture(e.pointerId);
+                    sketchPointerRef.current = null;
+                    sketchAt(e);
+                  }}
+                  onPointerMove={(e) => {
+                    if (sketchPointerRef.current) sketchAt(e);
+                  }}
+                  onPointerUp={() => {
+                    sketchPointerRef.current = null;
+                  }}
+                  onPointerCancel={() => {
+                    sketchPointerRef.current = null;
+                  }}
+                >
+                  <line x1="0" y1="120" x2="640" y2="120" stroke="rgb(226,232,240)" strokeWidth="2" />
+                  {drawingView.sketch && (
+                    <path d={drawingView.sketch} fill="none" stroke="rgb(147,197,253)" strokeWidth="6" strokeLinecap="round" />
+                  )}
+                  {drawingView.table && <path d={drawingView.table} fill="none" stroke="rgb(15,23,42)" strokeWidth="2.5" />}
+                  {!drawingView.sketch && (
+                    <text x="320" y="110" fontSize="14" textAnchor="middle" fill="rgb(148,163,184)">
+                      Drag across the box to sketch a wave
+                    </text>
+                  )}
+                </svg>
+                <div className="mt-4 flex gap-2">
+                  <button
+                    onClick={playDrawingDraft}
+                    disabled={!drawnDraft}
+                    className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50 disabled:cursor-not-allowed"
+                  >
+                    {playing === "drawingDraft" ? "Playing…" : "▶ Play drawing"}
+                  </button>
+                  <button
+                    onClick={() => setDrawSketch(Array(WAVETABLE_SIZE).fill(null))}
+                    className="rounded-xl border bg-white px-3 py-2 text-sm hover:bg-slate-50"
+                  >
+                    Clear drawing
+                  </button>
+                  <button
+                    onClick={saveDrawing}
+                    disabled={!drawnDraft}
+                    className="rounded-xl bg-slate-900 text-white px-3 py-2 text-sm hover:bg-slate-800 disabled:cursor-not-allowed disabled:bg-slate-300"
+                  >
+                    Save as Drawn wave
                   </button>
                 </div>
               </div>
+
+              <div className="rounded-2xl border bg-slate-50 p-4">
+                <div className="text-sm font-medium">Harmonic content of the drawing</div>
+                <div className="mt-1 text-xs text-slate-500">
+                  Amplitude of each harmonic relative to the strongest, on the same harmonics as the sliders.
+                </div>
+                <svg viewBox="0 0 600 200" className="mt-3 w-full rounded-xl border bg-white block" style={{ height: "15rem" }}>
+                  <line x1="0" y1="180" x2="600" y2="180" stroke="rgb(226,232,240)" strokeWidth="2" />
+                  {drawingView.harmonics?.map((level, i) => {
+                    const x = 20 + i * 38;
+                    return (
+                      <g key={i}>
+                        <rect x={x} y={180 - level * 160} width="24" height={level * 160} fill={getModeColor(i)} opacity={0.8} />
+                        <text x={x + 12} y="196" fontSize="11" textAnchor="middle" fill="rgb(100,116,139)">
+                          {i + 1}
+                        </text>
+                      </g>
+                    );
+                  }) ?? (
+                    <text x="300" y="100" fontSize="14" textAnchor="middle" fill="rgb(148,163,184)">
+                      Nothing drawn yet
+                    </text>
+                  )}
+                </svg>
+              </div>
             </div>
           </div>
         </div>
@@ -0,0 +1,85 @@
+/**
+ * Audience view: a second window for the projector that shows only the wave
+ * plot, the spectrum and the timeline progress, kept in sync with the
+ * presenter's window.
+ *
+ * The windows talk over a `BroadcastChannel`, so both must be open in the same
+ * browser; there is no server. The presenter window owns the state and the
+ * audio: it sends its settings whenever they change, its playback position
+ * while playing, and FFT frames of what it plays. The audience window only
+ * draws what it receives and never makes a sound.
+ */
+
+import type { SecondOscillator } from "./interference";
+import type { ProjectSession } from "./project";
+import type { SpectrumFrame } from "./spectrum";
+import type { TimelineLoop } from "./tempo";
+
+const AUDIENCE_CHANNEL_NAME = "make-your-own-tune:audience";
+const AUDIENCE_VIEW_PARAM = "view";
+const AUDIENCE_VIEW_VALUE = "audience";
+
+/** Opening the view again focuses the window already open instead of adding another. */
+export const AUDIENCE_WINDOW_NAME = "make-your-own-tune-audience";
+
+/** What is playing in the presenter window, if anything. */
+export type PlaybackKind =
+  | "base"
+  | "modified"
+  | "inspectorSample"
+  | "timeline"
+  | "customDraft"
+  | "drawingDraft"
+  | "tilePreview"
+  | "tuningCompare"
+  | "keyboard"
+  | "quiz";
+
+/** Everything the audience window draws from, apart from playback. */
+export type AudienceState = {
+  session: ProjectSession;
+  secondOsc: SecondOscillator;
+  aliasingDemo: boolean;
+  loop: TimelineLoop;
+  /** The presenter's output sample rate, for where the aliasing demo folds harmonics back. */
+  sampleRate: number;
+};
+
+export type AudienceMessage =
+  // Sent by the audience window when it opens (and in answer to `presenter-open`) and when it closes.
+  | { type: "audience-open" }
+  | { type: "audience-closed" }
+  // Sent by the presenter window when it opens and when it closes.
+  | { type: "presenter-open" }
+  | { type: "presenter-closed" }
+  | { type: "state"; state: AudienceState }
+  | { type: "playback"; playing: PlaybackKind | null; timelineProgress: number | null }
+  | ({ type: "spectrum" } & SpectrumFrame);
+
+export function isAudienceView(search: string) {
+  return new URLSearchParams(search).get(AUDIENCE_VIEW_PARAM) === AUDIENCE_VIEW_VALUE;
+}
+
+/** The app's own address with the audience view switched on (and no share link, which it would not use). */
+export function audienceViewUrl(href: string) {
+  const url = new URL(href);
+  url.hash = "";
+  url.searchParams.set(AUDIENCE_VIEW_PARAM, AUDIENCE_VIEW_VALUE);
+  return url.toString();
+}
+
+/**
+ * Joins the channel between the two windows, or returns null in browsers
+ * without `BroadcastChannel`. Messages from the window itself are not delivered.
+ */
+export function openAudienceChannel(onMessage: (message: AudienceMessage) => void) {
+  if (typeof BroadcastChannel === "undefined") return null;
+  const channel = new BroadcastChannel(AUDIENCE_CHANNEL_NAME);
+  channel.onmessage = (e: MessageEvent<AudienceMessage>) => onMessage(e.data);
+  return {
+    post: (message: AudienceMessage) => channel.postMessage(message),
+    close: () => channel.close(),
+  };
+}
+
+export type AudienceChannel = NonNullable<ReturnType<typeof openAudienceChannel>>;
@@ -0,0 +1,228 @@
+/**
+ * Effects chain: a resonant low-pass/high-pass filter, a feedback delay and a
+ * reverb, each with its own bypass switch.
+ *
+ * Every setting is applied as `AudioParam` automation, so a timeline can switch
+ * effects at the exact start of each slot, live and in offline export alike.
+ * Delay and reverb are fed through send levels, so their tails ring out past the
+ * slot that started them. Reverb impulse responses are generated (seeded noise
+ * with an exponential decay) rather than loaded, so the chain also works on an
+ * `OfflineAudioContext`.
+ */
+
+import { mulberry32 } from "./random";
+
+export type FilterMode = "lowpass" | "highpass";
+
+export type ReverbSpace = "room" | "hall" | "cathedral";
+
+export type Effects = {
+  /** `q` is the textbook (linear) quality factor; 0.707 is flat up to the cutoff. */
+  filter: { enabled: boolean; mode: FilterMode; cutoffHz: number; q: number };
+  /** `feedback` is the level of each repeat relative to the previous one; `mix` the send level. */
+  delay: { enabled: boolean; timeSec: number; feedback: number; mix: number };
+  reverb: { enabled: boolean; space: ReverbSpace; mix: number };
+};
+
+export const DEFAULT_EFFECTS: Effects = {
+  filter: { enabled: false, mode: "lowpass", cutoffHz: 1200, q: 0.707 },
+  delay: { enabled: false, timeSec: 0.3, feedback: 0.4, mix: 0.35 },
+  reverb: { enabled: false, space: "hall", mix: 0.3 },
+};
+
+export const EFFECT_LIMITS = {
+  cutoffHz: [40, 16_000],
+  q: [0.5, 15],
+  timeSec: [0.02, 1],
+  feedback: [0, 0.9],
+  mix: [0, 1],
+} as const;
+
+export const FILTER_MODES: FilterMode[] = ["lowpass", "highpass"];
+
+/** Reverb spaces; `decaySec` is the time the impulse response takes to fall by 60 dB. */
+export const REVERB_SPACES: Record<ReverbSpace, { name: string; decaySec: number }> = {
+  room: { name: "Room", decaySec: 0.6 },
+  hall: { name: "Hall", decaySec: 2 },
+  cathedral: { name: "Cathedral", decaySec: 5 },
+};
+
+/** Longest tail any effect is allowed to add after the last note. */
+const MAX_TAIL_SEC = 8;
+
+/** How long the enabled delay and reverb keep sounding after the input stops. */
+export function effectsTailSec(effects: Effects) {
+  let tail = 0;
+  if (effects.reverb.enabled) tail = REVERB_SPACES[effects.reverb.space].decaySec;
+  if (effects.delay.enabled) {
+    const { timeSec, feedback } = effects.delay;
+    // Repeats fall by `feedback` each time; stop counting once they are 60 dB down.
+    const repeats = feedback > 0 ? Math.log(0.001) / Math.log(feedback) : 1;
+    tail = Math.max(tail, timeSec * repeats);
+  }
+  return Math.min(tail, MAX_TAIL_SEC);
+}
+
+// ----------------------------
+// Filter response
+// ----------------------------
+
+/**
+ * Magnitude response (linear gain) of the filter at `freqHz`. Uses the same
+ * biquad formulas as `BiquadFilterNode`, so it matches what is heard.
+ */
+export function filterResponse(filter: Effects["filter"], freqHz: number, sampleRate: number) {
+  const w0 = (2 * Math.PI * Math.min(filter.cutoffHz, sampleRate / 2)) / sampleRate;
+  const alpha = Math.sin(w0) / (2 * filter.q);
+  const cosW0 = Math.cos(w0);
+  const lowpass = filter.mode === "lowpass";
+  const b0 = (lowpass ? 1 - cosW0 : 1 + cosW0) / 2;
+  const b1 = lowpass ? 2 * b0 : -2 * b0;
+  const b2 = b0;
+  const a0 = 1 + alpha;
+  const a1 = -2 * cosW0;
+  const a2 = 1 - alpha;
+
+  // |B(e^jw)| / |A(e^jw)|
+  const w = (2 * Math.PI * freqHz) / sampleRate;
+  const re = (c0: number, c1: number, c2: number) => c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w);
+  const im = (c1: number, c2: number) => -c1 * Math.sin(w) - c2 * Math.sin(2 * w);
+  return Math.hypot(re(b0, b1, b2), im(b1, b2)) / Math.hypot(re(a0, a1, a2), im(a1, a2));
+}
+
+// ----------------------------
+// Audio graph
+// ----------------------------
+
+const impulseResponses = new WeakMap<BaseAudioContext, Map<ReverbSpace, AudioBuffer>>();
+
+/** Decaying noise, scaled to unit energy so the reverb return sits at about the dry level. */
+function impulseResponse(ctx: BaseAudioContext, space: ReverbSpace) {
+  let cache = impulseResponses.get(ctx);
+  if (!cache) {
+    cache = new Map();
+    impulseResponses.set(ctx, cache);
+  }
+  const cached = cache.get(space);
+  if (cached) return cached;
+
+  const { decaySec } = REVERB_SPACES[space];
+  const length = Math.ceil(decaySec * ctx.sampleRate);
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  // Seeded, so every render of a reverb is identical.
+  const random = mulberry32(length);
+  let energy = 0;
+  for (let i = 0; i < length; i++) {
+    // -60 dB (a factor of 1000, ln 1000 ≈ 6.9) at decaySec.
+    data[i] = (random() * 2 - 1) * Math.exp((-6.9 * i) / length);
+    energy += data[i] * data[i];
+  }
+  const scale = 1 / Math.sqrt(energy);
+  for (let i = 0; i < length; i++) data[i] *= scale;
+
+  cache.set(space, buffer);
+  return buffer;
+}
+
+/**
+ * Builds the chain: input → filter → output, with delay and reverb sends taken
+ * after the filter and returned to the output. Starts with everything bypassed.
+ *
+ * `apply(effects, time)` sets every stage at `time` (context seconds). With
+ * `smoothSec`, changes glide there instead of jumping (for live slider moves).
+ */
+export function createEffectsChain(ctx: BaseAudioContext) {
+  const input = ctx.createGain();
+  const output = ctx.createGain();
+
+  // Filter: the dry path and one biquad per mode run in parallel; their gains pick one.
+  const filtered = ctx.createGain();
+  const dry = ctx.createGain();
+  input.connect(dry);
+  dry.connect(filtered);
+  const modes = Object.fromEntries(
+    FILTER_MODES.map((mode) => {
+      const biquad = ctx.createBiquadFilter();
+      biquad.type = mode;
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+      input.connect(biquad);
+      biquad.connect(gain);
+      gain.connect(filtered);
+      return [mode, { biquad, gain }];
+    })
+  ) as Record<FilterMode, { biquad: BiquadFilterNode; gain: GainNode }>;
+  filtered.connect(output);
+
+  const delaySend = ctx.createGain();
+  const delay = ctx.createDelay(EFFECT_LIMITS.timeSec[1]);
+  const feedback = ctx.createGain();
+  delaySend.gain.value = 0;
+  filtered.connect(delaySend);
+  delaySend.connect(delay);
+  delay.connect(feedback);
+  feedback.connect(delay);
+  delay.connect(output);
+
+  // One convolver per space, created the first time a space is used.
+  const reverbSends = new Map<ReverbSpace, GainNode>();
+  const reverbSend = (space: ReverbSpace) => {
+    let send = reverbSends.get(space);
+    if (!send) {
+      send = ctx.createGain();
+      send.gain.value = 0;
+      const convolver = ctx.createConvolver();
+      convolver.normalize = false;
+      convolver.buffer = impulseResponse(ctx, space);
+      filtered.connect(send);
+      send.connect(convolver);
+      convolver.connect(output);
+      reverbSends.set(space, send);
+    }
+    return send;
+  };
+
+  function apply(effects: Effects, time: number, smoothSec = 0) {
+    const set = (param: AudioParam, value: number) => {
+      if (smoothSec > 0) {
+        param.cancelScheduledValues(time);
+        param.setTargetAtTime(value, time, smoothSec);
+      } else {
+        param.setValueAtTime(value, time);
+      }
+    };
+
+    const { filter } = effects;
+    set(dry.gain, filter.enabled ? 0 : 1);
+    for (const mode of FILTER_MODES) {
+      const { biquad, gain } = modes[mode];
+      set(gain.gain, filter.enabled && filter.mode === mode ? 1 : 0);
+      set(biquad.frequency, filter.cutoffHz);
+      // BiquadFilterNode takes the low/high-pass Q in dB.
+      set(biquad.Q, 20 * Math.log10(filter.q));
+    }
+
+    set(delaySend.gain, effects.delay.enabled ? effects.delay.mix : 0);
+    set(delay.delayTime, effects.delay.timeSec);
+    set(feedback.gain, effects.delay.feedback);
+
+    const { reverb } = effects;
+    if (reverb.enabled) reverbSend(reverb.space);
+    for (const [space, send] of reverbSends) set(send.gain, reverb.enabled && reverb.space === space ? reverb.mix : 0);
+  }
+
+  function disconnect() {
+    for (const node of [input, output, dry, filtered, delaySend, delay, feedback, ...reverbSends.values()]) {
+      node.disconnect();
+    }
+    for (const { biquad, gain } of Object.values(modes)) {
+      biquad.disconnect();
+      gain.disconnect();
+    }
+  }
+
+  return { input, output: output as AudioNode, apply, disconnect };
+}
+
+export type EffectsChain = ReturnType<typeof createEffectsChain>;
@@ -0,0 +1,62 @@
+/**
+ * ADSR envelope model shared by the inspector drawing and the synth schedule.
+ *
+ * The curve is piecewise linear, matching the envelope generator inside the
+ * `wave-synth` worklet: attack rises to 1, decay falls to the sustain level,
+ * and release falls from wherever the note was when the gate closed.
+ */
+
+export type Envelope = {
+  attackSec: number;
+  decaySec: number;
+  /** Sustain level, 0..1. */
+  sustain: number;
+  releaseSec: number;
+};
+
+export const DEFAULT_ENVELOPE: Envelope = { attackSec: 0.01, decaySec: 0.1, sustain: 1, releaseSec: 0.05 };
+
+export const ENVELOPE_PRESETS: Array<{ name: string; envelope: Envelope }> = [
+  { name: "Organ", envelope: DEFAULT_ENVELOPE },
+  { name: "Pluck", envelope: { attackSec: 0.005, decaySec: 0.35, sustain: 0, releaseSec: 0.1 } },
+  { name: "Bowed", envelope: { attackSec: 0.35, decaySec: 0.2, sustain: 0.8, releaseSec: 0.4 } },
+  { name: "Swell", envelope: { attackSec: 1.2, decaySec: 0, sustain: 1, releaseSec: 0.8 } },
+];
+
+export const ENVELOPE_LIMITS = {
+  attackSec: 2,
+  decaySec: 2,
+  sustain: 1,
+  releaseSec: 3,
+} as const;
+
+function clamp(x: number, lo: number, hi: number) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+function levelWhileGated(env: Envelope, tSec: number) {
+  if (tSec < env.attackSec) return tSec / env.attackSec;
+  const sinceDecay = tSec - env.attackSec;
+  if (sinceDecay < env.decaySec) return 1 - (1 - env.sustain) * (sinceDecay / env.decaySec);
+  return env.sustain;
+}
+
+/** Envelope level at `tSec` after note-on, for a note whose gate closes at `gateSec`. */
+export function envelopeLevelAt(env: Envelope, tSec: number, gateSec: number) {
+  if (tSec <= 0) return 0;
+  if (tSec <= gateSec) return levelWhileGated(env, tSec);
+  if (env.releaseSec <= 0) return 0;
+  const releaseFrom = levelWhileGated(env, gateSec);
+  return Math.max(0, releaseFrom * (1 - (tSec - gateSec) / env.releaseSec));
+}
+
+/**
+ * When to close the gate for a note that must fit in `durationSec`.
+ *
+ * The release normally finishes exactly at the end of the note. A release longer
+ * than half the note keeps the gate open for the first half; the tail is then cut
+ * by the next note's attack (or the final fade-out).
+ */
+export function envelopeGateSec(env: Envelope, durationSec: number) {
+  return clamp(durationSec - env.releaseSec, durationSec * 0.5, durationSec);
+}
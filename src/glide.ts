@@ -0,0 +1,63 @@
+/**
+ * Frequency glides (chirps): a note that sweeps from its frequency to an end
+ * frequency, over the slot's duration on the timeline.
+ *
+ * A linear glide changes by the same number of hertz every second, so it seems
+ * to slow down as it rises; an exponential glide changes by the same musical
+ * interval every second. A semitone glide is exponential with the end given as
+ * an interval, so it keeps its shape when the start frequency changes.
+ *
+ * The `wave-synth` worklet runs the sweep sample by sample with continuous
+ * phase; `sweepCycles` integrates the same curve for the plots.
+ */
+
+export type GlideCurve = "linear" | "exponential" | "semitones";
+
+export type Glide = {
+  enabled: boolean;
+  curve: GlideCurve;
+  /** End frequency of linear and exponential glides. */
+  endFreqHz: number;
+  /** Interval of semitone glides; negative glides fall. */
+  semitones: number;
+};
+
+export const DEFAULT_GLIDE: Glide = { enabled: false, curve: "exponential", endFreqHz: 880, semitones: 12 };
+
+export const GLIDE_LIMITS = {
+  endFreqHz: [40, 2000],
+  semitones: [-36, 36],
+} as const;
+
+export const GLIDE_CURVES: Record<GlideCurve, { name: string }> = {
+  linear: { name: "Linear" },
+  exponential: { name: "Exponential" },
+  semitones: { name: "Semitones" },
+};
+
+/** What the worklet runs: from the note's `freqHz` to `toFreqHz` over `durationSec`, then holds. */
+export type FreqSweep = { toFreqHz: number; durationSec: number; exponential: boolean };
+
+export function glideEndFreq(glide: Glide, startHz: number) {
+  return glide.curve === "semitones" ? startHz * Math.pow(2, glide.semitones / 12) : glide.endFreqHz;
+}
+
+/** The sweep a note at `startHz` lasting `durationSec` plays, or null for a steady note. */
+export function glideSweep(glide: Glide, startHz: number, durationSec: number): FreqSweep | null {
+  if (!glide.enabled) return null;
+  return { toFreqHz: glideEndFreq(glide, startHz), durationSec, exponential: glide.curve !== "linear" };
+}
+
+/** Periods elapsed `tSec` into a note sweeping from `startHz` (the integral of its frequency). */
+export function sweepCycles(startHz: number, sweep: FreqSweep, tSec: number) {
+  const { toFreqHz, durationSec } = sweep;
+  const t = Math.min(tSec, durationSec);
+  const held = toFreqHz * Math.max(0, tSec - durationSec);
+  const ratio = toFreqHz / startHz;
+  if (durationSec <= 0) return toFreqHz * tSec;
+  if (!sweep.exponential || !(ratio > 0) || Math.abs(Math.log(ratio)) < 1e-9) {
+    return startHz * t + ((toFreqHz - startHz) * t * t) / (2 * durationSec) + held;
+  }
+  // ∫ f0·r^(t/T) dt = f0·T·(r^(t/T) - 1) / ln r
+  return (startHz * durationSec * (Math.pow(ratio, t / durationSec) - 1)) / Math.log(ratio) + held;
+}
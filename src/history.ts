@@ -0,0 +1,47 @@
+/**
+ * Undo/redo history: a list of snapshots with a cursor. Plain data, no React.
+ *
+ * Snapshots are never copied or compared deeply. State in this app is
+ * immutable, so restoring a snapshot hands back the very objects it holds, and
+ * an unchanged field is the same object as before.
+ */
+
+export type History<T> = {
+  past: T[];
+  present: T;
+  future: T[];
+};
+
+/** Oldest steps are dropped beyond this. */
+export const MAX_HISTORY_STEPS = 100;
+
+export function createHistory<T>(present: T): History<T> {
+  return { past: [], present, future: [] };
+}
+
+/** Records `next` as a new step; anything that could be redone is dropped. */
+export function pushHistory<T>(history: History<T>, next: T): History<T> {
+  return { past: [...history.past, history.present].slice(-MAX_HISTORY_STEPS), present: next, future: [] };
+}
+
+/** Changes the current step in place, for changes that should not be undone on their own. */
+export function replacePresent<T>(history: History<T>, present: T): History<T> {
+  return { ...history, present };
+}
+
+export function undoHistory<T>(history: History<T>): History<T> {
+  const previous = history.past[history.past.length - 1];
+  if (previous === undefined) return history;
+  return { past: history.past.slice(0, -1), present: previous, future: [history.present, ...history.future] };
+}
+
+export function redoHistory<T>(history: History<T>): History<T> {
+  const [next, ...future] = history.future;
+  if (next === undefined) return history;
+  return { past: [...history.past, history.present], present: next, future };
+}
+
+/** Whether two snapshot objects hold the same value in every field (compared by reference). */
+export function sameFields<T extends object>(a: T, b: T) {
+  return (Object.keys(a) as Array<keyof T>).every((key) => a[key] === b[key]);
+}
@@ -0,0 +1,112 @@
+/**
+ * Interference lab: a second oscillator played together with the inspector's
+ * wave, so students hear and see superposition, beats and cancellation.
+ *
+ * Both oscillators run in the same `wave-synth` worklet, so the phase offset is
+ * exact: at note-on the second oscillator starts `phaseDeg` ahead of the first.
+ * In stereo XY mode the first plays on the left and the second on the right,
+ * and the inspector draws one against the other (a Lissajous figure), as an
+ * oscilloscope in XY mode would.
+ */
+
+import type { WaveType } from "./waves";
+
+export type SecondOscillator = {
+  enabled: boolean;
+  waveType: WaveType;
+  freqHz: number;
+  /** Same 0..2 scale as the inspector's amplitude. */
+  amp: number;
+  /** Phase lead over the first oscillator at note-on, in degrees (0..360). */
+  phaseDeg: number;
+  /** First oscillator on the left channel and second on the right, instead of both mixed in the middle. */
+  stereoXY: boolean;
+};
+
+export const DEFAULT_SECOND_OSCILLATOR: SecondOscillator = {
+  enabled: false,
+  waveType: "sine",
+  freqHz: 224,
+  amp: 1,
+  phaseDeg: 0,
+  stereoXY: false,
+};
+
+/** Lissajous presets, as first : second frequency ratios, with the musical interval each one is. */
+export const LISSAJOUS_RATIOS = [
+  { first: 1, second: 1, interval: "unison" },
+  { first: 1, second: 2, interval: "octave" },
+  { first: 2, second: 3, interval: "perfect fifth" },
+  { first: 3, second: 4, interval: "perfect fourth" },
+];
+
+/** Largest term `simpleRatio` looks for; beyond it a figure is too busy to read anyway. */
+const MAX_RATIO_TERM = 12;
+
+/** Longest stretch the inspector shows, in cycles of the faster oscillator, so the curves stay legible. */
+const MAX_WINDOW_CYCLES = 150;
+
+/** How often the loudness of the mix swells and fades: the difference of the two frequencies. */
+export function beatFrequency(f1Hz: number, f2Hz: number) {
+  return Math.abs(f1Hz - f2Hz);
+}
+
+/**
+ * How the two line up at the same frequency: constructive near 0°, destructive
+ * near 180°. (At different frequencies the phase difference keeps turning,
+ * through 360° once per beat.)
+ */
+export function phaseRelation(phaseDeg: number): "in phase" | "opposed" | "partial" {
+  const deg = ((phaseDeg % 360) + 360) % 360;
+  const fromInPhase = Math.min(deg, 360 - deg);
+  if (fromInPhase <= 15) return "in phase";
+  if (fromInPhase >= 165) return "opposed";
+  return "partial";
+}
+
+/** Peak of the sum of two sines of equal frequency: √(a₁² + a₂² + 2a₁a₂·cos Δφ). */
+export function sineSumAmplitude(amp1: number, amp2: number, phaseDeg: number) {
+  const cos = Math.cos((phaseDeg * Math.PI) / 180);
+  return Math.sqrt(Math.max(0, amp1 * amp1 + amp2 * amp2 + 2 * amp1 * amp2 * cos));
+}
+
+/**
+ * The ratio `first : second` in lowest terms (up to `MAX_RATIO_TERM`) within
+ * 0.1% of f1 : f2, or null. A simple ratio makes a closed, still Lissajous figure;
+ * any other slowly turns.
+ */
+export function simpleRatio(f1Hz: number, f2Hz: number) {
+  if (!(f1Hz > 0) || !(f2Hz > 0)) return null;
+  for (let first = 1; first <= MAX_RATIO_TERM; first++) {
+    const second = Math.round((f2Hz / f1Hz) * first);
+    if (second < 1 || second > MAX_RATIO_TERM) continue;
+    if (Math.abs((f2Hz * first) / (f1Hz * second) - 1) < 1e-3) return { first, second };
+  }
+  return null;
+}
+
+/** The interval name of one of the `LISSAJOUS_RATIOS`, or null. */
+export function ratioInterval(ratio: { first: number; second: number }) {
+  const preset = LISSAJOUS_RATIOS.find((r) => r.first === ratio.first && r.second === ratio.second);
+  return preset ? preset.interval : null;
+}
+
+/** Time for the XY figure to close: `first` periods of the first oscillator, or a few periods of the slower one. */
+export function lissajousPeriodSec(f1Hz: number, f2Hz: number) {
+  const ratio = simpleRatio(f1Hz, f2Hz);
+  if (ratio) return ratio.first / f1Hz;
+  return 4 / Math.max(Math.min(f1Hz, f2Hz), 1e-6);
+}
+
+/**
+ * Inspector window: two beats when the frequencies are close, otherwise three
+ * periods of the slower oscillator, never more than `MAX_WINDOW_CYCLES` of the faster.
+ */
+export function interferenceWindowSec(f1Hz: number, f2Hz: number) {
+  const slower = Math.max(Math.min(f1Hz, f2Hz), 1e-6);
+  const faster = Math.max(f1Hz, f2Hz, 1e-6);
+  const beat = beatFrequency(f1Hz, f2Hz);
+  const periods = 3 / slower;
+  const beats = beat > 0 && beat < slower / 2 ? 2 / beat : 0;
+  return Math.min(Math.max(periods, beats), Math.max(periods, MAX_WINDOW_CYCLES / faster));
+}
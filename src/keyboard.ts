@@ -0,0 +1,105 @@
+/**
+ * On-screen piano and computer-keyboard performance: the key layout, the QWERTY
+ * mapping, and turning a recorded performance into timeline slots.
+ *
+ * The synth voice plays one note at a time, so the newest key sounds and a
+ * recording is a melody: notes and rests back to back, like a track's slots.
+ */
+
+import { MAX_SLOT_COUNT, MAX_SLOT_SECONDS } from "./timeline";
+
+/**
+ * Physical keys from the lowest C up, as in most music software: the home row
+ * plays the white keys and the row above it the black ones. These are
+ * `KeyboardEvent.code` values, so the same keys play on any layout.
+ */
+export const QWERTY_KEY_CODES = [
+  "KeyA",
+  "KeyW",
+  "KeyS",
+  "KeyE",
+  "KeyD",
+  "KeyF",
+  "KeyT",
+  "KeyG",
+  "KeyY",
+  "KeyH",
+  "KeyU",
+  "KeyJ",
+  "KeyK",
+  "KeyO",
+  "KeyL",
+  "KeyP",
+  "Semicolon",
+];
+
+/** Keys that shift the keyboard an octave down and up. */
+export const OCTAVE_DOWN_CODE = "KeyZ";
+export const OCTAVE_UP_CODE = "KeyX";
+
+/** Octaves shown on screen, plus the C on top. */
+export const KEYBOARD_OCTAVES = 2;
+
+/** Octave of the lowest C: from C2 (65 Hz) to C5 (523 Hz), so the top C of the keyboard is at most C7. */
+export const KEYBOARD_OCTAVE_RANGE = [2, 5] as const;
+export const DEFAULT_KEYBOARD_OCTAVE = 3;
+
+export function isBlackKey(midi: number) {
+  return [1, 3, 6, 8, 10].includes(((midi % 12) + 12) % 12);
+}
+
+/** MIDI notes on screen, from the C of `octave` up. */
+export function keyboardNotes(octave: number) {
+  const lowest = (octave + 1) * 12;
+  return Array.from({ length: KEYBOARD_OCTAVES * 12 + 1 }, (_, i) => lowest + i);
+}
+
+/** MIDI note a computer key plays with the lowest C in `octave`, or null. */
+export function qwertyNote(code: string, octave: number) {
+  const i = QWERTY_KEY_CODES.indexOf(code);
+  return i === -1 ? null : (octave + 1) * 12 + i;
+}
+
+/** Letter printed on a key for its computer key, e.g. "A" or ";". */
+export function qwertyLabel(midi: number, octave: number) {
+  const code = QWERTY_KEY_CODES[midi - (octave + 1) * 12];
+  if (!code) return null;
+  return code === "Semicolon" ? ";" : code.slice("Key".length);
+}
+
+/** One note of a performance, in seconds from the start of the recording. */
+export type RecordedNote = { midi: number; freqHz: number; startSec: number; endSec: number };
+
+/** A slot-to-be: a note, or a rest (null). */
+export type RecordedSlot = { durationSec: number; note: RecordedNote | null };
+
+/**
+ * Lays a performance out as back-to-back slots. Note starts and ends snap to a
+ * grid of `gridSec` (a note value at the timeline's tempo); a pause becomes a
+ * rest, and a note still held when the next one starts is cut there, as it was
+ * heard. Silence before the first note is dropped, and only the first
+ * `maxSlots` slots are kept.
+ */
+export function recordingToSlots(notes: RecordedNote[], gridSec: number, maxSlots = MAX_SLOT_COUNT): RecordedSlot[] {
+  const sorted = [...notes].sort((a, b) => a.startSec - b.startSec);
+  if (sorted.length === 0) return [];
+
+  // Work in whole grid steps so durations add up exactly.
+  const step = (sec: number) => Math.round(sec / gridSec);
+  const maxSteps = Math.floor(MAX_SLOT_SECONDS / gridSec);
+  const origin = step(sorted[0].startSec);
+  const slots: RecordedSlot[] = [];
+  let t = 0;
+
+  sorted.forEach((note, i) => {
+    const start = Math.max(step(note.startSec) - origin, t);
+    const next = sorted[i + 1];
+    const nextStart = next ? Math.max(step(next.startSec) - origin, start + 1) : Infinity;
+    const end = Math.min(Math.max(step(note.endSec) - origin, start + 1), nextStart, start + maxSteps);
+    if (start > t) slots.push({ durationSec: Math.min(start - t, maxSteps) * gridSec, note: null });
+    slots.push({ durationSec: (end - start) * gridSec, note });
+    t = end;
+  });
+
+  return slots.slice(0, maxSlots);
+}
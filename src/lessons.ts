@@ -0,0 +1,233 @@
+/**
+ * Lesson mode: scripts of steps a presenter walks through, each setting up the
+ * inspector and timeline, hiding or locking controls, and asking a question.
+ *
+ * Lesson files are JSON (`{ format, version, title, steps }`, read in
+ * `project.ts`); the built-in lessons below are the same data written in code.
+ */
+
+import { formatPitch } from "./pitch";
+import { makeId, makeTrack, type LibraryWaveType, type Slot, type Track } from "./timeline";
+import { CUSTOM_MODE_COUNT, WAVE_DEFINITIONS, type CustomModes, type WaveType } from "./waves";
+
+/** Parts of the screen a step can hide or lock. */
+export const LESSON_CONTROLS = [
+  "waves",
+  "amplitude",
+  "frequency",
+  "interference",
+  "envelope",
+  "modulation",
+  "effects",
+  "keyboard",
+  "timeline",
+] as const;
+
+export type LessonControl = (typeof LESSON_CONTROLS)[number];
+
+/** Shown normally, visible but not editable, or not shown at all. */
+export type LessonControlState = "shown" | "locked" | "hidden";
+
+/** What a step plays when it opens: the modified wave (like ▶ Play) or the timeline (like Play all). */
+export type LessonAutoplay = "modified" | "timeline";
+
+export type LessonStep = {
+  title: string;
+  caption?: string;
+  /** Asked of the class, shown apart from the caption. */
+  question?: string;
+  /** Applied when the step opens; anything left out keeps its current value. */
+  set: {
+    waveType?: WaveType;
+    amp?: number;
+    freqHz?: number;
+    customModes?: CustomModes;
+    tracks?: Track[];
+  };
+  lock: LessonControl[];
+  hide: LessonControl[];
+  autoplay?: LessonAutoplay;
+};
+
+export type Lesson = {
+  title: string;
+  steps: LessonStep[];
+};
+
+export const MAX_LESSON_STEPS = 100;
+
+/** Hiding wins over locking. */
+export function lessonControlState(step: LessonStep | null, control: LessonControl): LessonControlState {
+  if (!step) return "shown";
+  if (step.hide.includes(control)) return "hidden";
+  return step.lock.includes(control) ? "locked" : "shown";
+}
+
+// ----------------------------
+// Built-in lessons
+// ----------------------------
+
+/** Every control except `shown`. */
+function allBut(...shown: LessonControl[]) {
+  return LESSON_CONTROLS.filter((control) => !shown.includes(control));
+}
+
+/** Sine coefficients of the first harmonics; the rest are silent. */
+function harmonics(...sin: number[]): CustomModes {
+  return {
+    sin: [...sin, ...Array(CUSTOM_MODE_COUNT - sin.length).fill(0)],
+    cos: Array(CUSTOM_MODE_COUNT).fill(0),
+  };
+}
+
+function noteSlot(type: LibraryWaveType, freqHz: number, durationSec: number, customModes?: CustomModes): Slot {
+  return {
+    id: makeId("slot"),
+    durationSec,
+    kind: "wave",
+    type,
+    amp: 1,
+    freqHz,
+    customModes,
+    label: `${WAVE_DEFINITIONS[type].name} · ${formatPitch(freqHz)}`,
+  };
+}
+
+function oneTrack(...slots: Slot[]): Track[] {
+  return [{ ...makeTrack("Track 1"), slots }];
+}
+
+const WARM_MODES = harmonics(0.6, 0.25, 0.15);
+const BRIGHT_MODES = harmonics(0.25, 0.2, 0.18, 0.15, 0.12, 0.1);
+
+export const BUILT_IN_LESSONS: Lesson[] = [
+  {
+    title: "Amplitude is loudness",
+    steps: [
+      {
+        title: "A quiet sine wave",
+        caption: "This is a sine wave at 220 Hz with a small amplitude: the peaks do not reach far from the middle line.",
+        set: { waveType: "sine", amp: 0.3, freqHz: 220 },
+        lock: allBut(),
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard", "timeline"],
+        autoplay: "modified",
+      },
+      {
+        title: "The same wave, taller",
+        caption: "Only the amplitude changed: the wave is five times taller, and the frequency is the same.",
+        question: "What did you hear change, and what stayed the same?",
+        set: { amp: 1.5 },
+        lock: allBut(),
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard", "timeline"],
+        autoplay: "modified",
+      },
+      {
+        title: "Try it",
+        caption: "Drag the amplitude slider and play the wave again. Watch the height of the wave as you listen.",
+        question: "Can you find an amplitude where the wave is silent?",
+        set: {},
+        lock: ["waves", "frequency"],
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard", "timeline"],
+      },
+    ],
+  },
+  {
+    title: "Frequency is pitch",
+    steps: [
+      {
+        title: "220 Hz",
+        caption: "A sine wave repeating 220 times a second: the note A3.",
+        set: { waveType: "sine", amp: 1, freqHz: 220 },
+        lock: allBut(),
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard", "timeline"],
+        autoplay: "modified",
+      },
+      {
+        title: "440 Hz",
+        caption: "Twice the frequency: the waves are packed twice as close together.",
+        question: "Is this note higher or lower? How much higher does it sound?",
+        set: { freqHz: 440 },
+        lock: allBut(),
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard", "timeline"],
+        autoplay: "modified",
+      },
+      {
+        title: "A tune is a list of frequencies",
+        caption: "The timeline plays 220, 330 and 440 Hz, then 330 and 220 Hz again: up and down in pitch.",
+        question: "Which note was the highest, and which wave drawing had the most peaks?",
+        set: {
+          tracks: oneTrack(
+            noteSlot("sine", 220, 0.75),
+            noteSlot("sine", 330, 0.75),
+            noteSlot("sine", 440, 0.75),
+            noteSlot("sine", 330, 0.75),
+            noteSlot("sine", 220, 1.5)
+          ),
+        },
+        lock: allBut(),
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard"],
+        autoplay: "timeline",
+      },
+      {
+        title: "Try it",
+        caption: "Move the frequency slider or play the piano, and listen for the pitch going up and down.",
+        set: {},
+        lock: ["waves", "amplitude"],
+        hide: ["interference", "envelope", "modulation", "effects", "timeline"],
+      },
+    ],
+  },
+  {
+    title: "Harmonics make timbre",
+    steps: [
+      {
+        title: "A pure tone",
+        caption: "A sine wave has a single frequency. It sounds plain, like a tuning fork.",
+        set: { waveType: "sine", amp: 1, freqHz: 220 },
+        lock: allBut(),
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard", "timeline"],
+        autoplay: "modified",
+      },
+      {
+        title: "Add two harmonics",
+        caption: "This custom wave adds a little of 440 Hz and 660 Hz (harmonics 2 and 3) to the 220 Hz sine.",
+        question: "Is it the same note? What is different about it?",
+        set: { waveType: "custom", customModes: WARM_MODES },
+        lock: allBut(),
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard", "timeline"],
+        autoplay: "modified",
+      },
+      {
+        title: "More harmonics, brighter sound",
+        caption: "Six harmonics of similar strength make the shape spikier and the sound brighter.",
+        set: { customModes: BRIGHT_MODES },
+        lock: allBut(),
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard", "timeline"],
+        autoplay: "modified",
+      },
+      {
+        title: "Same pitch, four timbres",
+        caption: "The timeline plays the same 220 Hz note as a sine, the two custom mixes and a square wave.",
+        question: "All four notes have the same pitch. Why do they sound different?",
+        set: {
+          tracks: oneTrack(
+            noteSlot("sine", 220, 1),
+            noteSlot("custom", 220, 1, WARM_MODES),
+            noteSlot("custom", 220, 1, BRIGHT_MODES),
+            noteSlot("square", 220, 1)
+          ),
+        },
+        lock: allBut(),
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard"],
+        autoplay: "timeline",
+      },
+      {
+        title: "Try it",
+        caption: "Open the Custom tile's editor and mix your own harmonics, or use ∑ to see a library wave as harmonics.",
+        set: {},
+        lock: [],
+        hide: ["interference", "envelope", "modulation", "effects", "keyboard"],
+      },
+    ],
+  },
+];
@@ -0,0 +1,94 @@
+/**
+ * LFO and FM modulation of the synth voice: vibrato (pitch), tremolo (level)
+ * and FM (the carrier's phase pushed back and forth by a sine modulator).
+ *
+ * The `wave-synth` worklet computes the modulation per sample; the helpers here
+ * follow the same math, so the inspector can draw what is heard. All LFOs and
+ * the FM modulator restart at note-on (t = 0).
+ */
+
+export type Modulation = {
+  /** Pitch swings ±`depthCents` around the note, `rateHz` times per second. */
+  vibrato: { enabled: boolean; rateHz: number; depthCents: number };
+  /** Level dips by up to `depth` (0..1) of full, `rateHz` times per second. */
+  tremolo: { enabled: boolean; rateHz: number; depth: number };
+  /** A sine modulator at `ratio` × the note frequency shifts the carrier's phase by up to ±`index` radians. */
+  fm: { enabled: boolean; ratio: number; index: number };
+};
+
+export const DEFAULT_MODULATION: Modulation = {
+  vibrato: { enabled: false, rateHz: 5.5, depthCents: 30 },
+  tremolo: { enabled: false, rateHz: 4, depth: 0.5 },
+  fm: { enabled: false, ratio: 2, index: 1.5 },
+};
+
+export const MODULATION_LIMITS = {
+  vibratoRateHz: [0.1, 12],
+  depthCents: [0, 200],
+  tremoloRateHz: [0.1, 20],
+  tremoloDepth: [0, 1],
+  fmRatio: [0.25, 8],
+  fmIndex: [0, 10],
+} as const;
+
+export function isModulated(modulation: Modulation) {
+  return modulation.vibrato.enabled || modulation.tremolo.enabled || modulation.fm.enabled;
+}
+
+const SIMPSON_STEPS = 32;
+
+/** ∫ₐᵇ f, Simpson's rule. */
+function integrate(f: (u: number) => number, a: number, b: number) {
+  const h = (b - a) / SIMPSON_STEPS;
+  let sum = f(a) + f(b);
+  for (let i = 1; i < SIMPSON_STEPS; i++) sum += (i % 2 === 1 ? 4 : 2) * f(a + i * h);
+  return (sum * h) / 3;
+}
+
+/**
+ * Carrier periods elapsed `tSec` after note-on, FM included, so that
+ * `waveSample(type, cycles, 1, …)` is the modulated wave.
+ */
+export function modulatedCycles(modulation: Modulation, freqHz: number, tSec: number) {
+  const { vibrato } = modulation;
+  let cycles = freqHz * tSec;
+
+  if (vibrato.enabled && vibrato.depthCents > 0) {
+    // Frequency is freqHz · 2^(depth/1200 · sin(2π·rate·t)); integrate it one LFO period at a time.
+    const octaves = vibrato.depthCents / 1200;
+    const bend = (u: number) => Math.pow(2, octaves * Math.sin(2 * Math.PI * u));
+    const lfoPeriods = vibrato.rateHz * tSec;
+    const whole = Math.floor(lfoPeriods);
+    cycles = (freqHz / vibrato.rateHz) * (whole * integrate(bend, 0, 1) + integrate(bend, 0, lfoPeriods - whole));
+  }
+
+  return phaseModulatedCycles(modulation, cycles);
+}
+
+/**
+ * Adds the FM phase shift to `cycles` carrier periods. The modulator follows the
+ * carrier (bent by vibrato or a glide), so the ratio holds throughout.
+ */
+export function phaseModulatedCycles(modulation: Modulation, cycles: number) {
+  const { fm } = modulation;
+  if (!fm.enabled) return cycles;
+  return cycles + (fm.index / (2 * Math.PI)) * Math.sin(2 * Math.PI * fm.ratio * cycles);
+}
+
+/** Tremolo gain `tSec` after note-on: 1 at the start, down to 1 - depth half an LFO period later. */
+export function tremoloLevel(modulation: Modulation, tSec: number) {
+  const { tremolo } = modulation;
+  if (!tremolo.enabled) return 1;
+  return 1 - tremolo.depth * 0.5 * (1 - Math.cos(2 * Math.PI * tremolo.rateHz * tSec));
+}
+
+/** Time window that shows the modulation: two LFO periods, or four FM modulator periods. */
+export function modulationWindowSec(modulation: Modulation, freqHz: number) {
+  const rates = [
+    modulation.vibrato.enabled ? modulation.vibrato.rateHz : Infinity,
+    modulation.tremolo.enabled ? modulation.tremolo.rateHz : Infinity,
+  ];
+  const slowest = Math.min(...rates);
+  if (Number.isFinite(slowest)) return 2 / slowest;
+  return 4 / (modulation.fm.ratio * Math.max(freqHz, 1e-6));
+}
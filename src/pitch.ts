@@ -0,0 +1,107 @@
+/**
+ * Pitch: note names and cents for a frequency, and the tunings the frequency
+ * control snaps to.
+ *
+ * Note names and cents are always measured against twelve-tone equal
+ * temperament at A4 = 440 Hz, so a just major third above C reads "E −14¢".
+ * Just intonation and Pythagorean tuning are tables of ratios above a chosen
+ * root, which itself sits where equal temperament puts it.
+ */
+
+export type TuningSystem = "equal" | "just" | "pythagorean";
+
+export type Tuning = {
+  system: TuningSystem;
+  /** Pitch class the ratios are measured from: 0 = C, 9 = A. */
+  root: number;
+  /** Whether the frequency control moves from note to note, or freely. */
+  snap: boolean;
+};
+
+export const DEFAULT_TUNING: Tuning = { system: "equal", root: 0, snap: true };
+
+export const A4_HZ = 440;
+
+export const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+/** Names of the intervals from 0 to 12 semitones. */
+export const INTERVAL_NAMES = [
+  "unison",
+  "minor second",
+  "major second",
+  "minor third",
+  "major third",
+  "perfect fourth",
+  "tritone",
+  "perfect fifth",
+  "minor sixth",
+  "major sixth",
+  "minor seventh",
+  "major seventh",
+  "octave",
+];
+
+/** Frequency ratio of each of the 12 semitones above the root, within one octave. */
+export const TUNING_SYSTEMS: Record<TuningSystem, { name: string; ratios: number[] }> = {
+  equal: { name: "Equal temperament", ratios: Array.from({ length: 12 }, (_, i) => Math.pow(2, i / 12)) },
+  // Five-limit: the simplest ratios of small whole numbers.
+  just: {
+    name: "Just intonation",
+    ratios: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8],
+  },
+  // Stacked pure fifths (3:2), folded back into the octave.
+  pythagorean: {
+    name: "Pythagorean",
+    ratios: [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128],
+  },
+};
+
+/** MIDI note number (69 = A4), fractional between notes. */
+export function midiFromHz(hz: number) {
+  return 69 + 12 * Math.log2(hz / A4_HZ);
+}
+
+export function hzFromMidi(midi: number) {
+  return A4_HZ * Math.pow(2, (midi - 69) / 12);
+}
+
+/** Name and octave of a MIDI note, e.g. 57 → "A3". */
+export function noteName(midi: number) {
+  const pitchClass = ((midi % 12) + 12) % 12;
+  return `${NOTE_NAMES[pitchClass]}${Math.floor(midi / 12) - 1}`;
+}
+
+/** The nearest equal-tempered note and how far off it `hz` is, in cents (-50..50). */
+export function describePitch(hz: number) {
+  const midi = midiFromHz(hz);
+  const nearest = Math.round(midi);
+  return { note: noteName(nearest), cents: (midi - nearest) * 100 };
+}
+
+/** e.g. "A3 +0¢", "E4 −14¢". */
+export function formatPitch(hz: number) {
+  const { note, cents } = describePitch(hz);
+  const rounded = Math.round(cents) || 0;
+  return `${note} ${rounded < 0 ? "−" : "+"}${Math.abs(rounded)}¢`;
+}
+
+/** Frequency ratio of an interval of `semitones` (0 or more) in a tuning system. */
+export function intervalRatio(system: TuningSystem, semitones: number) {
+  const octaves = Math.floor(semitones / 12);
+  return TUNING_SYSTEMS[system].ratios[semitones - octaves * 12] * Math.pow(2, octaves);
+}
+
+export function ratioCents(ratio: number) {
+  return 1200 * Math.log2(ratio);
+}
+
+/** Frequency of MIDI note `midi` (whole) in `tuning`, measured up from the nearest root at or below it. */
+export function tunedFreq(tuning: Tuning, midi: number) {
+  const above = (((midi - tuning.root) % 12) + 12) % 12;
+  return hzFromMidi(midi - above) * intervalRatio(tuning.system, above);
+}
+
+/** The note of `tuning` nearest to `hz`. */
+export function snapToTuning(tuning: Tuning, hz: number) {
+  return tunedFreq(tuning, Math.round(midiFromHz(hz)));
+}
@@ -0,0 +1,43 @@
+/**
+ * Custom-wave presets: named harmonic mixes shown as tiles in the Wave Library
+ * next to the built-in waves.
+ *
+ * Picking a preset copies its mix into the inspector, and slots keep their own
+ * copy of the mix they were placed with, so renaming, editing or deleting a
+ * preset never changes what the timeline plays. Preset packs (files of presets
+ * to share) are read and written in `project.ts`.
+ */
+
+import { makeId } from "./timeline";
+import type { CustomModes } from "./waves";
+
+export type CustomPreset = {
+  id: string;
+  name: string;
+  modes: CustomModes;
+};
+
+export const MAX_PRESET_COUNT = 48;
+export const PRESET_NAME_MAX_LENGTH = 40;
+export const DEFAULT_PRESET_NAME = "My wave";
+
+export function makePreset(name: string, modes: CustomModes): CustomPreset {
+  return { id: makeId("preset"), name, modes };
+}
+
+/** Trimmed and shortened to fit, or the default name if nothing is left. */
+export function cleanPresetName(name: string) {
+  return name.trim().slice(0, PRESET_NAME_MAX_LENGTH) || DEFAULT_PRESET_NAME;
+}
+
+/** `name`, or "name 2", "name 3"… if another preset already has it. */
+export function uniquePresetName(name: string, presets: CustomPreset[]) {
+  const base = cleanPresetName(name);
+  const taken = new Set(presets.map((preset) => preset.name));
+  if (!taken.has(base)) return base;
+  for (let n = 2; ; n++) {
+    const suffix = ` ${n}`;
+    const candidate = base.slice(0, PRESET_NAME_MAX_LENGTH - suffix.length) + suffix;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
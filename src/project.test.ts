@@ -0,0 +1,249 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_EFFECTS } from "./effects";
+import { DEFAULT_ENVELOPE } from "./envelope";
+import { DEFAULT_GLIDE } from "./glide";
+import { DEFAULT_MODULATION } from "./modulation";
+import { makePreset } from "./presets";
+import {
+  LESSON_FORMAT,
+  parseLesson,
+  parsePresetPack,
+  parseProject,
+  PRESET_PACK_FORMAT,
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  ProjectFileError,
+  serializePresetPack,
+  serializeProject,
+  type ProjectSession,
+} from "./project";
+import { DEFAULT_TEMPO } from "./tempo";
+import { DEFAULT_DRAWN_WAVE } from "./wavetable";
+import { CUSTOM_MODE_COUNT, DEFAULT_CUSTOM_MODES, type CustomModes } from "./waves";
+
+function modes(sin: number[], cos: number[] = []): CustomModes {
+  const pad = (values: number[]) => [...values, ...Array(CUSTOM_MODE_COUNT - values.length).fill(0)];
+  return { sin: pad(sin), cos: pad(cos) };
+}
+
+const SESSION: ProjectSession = {
+  waveType: "custom",
+  amp: 0.8,
+  freqHz: 330,
+  customModes: modes([0.5, 0, 0.25], [0, 0.1]),
+  drawnWave: DEFAULT_DRAWN_WAVE,
+  envelope: { attackSec: 0.02, decaySec: 0.1, sustain: 0.7, releaseSec: 0.3 },
+  effects: { ...DEFAULT_EFFECTS, delay: { enabled: true, timeSec: 0.25, feedback: 0.4, mix: 0.3 } },
+  modulation: DEFAULT_MODULATION,
+  glide: DEFAULT_GLIDE,
+  tempo: { bpm: 96, beatsPerBar: 3, beatUnit: 4 },
+  customPresets: [makePreset("Hollow", modes([1, 0, 0.3]))],
+  tracks: [
+    {
+      id: "track-1",
+      name: "Lead",
+      gain: 0.9,
+      muted: false,
+      solo: true,
+      slots: [
+        { id: "slot-1", durationSec: 1.5, kind: "wave", type: "square", amp: 1, freqHz: 440, label: "Square" },
+        { id: "slot-2", durationSec: 0.5, kind: "empty" },
+        {
+          id: "slot-3",
+          durationSec: 2,
+          kind: "drawn",
+          amp: 0.6,
+          freqHz: 220,
+          wavetable: DEFAULT_DRAWN_WAVE,
+          envelope: DEFAULT_ENVELOPE,
+          label: "Drawn",
+        },
+      ],
+    },
+  ],
+};
+
+/** What a file from the first release looked like: one timeline of fixed 2-second slots. */
+const V1_FILE = {
+  format: PROJECT_FORMAT,
+  version: 1,
+  waveType: "noise",
+  amp: 1,
+  freqHz: 220,
+  customModes: [1, 0, 0.5],
+  slots: [
+    { kind: "wave", type: "noise", amp: 0.5, freqHz: 110, label: "Noise 110 Hz" },
+    { kind: "wave", type: "custom", amp: 1, freqHz: 220, label: "Custom" },
+    { kind: "empty" },
+  ],
+};
+
+/** A project document as `serializeProject` writes it, for editing one field at a time. */
+function projectDocument() {
+  return JSON.parse(serializeProject(SESSION));
+}
+
+function expectFileError(run: () => unknown, message: RegExp) {
+  expect(run).toThrow(ProjectFileError);
+  expect(run).toThrow(message);
+}
+
+describe("serializeProject / parseProject", () => {
+  it("round-trips a session (apart from the runtime ids)", () => {
+    const text = serializeProject(SESSION, { compact: true });
+    const { session, warnings } = parseProject(text);
+    expect(warnings).toEqual([]);
+    expect(serializeProject(session, { compact: true })).toBe(text);
+    expect(session.tracks[0].id).not.toBe("track-1");
+  });
+
+  it("writes the format, the current version and, unless compact, a timestamp", () => {
+    const doc = projectDocument();
+    expect(doc.format).toBe(PROJECT_FORMAT);
+    expect(doc.version).toBe(PROJECT_VERSION);
+    expect(typeof doc.savedAt).toBe("string");
+    expect(JSON.parse(serializeProject(SESSION, { compact: true })).savedAt).toBeUndefined();
+  });
+});
+
+describe("parseProject migrations", () => {
+  it("brings a v1 file up to the current version", () => {
+    const { session, warnings } = parseProject(JSON.stringify(V1_FILE));
+
+    expect(session.waveType).toBe("saw");
+    expect(session.customModes).toEqual(modes([1, 0, 0.5]));
+    expect(session.drawnWave).toEqual(DEFAULT_DRAWN_WAVE);
+    expect(session.envelope).toEqual(DEFAULT_ENVELOPE);
+    expect(session.effects).toEqual(DEFAULT_EFFECTS);
+    expect(session.modulation).toEqual(DEFAULT_MODULATION);
+    expect(session.glide).toEqual(DEFAULT_GLIDE);
+    expect(session.tempo).toEqual(DEFAULT_TEMPO);
+    expect(session.customPresets).toEqual([]);
+
+    expect(session.tracks).toHaveLength(1);
+    const [noise, custom, empty] = session.tracks[0].slots;
+    expect(noise).toMatchObject({ kind: "wave", type: "saw", label: "Sawtooth 110 Hz", durationSec: 2 });
+    // Custom slots played the session's mix before they had their own.
+    expect(custom).toMatchObject({ kind: "wave", type: "custom", customModes: modes([1, 0, 0.5]) });
+    expect(empty).toMatchObject({ kind: "empty", durationSec: 2 });
+
+    expect(warnings).toHaveLength(2);
+    expect(warnings.every((warning) => warning.includes("replaced with Sawtooth"))).toBe(true);
+  });
+
+  it("turns v2 sine-only custom modes into sine/cosine pairs", () => {
+    const doc = projectDocument();
+    const v2 = {
+      format: PROJECT_FORMAT,
+      version: 2,
+      session: {
+        waveType: "custom",
+        amp: 1,
+        freqHz: 220,
+        customModes: [0.5, 0.5],
+        envelope: DEFAULT_ENVELOPE,
+        tracks: [{ ...doc.session.tracks[0], slots: [{ ...doc.session.tracks[0].slots[0], customModes: [0, 1] }] }],
+      },
+    };
+    const { session } = parseProject(JSON.stringify(v2));
+    expect(session.customModes).toEqual(modes([0.5, 0.5]));
+    expect(session.tracks[0].slots[0]).toMatchObject({ customModes: modes([0, 1]) });
+  });
+});
+
+describe("parseProject errors", () => {
+  it("rejects text that is not JSON or not a project", () => {
+    expectFileError(() => parseProject("{"), /not valid JSON/);
+    expectFileError(() => parseProject("[]"), /"\(file\)" must be an object/);
+    const other = JSON.stringify({ format: "something-else", version: 1 });
+    expectFileError(() => parseProject(other), /not a Make Your Own Tune project/);
+  });
+
+  it("rejects a file from a newer version of the app", () => {
+    const doc = { ...projectDocument(), version: PROJECT_VERSION + 1 };
+    expectFileError(() => parseProject(JSON.stringify(doc)), /newer version of the app \(file version \d+\)/);
+  });
+
+  it("rejects a version that is not a whole number", () => {
+    const doc = { ...projectDocument(), version: 1.5 };
+    expectFileError(() => parseProject(JSON.stringify(doc)), /"version" must be a whole number/);
+  });
+
+  it("names the malformed field", () => {
+    const cases: Array<[(doc: ReturnType<typeof projectDocument>) => void, RegExp]> = [
+      [(doc) => (doc.session.amp = 5), /"session.amp" must be a number between 0 and 2/],
+      [(doc) => (doc.session.waveType = "noise"), /"session.waveType" must be a known wave type/],
+      [(doc) => (doc.session.customModes.sin[0] = "1"), /"session.customModes.sin\[0\]" must be a number/],
+      [(doc) => (doc.session.drawnWave = [0, 1]), /"session.drawnWave" must have exactly/],
+      [(doc) => (doc.session.tracks = []), /"session.tracks" must have at least one track/],
+      [(doc) => (doc.session.tracks[0].slots[0].kind = "clip"), /"session.tracks\[0\].slots\[0\].kind" must be/],
+      [(doc) => (doc.session.tracks[0].slots[0].type = "drawn"), /must be a library wave type/],
+      [(doc) => (doc.session.effects.filter.mode = "bandpass"), /"session.effects.filter.mode"/],
+      [(doc) => (doc.session.tempo.beatsPerBar = 3.5), /"session.tempo.beatsPerBar" must be a whole number/],
+      [(doc) => (doc.session.customPresets[0].name = "  "), /"session.customPresets\[0\].name" must not be empty/],
+    ];
+    for (const [edit, message] of cases) {
+      const doc = projectDocument();
+      edit(doc);
+      expectFileError(() => parseProject(JSON.stringify(doc)), message);
+    }
+  });
+});
+
+describe("preset packs", () => {
+  it("round-trips presets with fresh ids", () => {
+    const presets = [makePreset("Hollow", modes([1, 0, 0.3])), makePreset("Bright", modes([0.5, 0.25], [0.1]))];
+    const parsed = parsePresetPack(serializePresetPack(presets));
+    const saved = ({ name, modes }: { name: string; modes: CustomModes }) => ({ name, modes });
+    expect(parsed.map(saved)).toEqual(presets.map(saved));
+    expect(parsed[0].id).not.toBe(presets[0].id);
+  });
+
+  it("rejects projects, newer packs and bad presets, worded for a pack", () => {
+    expectFileError(() => parsePresetPack(serializeProject(SESSION)), /is a project, not a preset pack/);
+    const pack = { format: PRESET_PACK_FORMAT, version: 1, presets: [{ name: "Odd", modes: DEFAULT_CUSTOM_MODES }] };
+    const newer = JSON.stringify({ ...pack, version: 2 });
+    expectFileError(() => parsePresetPack(newer), /preset pack was saved by a newer version/);
+    const bad = { ...pack, presets: [{ name: "Odd", modes: { sin: [2], cos: [] } }] };
+    expectFileError(() => parsePresetPack(JSON.stringify(bad)), /^Invalid preset pack: "presets\[0\].modes.sin\[0\]"/);
+  });
+});
+
+describe("parseLesson", () => {
+  const lesson = {
+    format: LESSON_FORMAT,
+    version: 1,
+    title: "Pitch",
+    steps: [
+      {
+        title: "Listen",
+        set: { waveType: "sine", freqHz: 440 },
+        lock: ["waves"],
+        hide: ["timeline"],
+        autoplay: "modified",
+      },
+      { title: "Your turn" },
+    ],
+  };
+
+  it("reads steps with their settings, locks and autoplay", () => {
+    const parsed = parseLesson(JSON.stringify(lesson));
+    expect(parsed.title).toBe("Pitch");
+    expect(parsed.steps[0]).toMatchObject({
+      title: "Listen",
+      set: { waveType: "sine", freqHz: 440 },
+      lock: ["waves"],
+      hide: ["timeline"],
+      autoplay: "modified",
+    });
+    expect(parsed.steps[1]).toMatchObject({ title: "Your turn", set: {}, lock: [], hide: [] });
+  });
+
+  it("rejects unknown controls and empty lessons, worded for a lesson", () => {
+    const badControl = { ...lesson, steps: [{ title: "Step", lock: ["volume"] }] };
+    expectFileError(() => parseLesson(JSON.stringify(badControl)), /^Invalid lesson: "steps\[0\].lock\[0\]" must be/);
+    expectFileError(() => parseLesson(JSON.stringify({ ...lesson, steps: [] })), /"steps" must have at least one step/);
+    const newer = JSON.stringify({ ...lesson, version: 2 });
+    expectFileError(() => parseLesson(newer), /lesson was saved by a newer version/);
+  });
+});
@@ -0,0 +1,723 @@
+/**
+ * Project files and autosave.
+ *
+ * A project is a versioned JSON document holding the whole session. Parsing
+ * validates every field, migrates older versions forward one step at a time,
+ * and rejects files written by a newer version of the app with a clear message.
+ *
+ * Version history:
+ * - v1: single timeline (`slots`, fixed 2-second slots), no envelopes. Files may
+ *   still use the removed `noise` wave type.
+ * - v2: multitrack timeline with per-slot durations and ADSR envelopes.
+ * - v3: custom waves store sine and cosine coefficients (`{ sin, cos }`) instead
+ *   of a plain list of sine coefficients.
+ * - v4: hand-drawn waves: the session's `drawnWave` table and `drawn` slots.
+ * - v5: effects (filter, delay, reverb): the session's `effects` and optional
+ *   per-slot `effects`.
+ * - v6: vibrato, tremolo and FM: the session's `modulation` and optional
+ *   per-slot `modulation`.
+ * - v7: frequency glides: the session's `glide` and optional per-slot `glide`.
+ * - v8: the timeline's `tempo` (BPM and time signature). Slot lengths may be as
+ *   short as a sixteenth note at the fastest tempo.
+ * - v9: named custom-wave presets (`customPresets`). Custom slots always carry
+ *   their own `customModes`; older ones get the session's mix they played with.
+ *
+ * Preset packs and lesson scripts are separate, smaller file formats: a list of
+ * presets to share between projects, and the steps of a lesson (see
+ * `lessons.ts`). They reuse the same field checks.
+ */
+
+import {
+  DEFAULT_EFFECTS,
+  EFFECT_LIMITS,
+  FILTER_MODES,
+  REVERB_SPACES,
+  type Effects,
+  type FilterMode,
+  type ReverbSpace,
+} from "./effects";
+import { DEFAULT_ENVELOPE, ENVELOPE_LIMITS, type Envelope } from "./envelope";
+import { DEFAULT_GLIDE, GLIDE_CURVES, GLIDE_LIMITS, type Glide, type GlideCurve } from "./glide";
+import {
+  LESSON_CONTROLS,
+  MAX_LESSON_STEPS,
+  type Lesson,
+  type LessonAutoplay,
+  type LessonControl,
+  type LessonStep,
+} from "./lessons";
+import { DEFAULT_MODULATION, MODULATION_LIMITS, type Modulation } from "./modulation";
+import { makePreset, MAX_PRESET_COUNT, PRESET_NAME_MAX_LENGTH, type CustomPreset } from "./presets";
+import { BEAT_UNITS, DEFAULT_TEMPO, TEMPO_LIMITS, type BeatUnit, type Tempo } from "./tempo";
+import {
+  makeId,
+  MAX_SLOT_COUNT,
+  MAX_SLOT_SECONDS,
+  MAX_TRACK_COUNT,
+  MIN_SLOT_SECONDS,
+  type LibraryWaveType,
+  type Slot,
+  type Track,
+} from "./timeline";
+import { DEFAULT_DRAWN_WAVE, WAVETABLE_SIZE } from "./wavetable";
+import { CUSTOM_MODE_COUNT, isWaveType, type CustomModes, type WaveType } from "./waves";
+
+export const PROJECT_FORMAT = "make-your-own-tune-project";
+export const PROJECT_VERSION = 9;
+export const AUTOSAVE_STORAGE_KEY = "make-your-own-tune:autosave";
+export const PRESET_PACK_FORMAT = "make-your-own-tune-presets";
+export const PRESET_PACK_VERSION = 1;
+export const LESSON_FORMAT = "make-your-own-tune-lesson";
+export const LESSON_VERSION = 1;
+
+const FREQ_RANGE_HZ = [1, 20_000] as const;
+const AMP_MAX = 2;
+const TRACK_GAIN_MAX = 1.5;
+const V1_SLOT_SECONDS = 2;
+
+export type ProjectSession = {
+  waveType: WaveType;
+  amp: number;
+  freqHz: number;
+  customModes: CustomModes;
+  /** One period of the Drawn wave. */
+  drawnWave: number[];
+  envelope: Envelope;
+  /** The inspector's effects; slots keep their own copy. */
+  effects: Effects;
+  /** The inspector's vibrato, tremolo and FM; slots keep their own copy. */
+  modulation: Modulation;
+  /** The inspector's glide; slots keep their own copy and sweep over their duration. */
+  glide: Glide;
+  /** BPM and time signature of the timeline's beat grid and metronome. */
+  tempo: Tempo;
+  /** Named custom mixes in the Wave Library. */
+  customPresets: CustomPreset[];
+  tracks: Track[];
+};
+
+export type ParsedProject = {
+  session: ProjectSession;
+  /** Non-fatal notes, e.g. what a migration had to change. */
+  warnings: string[];
+};
+
+/** Thrown for any file that cannot be opened; the message is meant for the user. */
+export class ProjectFileError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ProjectFileError";
+  }
+}
+
+// ----------------------------
+// Serialization
+// ----------------------------
+
+/** Runtime ids are not saved; they are regenerated on load. */
+function presetToDocument(preset: CustomPreset) {
+  return { name: preset.name, modes: preset.modes };
+}
+
+function slotToDocument(slot: Slot) {
+  if (slot.kind === "empty") return { kind: slot.kind, durationSec: slot.durationSec };
+  if (slot.kind === "drawn") {
+    return {
+      kind: slot.kind,
+      durationSec: slot.durationSec,
+      amp: slot.amp,
+      freqHz: slot.freqHz,
+      wavetable: slot.wavetable,
+      envelope: slot.envelope,
+      effects: slot.effects,
+      modulation: slot.modulation,
+      glide: slot.glide,
+      label: slot.label,
+    };
+  }
+  return {
+    kind: slot.kind,
+    durationSec: slot.durationSec,
+    type: slot.type,
+    amp: slot.amp,
+    freqHz: slot.freqHz,
+    customModes: slot.customModes,
+    envelope: slot.envelope,
+    effects: slot.effects,
+    modulation: slot.modulation,
+    glide: slot.glide,
+    label: slot.label,
+  };
+}
+
+/**
+ * Serializes a session as a project document. `compact` output (used for share
+ * links) has no whitespace and no `savedAt` timestamp.
+ */
+export function serializeProject(session: ProjectSession, { compact = false } = {}) {
+  return JSON.stringify(
+    {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      savedAt: compact ? undefined : new Date().toISOString(),
+      session: {
+        waveType: session.waveType,
+        amp: session.amp,
+        freqHz: session.freqHz,
+        customModes: session.customModes,
+        drawnWave: session.drawnWave,
+        envelope: session.envelope,
+        effects: session.effects,
+        modulation: session.modulation,
+        glide: session.glide,
+        tempo: session.tempo,
+        customPresets: session.customPresets.map(presetToDocument),
+        tracks: session.tracks.map((track) => ({
+          name: track.name,
+          gain: track.gain,
+          muted: track.muted,
+          solo: track.solo,
+          slots: track.slots.map(slotToDocument),
+        })),
+      },
+    },
+    null,
+    compact ? undefined : 2
+  );
+}
+
+// ----------------------------
+// Validation
+// ----------------------------
+
+type JsonObject = Record<string, unknown>;
+
+function invalid(path: string, expected: string): never {
+  throw new ProjectFileError(`Invalid project: "${path}" ${expected}.`);
+}
+
+function readObject(value: unknown, path: string): JsonObject {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) invalid(path, "must be an object");
+  return value as JsonObject;
+}
+
+function readArray(value: unknown, path: string, maxLength: number): unknown[] {
+  if (!Array.isArray(value)) invalid(path, "must be a list");
+  if (value.length > maxLength) invalid(path, `must have at most ${maxLength} entries`);
+  return value;
+}
+
+function readNumber(value: unknown, path: string, lo: number, hi: number) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < lo || value > hi) {
+    invalid(path, `must be a number between ${lo} and ${hi}`);
+  }
+  return value;
+}
+
+function readBoolean(value: unknown, path: string) {
+  if (typeof value !== "boolean") invalid(path, "must be true or false");
+  return value;
+}
+
+function readString(value: unknown, path: string, maxLength = 200) {
+  if (typeof value !== "string" || value.length > maxLength) invalid(path, `must be text of at most ${maxLength} characters`);
+  return value;
+}
+
+function readWaveType(value: unknown, path: string): WaveType {
+  if (!isWaveType(value)) invalid(path, "must be a known wave type");
+  return value;
+}
+
+function readLibraryWaveType(value: unknown, path: string): LibraryWaveType {
+  const type = readWaveType(value, path);
+  if (type === "drawn") invalid(path, 'must be a library wave type ("drawn" waves use the "drawn" slot kind)');
+  return type;
+}
+
+function readCoefficients(value: unknown, path: string) {
+  const coefficients = readArray(value, path, CUSTOM_MODE_COUNT).map((c, i) => readNumber(c, `${path}[${i}]`, -1, 1));
+  // Older mixes may have fewer modes; the missing ones are silent.
+  return [...coefficients, ...Array(CUSTOM_MODE_COUNT - coefficients.length).fill(0)] as number[];
+}
+
+function readWavetable(value: unknown, path: string) {
+  const table = readArray(value, path, WAVETABLE_SIZE).map((v, i) => readNumber(v, `${path}[${i}]`, -1, 1));
+  if (table.length !== WAVETABLE_SIZE) invalid(path, `must have exactly ${WAVETABLE_SIZE} entries`);
+  return table;
+}
+
+function readModes(value: unknown, path: string): CustomModes {
+  const o = readObject(value, path);
+  return { sin: readCoefficients(o.sin, `${path}.sin`), cos: readCoefficients(o.cos, `${path}.cos`) };
+}
+
+function readEnvelope(value: unknown, path: string): Envelope {
+  const o = readObject(value, path);
+  return {
+    attackSec: readNumber(o.attackSec, `${path}.attackSec`, 0, ENVELOPE_LIMITS.attackSec),
+    decaySec: readNumber(o.decaySec, `${path}.decaySec`, 0, ENVELOPE_LIMITS.decaySec),
+    sustain: readNumber(o.sustain, `${path}.sustain`, 0, ENVELOPE_LIMITS.sustain),
+    releaseSec: readNumber(o.releaseSec, `${path}.releaseSec`, 0, ENVELOPE_LIMITS.releaseSec),
+  };
+}
+
+function readEffects(value: unknown, path: string): Effects {
+  const o = readObject(value, path);
+  const filter = readObject(o.filter, `${path}.filter`);
+  const delay = readObject(o.delay, `${path}.delay`);
+  const reverb = readObject(o.reverb, `${path}.reverb`);
+  if (!FILTER_MODES.includes(filter.mode as FilterMode)) invalid(`${path}.filter.mode`, 'must be "lowpass" or "highpass"');
+  if (typeof reverb.space !== "string" || !Object.hasOwn(REVERB_SPACES, reverb.space)) {
+    invalid(`${path}.reverb.space`, `must be one of ${Object.keys(REVERB_SPACES).join(", ")}`);
+  }
+  const inRange = (v: unknown, p: string, [lo, hi]: readonly [number, number]) => readNumber(v, p, lo, hi);
+  return {
+    filter: {
+      enabled: readBoolean(filter.enabled, `${path}.filter.enabled`),
+      mode: filter.mode as FilterMode,
+      cutoffHz: inRange(filter.cutoffHz, `${path}.filter.cutoffHz`, EFFECT_LIMITS.cutoffHz),
+      q: inRange(filter.q, `${path}.filter.q`, EFFECT_LIMITS.q),
+    },
+    delay: {
+      enabled: readBoolean(delay.enabled, `${path}.delay.enabled`),
+      timeSec: inRange(delay.timeSec, `${path}.delay.timeSec`, EFFECT_LIMITS.timeSec),
+      feedback: inRange(delay.feedback, `${path}.delay.feedback`, EFFECT_LIMITS.feedback),
+      mix: inRange(delay.mix, `${path}.delay.mix`, EFFECT_LIMITS.mix),
+    },
+    reverb: {
+      enabled: readBoolean(reverb.enabled, `${path}.reverb.enabled`),
+      space: reverb.space as ReverbSpace,
+      mix: inRange(reverb.mix, `${path}.reverb.mix`, EFFECT_LIMITS.mix),
+    },
+  };
+}
+
+function readModulation(value: unknown, path: string): Modulation {
+  const o = readObject(value, path);
+  const vibrato = readObject(o.vibrato, `${path}.vibrato`);
+  const tremolo = readObject(o.tremolo, `${path}.tremolo`);
+  const fm = readObject(o.fm, `${path}.fm`);
+  const inRange = (v: unknown, p: string, [lo, hi]: readonly [number, number]) => readNumber(v, p, lo, hi);
+  return {
+    vibrato: {
+      enabled: readBoolean(vibrato.enabled, `${path}.vibrato.enabled`),
+      rateHz: inRange(vibrato.rateHz, `${path}.vibrato.rateHz`, MODULATION_LIMITS.vibratoRateHz),
+      depthCents: inRange(vibrato.depthCents, `${path}.vibrato.depthCents`, MODULATION_LIMITS.depthCents),
+    },
+    tremolo: {
+      enabled: readBoolean(tremolo.enabled, `${path}.tremolo.enabled`),
+      rateHz: inRange(tremolo.rateHz, `${path}.tremolo.rateHz`, MODULATION_LIMITS.tremoloRateHz),
+      depth: inRange(tremolo.depth, `${path}.tremolo.depth`, MODULATION_LIMITS.tremoloDepth),
+    },
+    fm: {
+      enabled: readBoolean(fm.enabled, `${path}.fm.enabled`),
+      ratio: inRange(fm.ratio, `${path}.fm.ratio`, MODULATION_LIMITS.fmRatio),
+      index: inRange(fm.index, `${path}.fm.index`, MODULATION_LIMITS.fmIndex),
+    },
+  };
+}
+
+function readGlide(value: unknown, path: string): Glide {
+  const o = readObject(value, path);
+  if (typeof o.curve !== "string" || !Object.hasOwn(GLIDE_CURVES, o.curve)) {
+    invalid(`${path}.curve`, `must be one of ${Object.keys(GLIDE_CURVES).join(", ")}`);
+  }
+  return {
+    enabled: readBoolean(o.enabled, `${path}.enabled`),
+    curve: o.curve as GlideCurve,
+    endFreqHz: readNumber(o.endFreqHz, `${path}.endFreqHz`, FREQ_RANGE_HZ[0], FREQ_RANGE_HZ[1]),
+    semitones: readNumber(o.semitones, `${path}.semitones`, GLIDE_LIMITS.semitones[0], GLIDE_LIMITS.semitones[1]),
+  };
+}
+
+function readTempo(value: unknown, path: string): Tempo {
+  const o = readObject(value, path);
+  const beatsPerBar = readNumber(o.beatsPerBar, `${path}.beatsPerBar`, ...TEMPO_LIMITS.beatsPerBar);
+  if (!Number.isInteger(beatsPerBar)) invalid(`${path}.beatsPerBar`, "must be a whole number");
+  if (!BEAT_UNITS.includes(o.beatUnit as BeatUnit)) invalid(`${path}.beatUnit`, `must be one of ${BEAT_UNITS.join(", ")}`);
+  return {
+    bpm: readNumber(o.bpm, `${path}.bpm`, ...TEMPO_LIMITS.bpm),
+    beatsPerBar,
+    beatUnit: o.beatUnit as BeatUnit,
+  };
+}
+
+function readSlot(value: unknown, path: string): Slot {
+  const o = readObject(value, path);
+  const durationSec = readNumber(o.durationSec, `${path}.durationSec`, MIN_SLOT_SECONDS, MAX_SLOT_SECONDS);
+  if (o.kind === "empty") {
+    return { id: makeId("slot"), durationSec, kind: "empty" };
+  }
+  if (o.kind === "drawn") {
+    return {
+      id: makeId("slot"),
+      durationSec,
+      kind: "drawn",
+      amp: readNumber(o.amp, `${path}.amp`, 0, AMP_MAX),
+      freqHz: readNumber(o.freqHz, `${path}.freqHz`, FREQ_RANGE_HZ[0], FREQ_RANGE_HZ[1]),
+      wavetable: readWavetable(o.wavetable, `${path}.wavetable`),
+      envelope: o.envelope === undefined ? undefined : readEnvelope(o.envelope, `${path}.envelope`),
+      effects: o.effects === undefined ? undefined : readEffects(o.effects, `${path}.effects`),
+      modulation: o.modulation === undefined ? undefined : readModulation(o.modulation, `${path}.modulation`),
+      glide: o.glide === undefined ? undefined : readGlide(o.glide, `${path}.glide`),
+      label: readString(o.label, `${path}.label`),
+    };
+  }
+  if (o.kind !== "wave") invalid(`${path}.kind`, 'must be "empty", "wave" or "drawn"');
+
+  const type = readLibraryWaveType(o.type, `${path}.type`);
+  return {
+    id: makeId("slot"),
+    durationSec,
+    kind: "wave",
+    type,
+    amp: readNumber(o.amp, `${path}.amp`, 0, AMP_MAX),
+    freqHz: readNumber(o.freqHz, `${path}.freqHz`, FREQ_RANGE_HZ[0], FREQ_RANGE_HZ[1]),
+    // Custom slots play their own mix, never the session's.
+    customModes:
+      o.customModes === undefined && type !== "custom" ? undefined : readModes(o.customModes, `${path}.customModes`),
+    envelope: o.envelope === undefined ? undefined : readEnvelope(o.envelope, `${path}.envelope`),
+    effects: o.effects === undefined ? undefined : readEffects(o.effects, `${path}.effects`),
+    modulation: o.modulation === undefined ? undefined : readModulation(o.modulation, `${path}.modulation`),
+    glide: o.glide === undefined ? undefined : readGlide(o.glide, `${path}.glide`),
+    label: readString(o.label, `${path}.label`),
+  };
+}
+
+function readPreset(value: unknown, path: string): CustomPreset {
+  const o = readObject(value, path);
+  const name = readString(o.name, `${path}.name`, PRESET_NAME_MAX_LENGTH);
+  if (name.trim() === "") invalid(`${path}.name`, "must not be empty");
+  return makePreset(name, readModes(o.modes, `${path}.modes`));
+}
+
+function readPresets(value: unknown, path: string) {
+  return readArray(value, path, MAX_PRESET_COUNT).map((preset, i) => readPreset(preset, `${path}[${i}]`));
+}
+
+function readTrack(value: unknown, path: string): Track {
+  const o = readObject(value, path);
+  const slots = readArray(o.slots, `${path}.slots`, MAX_SLOT_COUNT).map((slot, i) => readSlot(slot, `${path}.slots[${i}]`));
+  if (slots.length === 0) invalid(`${path}.slots`, "must have at least one slot");
+  return {
+    id: makeId("track"),
+    name: readString(o.name, `${path}.name`, 60),
+    gain: readNumber(o.gain, `${path}.gain`, 0, TRACK_GAIN_MAX),
+    muted: readBoolean(o.muted, `${path}.muted`),
+    solo: readBoolean(o.solo, `${path}.solo`),
+    slots,
+  };
+}
+
+function readSession(value: unknown): ProjectSession {
+  const o = readObject(value, "session");
+  const tracks = readArray(o.tracks, "session.tracks", MAX_TRACK_COUNT).map((track, i) =>
+    readTrack(track, `session.tracks[${i}]`)
+  );
+  if (tracks.length === 0) invalid("session.tracks", "must have at least one track");
+  return {
+    waveType: readWaveType(o.waveType, "session.waveType"),
+    amp: readNumber(o.amp, "session.amp", 0, AMP_MAX),
+    freqHz: readNumber(o.freqHz, "session.freqHz", FREQ_RANGE_HZ[0], FREQ_RANGE_HZ[1]),
+    customModes: readModes(o.customModes, "session.customModes"),
+    drawnWave: readWavetable(o.drawnWave, "session.drawnWave"),
+    envelope: readEnvelope(o.envelope, "session.envelope"),
+    effects: readEffects(o.effects, "session.effects"),
+    modulation: readModulation(o.modulation, "session.modulation"),
+    glide: readGlide(o.glide, "session.glide"),
+    tempo: readTempo(o.tempo, "session.tempo"),
+    customPresets: readPresets(o.customPresets, "session.customPresets"),
+    tracks,
+  };
+}
+
+// ----------------------------
+// Migrations
+// ----------------------------
+
+/** `noise` was dropped from the library; Sawtooth is the closest bright, harmonic-rich replacement. */
+function migrateNoise(value: unknown, path: string, warnings: string[]) {
+  if (value !== "noise") return value;
+  warnings.push(`${path}: the Noise wave was removed and has been replaced with Sawtooth.`);
+  return "saw";
+}
+
+function migrateV1ToV2(doc: JsonObject, warnings: string[]): JsonObject {
+  const slots = readArray(doc.slots, "slots", MAX_SLOT_COUNT).map((value, i) => {
+    const slot = readObject(value, `slots[${i}]`);
+    if (slot.kind !== "wave") return { ...slot, durationSec: V1_SLOT_SECONDS };
+    const type = migrateNoise(slot.type, `slots[${i}]`, warnings);
+    const label = type !== slot.type && typeof slot.label === "string" ? slot.label.replace(/Noise/g, "Sawtooth") : slot.label;
+    return { ...slot, type, label, durationSec: V1_SLOT_SECONDS };
+  });
+
+  return {
+    format: PROJECT_FORMAT,
+    version: 2,
+    session: {
+      waveType: migrateNoise(doc.waveType, "waveType", warnings),
+      amp: doc.amp,
+      freqHz: doc.freqHz,
+      customModes: doc.customModes ?? [1],
+      envelope: DEFAULT_ENVELOPE,
+      tracks: [{ name: "Track 1", gain: 1, muted: false, solo: false, slots }],
+    },
+  };
+}
+
+/** v2 custom modes were sine coefficients only; they become the `sin` half of the pair. */
+function migrateV2ToV3(doc: JsonObject): JsonObject {
+  const toPair = (modes: unknown) => (Array.isArray(modes) ? { sin: modes, cos: [] } : modes);
+  const session = readObject(doc.session, "session");
+  const tracks = readArray(session.tracks, "session.tracks", MAX_TRACK_COUNT).map((value, t) => {
+    const track = readObject(value, `session.tracks[${t}]`);
+    const slots = readArray(track.slots, `session.tracks[${t}].slots`, MAX_SLOT_COUNT).map((slot, i) => {
+      const o = readObject(slot, `session.tracks[${t}].slots[${i}]`);
+      return o.customModes === undefined ? o : { ...o, customModes: toPair(o.customModes) };
+    });
+    return { ...track, slots };
+  });
+
+  return {
+    ...doc,
+    version: 3,
+    session: { ...session, customModes: toPair(session.customModes), tracks },
+  };
+}
+
+/** Sessions before v4 had no drawing; they get the default (sine) table. */
+function migrateV3ToV4(doc: JsonObject): JsonObject {
+  const session = readObject(doc.session, "session");
+  return { ...doc, version: 4, session: { ...session, drawnWave: DEFAULT_DRAWN_WAVE } };
+}
+
+/** Sessions before v5 had no effects; slots without `effects` already play dry. */
+function migrateV4ToV5(doc: JsonObject): JsonObject {
+  const session = readObject(doc.session, "session");
+  return { ...doc, version: 5, session: { ...session, effects: DEFAULT_EFFECTS } };
+}
+
+/** Sessions before v6 had no modulation; slots without `modulation` already play unmodulated. */
+function migrateV5ToV6(doc: JsonObject): JsonObject {
+  const session = readObject(doc.session, "session");
+  return { ...doc, version: 6, session: { ...session, modulation: DEFAULT_MODULATION } };
+}
+
+/** Sessions before v7 had no glide; slots without `glide` hold their pitch. */
+function migrateV6ToV7(doc: JsonObject): JsonObject {
+  const session = readObject(doc.session, "session");
+  return { ...doc, version: 7, session: { ...session, glide: DEFAULT_GLIDE } };
+}
+
+/** Sessions before v8 had no tempo; the grid starts at 120 bpm in 4/4 and slot lengths are unchanged. */
+function migrateV7ToV8(doc: JsonObject): JsonObject {
+  const session = readObject(doc.session, "session");
+  return { ...doc, version: 8, session: { ...session, tempo: DEFAULT_TEMPO } };
+}
+
+/**
+ * Sessions before v9 had no presets. Custom slots saved without a mix of their
+ * own played the session's, so they get a copy of it.
+ */
+function migrateV8ToV9(doc: JsonObject): JsonObject {
+  const session = readObject(doc.session, "session");
+  const tracks = readArray(session.tracks, "session.tracks", MAX_TRACK_COUNT).map((value, t) => {
+    const track = readObject(value, `session.tracks[${t}]`);
+    const slots = readArray(track.slots, `session.tracks[${t}].slots`, MAX_SLOT_COUNT).map((slot, i) => {
+      const o = readObject(slot, `session.tracks[${t}].slots[${i}]`);
+      const needsModes = o.kind === "wave" && o.type === "custom" && o.customModes === undefined;
+      return needsModes ? { ...o, customModes: session.customModes } : o;
+    });
+    return { ...track, slots };
+  });
+  return { ...doc, version: 9, session: { ...session, customPresets: [], tracks } };
+}
+
+/** `MIGRATIONS[n]` turns a version-n document into a version-(n + 1) document. */
+const MIGRATIONS: Record<number, (doc: JsonObject, warnings: string[]) => JsonObject> = {
+  1: migrateV1ToV2,
+  2: migrateV2ToV3,
+  3: migrateV3ToV4,
+  4: migrateV4ToV5,
+  5: migrateV5ToV6,
+  6: migrateV6ToV7,
+  7: migrateV7ToV8,
+  8: migrateV8ToV9,
+};
+
+// ----------------------------
+// Parsing
+// ----------------------------
+
+export function parseProject(text: string): ParsedProject {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new ProjectFileError("This file is not a project: it is not valid JSON.");
+  }
+
+  let doc = readObject(raw, "(file)");
+  if (doc.format !== PROJECT_FORMAT) {
+    throw new ProjectFileError("This file is not a Make Your Own Tune project.");
+  }
+
+  let version = doc.version;
+  if (typeof version !== "number" || !Number.isInteger(version) || version < 1) {
+    invalid("version", "must be a whole number of 1 or more");
+  }
+  if (version > PROJECT_VERSION) {
+    throw new ProjectFileError(
+      `This project was saved by a newer version of the app (file version ${version}); ` +
+        `this version can open files up to version ${PROJECT_VERSION}. Please update the app.`
+    );
+  }
+
+  const warnings: string[] = [];
+  while (version < PROJECT_VERSION) {
+    doc = MIGRATIONS[version](doc, warnings);
+    version += 1;
+  }
+
+  return { session: readSession(doc.session), warnings };
+}
+
+// ----------------------------
+// Preset packs
+// ----------------------------
+
+export function serializePresetPack(presets: CustomPreset[]) {
+  return JSON.stringify(
+    {
+      format: PRESET_PACK_FORMAT,
+      version: PRESET_PACK_VERSION,
+      savedAt: new Date().toISOString(),
+      presets: presets.map(presetToDocument),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Parses a preset pack or lesson file with `read`. The field readers word their
+ * messages for projects; this names the kind of file instead.
+ */
+function parseDocument<T>(text: string, kind: string, format: string, version: number, read: (doc: JsonObject) => T) {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new ProjectFileError(`This file is not a ${kind}: it is not valid JSON.`);
+  }
+
+  try {
+    const doc = readObject(raw, "(file)");
+    if (doc.format !== format) {
+      throw new ProjectFileError(
+        doc.format === PROJECT_FORMAT
+          ? `This file is a project, not a ${kind}; open it with Open project.`
+          : `This file is not a Make Your Own Tune ${kind}.`
+      );
+    }
+    if (typeof doc.version !== "number" || !Number.isInteger(doc.version) || doc.version < 1) {
+      invalid("version", "must be a whole number of 1 or more");
+    }
+    if (doc.version > version) {
+      throw new ProjectFileError(
+        `This ${kind} was saved by a newer version of the app (version ${doc.version}). Please update the app.`
+      );
+    }
+    return read(doc);
+  } catch (err) {
+    if (err instanceof ProjectFileError) {
+      throw new ProjectFileError(err.message.replace(/^Invalid project:/, `Invalid ${kind}:`));
+    }
+    throw err;
+  }
+}
+
+/** The presets in a pack file, with fresh ids. Throws `ProjectFileError` with a message for the user. */
+export function parsePresetPack(text: string): CustomPreset[] {
+  return parseDocument(text, "preset pack", PRESET_PACK_FORMAT, PRESET_PACK_VERSION, (doc) =>
+    readPresets(doc.presets, "presets")
+  );
+}
+
+// ----------------------------
+// Lessons
+// ----------------------------
+
+function readLessonControls(value: unknown, path: string): LessonControl[] {
+  if (value === undefined) return [];
+  return readArray(value, path, LESSON_CONTROLS.length).map((control, i) => {
+    if (!LESSON_CONTROLS.includes(control as LessonControl)) {
+      invalid(`${path}[${i}]`, `must be one of ${LESSON_CONTROLS.map((c) => `"${c}"`).join(", ")}`);
+    }
+    return control as LessonControl;
+  });
+}
+
+function readLessonStep(value: unknown, path: string): LessonStep {
+  const o = readObject(value, path);
+  const set = o.set === undefined ? {} : readObject(o.set, `${path}.set`);
+  const optional = <T>(key: string, read: (v: unknown, p: string) => T) =>
+    set[key] === undefined ? undefined : read(set[key], `${path}.set.${key}`);
+  const tracks = optional("tracks", (v, p) => readArray(v, p, MAX_TRACK_COUNT).map((t, i) => readTrack(t, `${p}[${i}]`)));
+  if (tracks?.length === 0) invalid(`${path}.set.tracks`, "must have at least one track");
+  if (o.autoplay !== undefined && o.autoplay !== "modified" && o.autoplay !== "timeline") {
+    invalid(`${path}.autoplay`, 'must be "modified" or "timeline"');
+  }
+  return {
+    title: readString(o.title, `${path}.title`, 80),
+    caption: o.caption === undefined ? undefined : readString(o.caption, `${path}.caption`, 600),
+    question: o.question === undefined ? undefined : readString(o.question, `${path}.question`, 300),
+    set: {
+      waveType: optional("waveType", readWaveType),
+      amp: optional("amp", (v, p) => readNumber(v, p, 0, AMP_MAX)),
+      freqHz: optional("freqHz", (v, p) => readNumber(v, p, FREQ_RANGE_HZ[0], FREQ_RANGE_HZ[1])),
+      customModes: optional("customModes", readModes),
+      tracks,
+    },
+    lock: readLessonControls(o.lock, `${path}.lock`),
+    hide: readLessonControls(o.hide, `${path}.hide`),
+    autoplay: o.autoplay as LessonAutoplay | undefined,
+  };
+}
+
+/**
+ * Reads a lesson script. Steps may set `waveType`, `amp`, `freqHz`,
+ * `customModes` and `tracks` (written as in project files), list controls to
+ * `lock` and `hide`, and `autoplay` the modified wave or the timeline.
+ */
+export function parseLesson(text: string): Lesson {
+  return parseDocument(text, "lesson", LESSON_FORMAT, LESSON_VERSION, (doc) => {
+    const steps = readArray(doc.steps, "steps", MAX_LESSON_STEPS).map((step, i) => readLessonStep(step, `steps[${i}]`));
+    if (steps.length === 0) invalid("steps", "must have at least one step");
+    return { title: readString(doc.title, "title", 80), steps };
+  });
+}
+
+// ----------------------------
+// Autosave
+// ----------------------------
+
+export function saveAutosave(session: ProjectSession) {
+  try {
+    window.localStorage.setItem(AUTOSAVE_STORAGE_KEY, serializeProject(session));
+  } catch {
+    // Storage can be full or disabled (private browsing); autosave is best-effort.
+  }
+}
+
+/** Restores the last autosaved session, or null if there is none or it cannot be read. */
+export function loadAutosave(): ParsedProject | null {
+  try {
+    const text = window.localStorage.getItem(AUTOSAVE_STORAGE_KEY);
+    return text ? parseProject(text) : null;
+  } catch {
+    // A damaged autosave (or blocked storage) is dropped quietly: the app starts fresh, as on a first visit.
+    return null;
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * Ear-training quiz: questions about a hidden sound played through the synth,
+ * answered by ear.
+ *
+ * A quiz is drawn from a seed. The same seed, difficulty and question types
+ * always give the same questions in the same order, in any browser, so a whole
+ * class can type in one seed and take the same quiz. Plain data, no React.
+ */
+
+import { DEFAULT_ENVELOPE } from "./envelope";
+import { mulberry32 } from "./random";
+import type { TimelineSegment } from "./synth";
+import { CUSTOM_MODE_COUNT, DEFAULT_CUSTOM_MODES, WAVE_DEFINITIONS, type CustomModes, type WaveType } from "./waves";
+
+export const QUIZ_KINDS = ["waveform", "pitch", "loudness", "harmonics"] as const;
+
+export type QuizKind = (typeof QUIZ_KINDS)[number];
+
+/** The pitch question's notes are compared with this one, played first. */
+export const QUIZ_REFERENCE_HZ = 220;
+
+export const QUIZ_KIND_NAMES: Record<QuizKind, string> = {
+  waveform: "Which waveform?",
+  pitch: `Higher or lower than ${QUIZ_REFERENCE_HZ} Hz?`,
+  loudness: "Which is louder?",
+  harmonics: "How many harmonics?",
+};
+
+export type QuizDifficulty = "easy" | "medium" | "hard";
+
+export const QUIZ_DIFFICULTIES: QuizDifficulty[] = ["easy", "medium", "hard"];
+
+export const QUIZ_QUESTION_COUNT = 10;
+
+const DIFFICULTY_SETTINGS: Record<
+  QuizDifficulty,
+  {
+    /** Library waves the waveform question chooses among. */
+    waveforms: WaveType[];
+    /** How far the pitch question's note is from the reference, in cents. */
+    pitchCents: [number, number];
+    /** How much quieter one of the loudness question's notes is, in dB. */
+    loudnessDb: [number, number];
+    /** Most harmonics in the harmonics question, and the top of its slider. */
+    maxHarmonics: number;
+  }
+> = {
+  easy: { waveforms: ["sine", "square", "saw"], pitchCents: [500, 1200], loudnessDb: [6, 10], maxHarmonics: 3 },
+  medium: {
+    waveforms: ["sine", "triangle", "square", "saw"],
+    pitchCents: [150, 400],
+    loudnessDb: [3, 5],
+    maxHarmonics: 5,
+  },
+  hard: {
+    waveforms: ["sine", "triangle", "square", "saw", "humps"],
+    pitchCents: [20, 100],
+    loudnessDb: [1, 2],
+    maxHarmonics: 8,
+  },
+};
+
+export type QuizQuestion =
+  | { kind: "waveform"; freqHz: number; choices: WaveType[]; answer: WaveType }
+  | { kind: "pitch"; freqHz: number; answer: "higher" | "lower" }
+  | { kind: "loudness"; freqHz: number; amps: [number, number]; answer: "first" | "second" }
+  | { kind: "harmonics"; freqHz: number; maxCount: number; answer: number };
+
+export type QuizAnswer = QuizQuestion["answer"];
+
+export type QuizSettings = {
+  seed: string;
+  difficulty: QuizDifficulty;
+  kinds: QuizKind[];
+};
+
+// ----------------------------
+// Seeded random numbers
+// ----------------------------
+
+/** Letters and digits that cannot be mistaken for each other when read off a board. */
+const SEED_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const SEED_LENGTH = 6;
+export const QUIZ_SEED_MAX_LENGTH = 24;
+
+/** Seeds are not case-sensitive, and spaces around them do not count. */
+export function cleanQuizSeed(seed: string) {
+  return seed.trim().toUpperCase().slice(0, QUIZ_SEED_MAX_LENGTH);
+}
+
+/** A fresh seed, for a quiz nobody asked to repeat. */
+export function randomQuizSeed() {
+  let seed = "";
+  for (let i = 0; i < SEED_LENGTH; i++) seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  return seed;
+}
+
+/** FNV-1a: the text as a 32-bit number. */
+function hashText(text: string) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+type Random = () => number;
+
+function pick<T>(random: Random, items: readonly T[]): T {
+  return items[Math.floor(random() * items.length)];
+}
+
+function between(random: Random, [lo, hi]: [number, number]) {
+  return lo + random() * (hi - lo);
+}
+
+// ----------------------------
+// Questions
+// ----------------------------
+
+/** A note within an octave of the reference, on an equal-tempered semitone. */
+function randomNoteHz(random: Random) {
+  const semitones = Math.floor(random() * 25) - 12;
+  return Math.round(QUIZ_REFERENCE_HZ * 2 ** (semitones / 12) * 100) / 100;
+}
+
+function makeQuestion(random: Random, kind: QuizKind, difficulty: QuizDifficulty): QuizQuestion {
+  const settings = DIFFICULTY_SETTINGS[difficulty];
+  switch (kind) {
+    case "waveform":
+      return {
+        kind,
+        freqHz: randomNoteHz(random),
+        choices: settings.waveforms,
+        answer: pick(random, settings.waveforms),
+      };
+    case "pitch": {
+      const answer = random() < 0.5 ? "higher" : "lower";
+      const cents = between(random, settings.pitchCents) * (answer === "higher" ? 1 : -1);
+      return { kind, freqHz: Math.round(QUIZ_REFERENCE_HZ * 2 ** (cents / 1200) * 100) / 100, answer };
+    }
+    case "loudness": {
+      const answer = random() < 0.5 ? "first" : "second";
+      const louder = 1.2;
+      const quieter = louder * 10 ** (-between(random, settings.loudnessDb) / 20);
+      return {
+        kind,
+        freqHz: randomNoteHz(random),
+        amps: answer === "first" ? [louder, quieter] : [quieter, louder],
+        answer,
+      };
+    }
+    case "harmonics":
+      return {
+        kind,
+        freqHz: randomNoteHz(random),
+        maxCount: settings.maxHarmonics,
+        answer: 1 + Math.floor(random() * settings.maxHarmonics),
+      };
+  }
+}
+
+/** The questions for `settings`; the seed is cleaned first, so "abc " and "ABC" give the same quiz. */
+export function makeQuiz(settings: QuizSettings): QuizQuestion[] {
+  const kinds = QUIZ_KINDS.filter((kind) => settings.kinds.includes(kind));
+  if (kinds.length === 0) return [];
+  const random = mulberry32(hashText([cleanQuizSeed(settings.seed), settings.difficulty, ...kinds].join("|")));
+  return Array.from({ length: QUIZ_QUESTION_COUNT }, () => makeQuestion(random, pick(random, kinds), settings.difficulty));
+}
+
+export function quizPrompt(question: QuizQuestion) {
+  switch (question.kind) {
+    case "waveform":
+      return "Which waveform is this?";
+    case "pitch":
+      return `Is the second note higher or lower than the first (${QUIZ_REFERENCE_HZ} Hz)?`;
+    case "loudness":
+      return "Which note is louder, the first or the second?";
+    case "harmonics":
+      return `How many harmonics does this wave have (1 to ${question.maxCount})?`;
+  }
+}
+
+/** What the right answer was, and by how much, shown once a question is answered. */
+export function quizExplanation(question: QuizQuestion) {
+  switch (question.kind) {
+    case "waveform":
+      return `It was ${WAVE_DEFINITIONS[question.answer].name.toLowerCase()}.`;
+    case "pitch": {
+      const cents = Math.round(Math.abs(1200 * Math.log2(question.freqHz / QUIZ_REFERENCE_HZ)));
+      return `It was ${question.answer}: ${Math.round(question.freqHz)} Hz, ${cents} cents ${
+        question.answer === "higher" ? "above" : "below"
+      } ${QUIZ_REFERENCE_HZ} Hz.`;
+    }
+    case "loudness": {
+      const db = Math.abs(20 * Math.log10(question.amps[0] / question.amps[1]));
+      return `The ${question.answer} note was louder, by ${db.toFixed(1)} dB.`;
+    }
+    case "harmonics":
+      return `It had ${question.answer} harmonic${question.answer === 1 ? "" : "s"}.`;
+  }
+}
+
+export type QuizTally = { correct: number; answered: number };
+
+/** Right answers out of those given, overall and for each question type asked. */
+export function quizScore(questions: QuizQuestion[], answers: Array<QuizAnswer | null>) {
+  const total: QuizTally = { correct: 0, answered: 0 };
+  const byKind: Partial<Record<QuizKind, QuizTally>> = {};
+  questions.forEach((question, i) => {
+    const answer = answers[i];
+    if (answer == null) return;
+    const tally = (byKind[question.kind] ??= { correct: 0, answered: 0 });
+    const correct = answer === question.answer ? 1 : 0;
+    tally.correct += correct;
+    tally.answered += 1;
+    total.correct += correct;
+    total.answered += 1;
+  });
+  return { total, byKind };
+}
+
+// ----------------------------
+// Sound
+// ----------------------------
+
+const QUIZ_NOTE_SECONDS = 1.2;
+const QUIZ_GAP_SECONDS = 0.5;
+const QUIZ_AMP = 1;
+
+/** The first `count` harmonics at equal strength, scaled so the sum never clips. */
+function equalHarmonics(count: number): CustomModes {
+  return {
+    sin: Array.from({ length: CUSTOM_MODE_COUNT }, (_, i) => (i < count ? 1 / count : 0)),
+    cos: Array(CUSTOM_MODE_COUNT).fill(0),
+  };
+}
+
+function note(waveType: WaveType, freqHz: number, amp = QUIZ_AMP, customModes = DEFAULT_CUSTOM_MODES): TimelineSegment {
+  return { params: { freqHz, amp, waveType, customModes }, durationSec: QUIZ_NOTE_SECONDS, envelope: DEFAULT_ENVELOPE };
+}
+
+/** Two notes with a short silence between them. */
+function pair(first: TimelineSegment, second: TimelineSegment): TimelineSegment[] {
+  return [first, { params: first.params, durationSec: QUIZ_GAP_SECONDS }, second];
+}
+
+/** The hidden sound of a question, as synth segments. */
+export function quizSegments(question: QuizQuestion): TimelineSegment[] {
+  switch (question.kind) {
+    case "waveform":
+      return [note(question.answer, question.freqHz)];
+    case "pitch":
+      return pair(note("sine", QUIZ_REFERENCE_HZ), note("sine", question.freqHz));
+    case "loudness":
+      return pair(note("sine", question.freqHz, question.amps[0]), note("sine", question.freqHz, question.amps[1]));
+    case "harmonics":
+      return [note("custom", question.freqHz, QUIZ_AMP, equalHarmonics(question.answer))];
+  }
+}
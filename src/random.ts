@@ -0,0 +1,15 @@
+/**
+ * Seeded random numbers: the same seed gives the same sequence in every
+ * browser. Plain data, no React or Web Audio.
+ */
+
+/** Mulberry32: a small, fast PRNG with numbers in [0, 1). */
+export function mulberry32(seed: number) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Share links: the whole session, encoded into the URL fragment.
+ *
+ * The fragment is `#tune=<data>`, where `<data>` is the compact project JSON
+ * (see `serializeProject`), deflated and base64url-encoded. Decoding goes
+ * through `parseProject`, so a link gets the same validation and migrations as
+ * a project file. The fragment is never sent to a server.
+ */
+
+import { parseProject, ProjectFileError, serializeProject, type ParsedProject, type ProjectSession } from "./project";
+
+const SHARE_FRAGMENT_PREFIX = "#tune=";
+
+/** Tampered links could inflate to something huge; real sessions stay far below this. */
+const MAX_SHARE_FRAGMENT_CHARS = 100_000;
+const MAX_SHARE_JSON_BYTES = 256 * 1024;
+
+const BROKEN_LINK_MESSAGE = "This link is damaged or incomplete, so the tune could not be loaded.";
+
+function toBase64Url(bytes: Uint8Array) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text: string) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new ProjectFileError(BROKEN_LINK_MESSAGE);
+  let binary: string;
+  try {
+    binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  } catch {
+    throw new ProjectFileError(BROKEN_LINK_MESSAGE);
+  }
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function readAll(stream: ReadableStream<Uint8Array>, maxBytes: number) {
+  const reader = stream.getReader();
+  const chunks: Uint8Array[] = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw new ProjectFileError(BROKEN_LINK_MESSAGE);
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/** True if `hash` (e.g. `location.hash`) looks like a share link. */
+export function isShareFragment(hash: string) {
+  return hash.startsWith(SHARE_FRAGMENT_PREFIX);
+}
+
+/** Encodes a session as a `#tune=…` fragment. */
+export async function encodeShareFragment(session: ProjectSession) {
+  const json = new TextEncoder().encode(serializeProject(session, { compact: true }));
+  const deflated = await readAll(
+    new Blob([json]).stream().pipeThrough(new CompressionStream("deflate-raw")),
+    Number.POSITIVE_INFINITY
+  );
+  return SHARE_FRAGMENT_PREFIX + toBase64Url(deflated);
+}
+
+/**
+ * Decodes a `#tune=…` fragment. Every failure, from bad base64 to a corrupt
+ * deflate stream to an invalid session, surfaces as a `ProjectFileError`.
+ */
+export async function decodeShareFragment(hash: string): Promise<ParsedProject> {
+  if (!isShareFragment(hash) || hash.length > MAX_SHARE_FRAGMENT_CHARS) {
+    throw new ProjectFileError(BROKEN_LINK_MESSAGE);
+  }
+
+  const deflated = fromBase64Url(hash.slice(SHARE_FRAGMENT_PREFIX.length));
+  let json: string;
+  try {
+    const bytes = await readAll(
+      new Blob([deflated]).stream().pipeThrough(new DecompressionStream("deflate-raw")),
+      MAX_SHARE_JSON_BYTES
+    );
+    json = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch (err) {
+    if (err instanceof ProjectFileError) throw err;
+    throw new ProjectFileError(BROKEN_LINK_MESSAGE);
+  }
+
+  return parseProject(json);
+}
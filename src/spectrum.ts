@@ -0,0 +1,179 @@
+/**
+ * Frequency-domain helpers for the inspector's spectrum view.
+ *
+ * Theoretical spectra are peak amplitudes of each harmonic for a unit-amplitude
+ * wave: the registry's closed forms for the classic shapes, a numeric Fourier
+ * projection of `waveSample` for shapes without one. Live spectra come from an
+ * `AnalyserNode` and are corrected so both land on the same dB scale.
+ */
+
+import { WAVE_DEFINITIONS, waveSample, type CustomModes, type WaveType } from "./waves";
+
+export type FrequencyAxis = "log" | "linear";
+
+/** One analyser reading: `getFloatFrequencyData` output and the rate it was taken at. */
+export type SpectrumFrame = {
+  bins: Float32Array<ArrayBuffer>;
+  sampleRate: number;
+};
+
+/** Vertical range of the spectrum plot, in dB relative to a full-scale sine. */
+export const SPECTRUM_DB_RANGE = [-80, 6] as const;
+
+/** Highest harmonic drawn; keeps low fundamentals from producing thousands of markers. */
+export const MAX_SPECTRUM_HARMONICS = 200;
+
+const LOG_AXIS_RANGE_HZ = [20, 20_000] as const;
+const LINEAR_AXIS_HARMONICS = 16.5;
+const NUMERIC_SAMPLES_PER_PERIOD = 2048;
+
+/**
+ * `getFloatFrequencyData` scales by 1/N and applies a Blackman window (mean 0.42),
+ * so a sine of peak amplitude A reads 20·log10(0.21·A). Adding this back makes a
+ * live peak read the same as the theoretical amplitude of that harmonic.
+ */
+const ANALYSER_PEAK_CORRECTION_DB = 20 * Math.log10(2 / 0.42);
+
+function clamp(x: number, lo: number, hi: number) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+export function amplitudeToDb(amplitude: number) {
+  return 20 * Math.log10(Math.max(amplitude, 1e-9));
+}
+
+/** Visible frequency span. The linear axis zooms to the first ~16 harmonics of `fundamentalHz`. */
+export function spectrumFrequencyRange(axis: FrequencyAxis, fundamentalHz: number): [number, number] {
+  if (axis === "log") return [LOG_AXIS_RANGE_HZ[0], LOG_AXIS_RANGE_HZ[1]];
+  return [0, clamp(fundamentalHz * LINEAR_AXIS_HARMONICS, 500, LOG_AXIS_RANGE_HZ[1])];
+}
+
+/** Maps a frequency to 0..1 across `range` (values outside the range fall outside 0..1). */
+export function frequencyToUnit(freqHz: number, axis: FrequencyAxis, range: [number, number]) {
+  if (axis === "log") {
+    return Math.log(Math.max(freqHz, 1e-6) / range[0]) / Math.log(range[1] / range[0]);
+  }
+  return (freqHz - range[0]) / (range[1] - range[0]);
+}
+
+export function unitToFrequency(unit: number, axis: FrequencyAxis, range: [number, number]) {
+  if (axis === "log") return range[0] * Math.pow(range[1] / range[0], unit);
+  return range[0] + unit * (range[1] - range[0]);
+}
+
+/**
+ * Where a partial at `freqHz` lands once sampled at `sampleRate`: anything above
+ * Nyquist (half the sample rate) folds back into 0..Nyquist as an alias.
+ */
+export function aliasFrequency(freqHz: number, sampleRate: number) {
+  const wrapped = freqHz % sampleRate;
+  return wrapped > sampleRate / 2 ? sampleRate - wrapped : wrapped;
+}
+
+/**
+ * Fourier series of one period (`period(x)` for x in 0..1), measured numerically:
+ * `period(x) ≈ mean + Σ sin[n-1]·sin(2πnx) + cos[n-1]·cos(2πnx)` for n = 1..count.
+ *
+ * Samples sit at the middle of each step, so the jumps of square and saw waves
+ * are never sampled exactly and do not leak into the cosine terms.
+ */
+export function fourierSeriesOf(period: (x: number) => number, count: number) {
+  const samples = Array.from({ length: NUMERIC_SAMPLES_PER_PERIOD }, (_, k) => period((k + 0.5) / NUMERIC_SAMPLES_PER_PERIOD));
+  const mean = samples.reduce((acc, value) => acc + value, 0) / samples.length;
+  const sin: number[] = [];
+  const cos: number[] = [];
+  for (let n = 1; n <= count; n++) {
+    let a = 0;
+    let b = 0;
+    for (let k = 0; k < samples.length; k++) {
+      const theta = (2 * Math.PI * n * (k + 0.5)) / samples.length;
+      a += samples[k] * Math.sin(theta);
+      b += samples[k] * Math.cos(theta);
+    }
+    sin.push((2 / samples.length) * a);
+    cos.push((2 / samples.length) * b);
+  }
+  return { mean, sin, cos };
+}
+
+/** `fourierSeriesOf` for a unit-amplitude library wave. */
+export function fourierSeries(type: WaveType, customModes: CustomModes | undefined, count: number, wavetable?: number[]) {
+  return fourierSeriesOf((x) => waveSample(type, x, 1, customModes, wavetable), count);
+}
+
+/**
+ * How well `approximation` matches `original` over one period (both sampled on
+ * 0..1): RMS error relative to the original's RMS, and how far the approximation
+ * overshoots the original's peak, relative to its peak-to-peak range. A truncated
+ * Fourier series of a jump keeps an overshoot of about 9% (the Gibbs phenomenon).
+ */
+export function compareApproximation(original: (x: number) => number, approximation: (x: number) => number) {
+  let errorSq = 0;
+  let originalSq = 0;
+  let originalMax = -Infinity;
+  let originalMin = Infinity;
+  let approximationMax = -Infinity;
+  for (let k = 0; k < NUMERIC_SAMPLES_PER_PERIOD; k++) {
+    const x = (k + 0.5) / NUMERIC_SAMPLES_PER_PERIOD;
+    const o = original(x);
+    const a = approximation(x);
+    errorSq += (o - a) ** 2;
+    originalSq += o * o;
+    originalMax = Math.max(originalMax, o);
+    originalMin = Math.min(originalMin, o);
+    approximationMax = Math.max(approximationMax, a);
+  }
+  return {
+    rmsError: originalSq > 0 ? Math.sqrt(errorSq / originalSq) : 0,
+    overshoot: originalMax > originalMin ? Math.max(0, approximationMax - originalMax) / (originalMax - originalMin) : 0,
+  };
+}
+
+/** Peak amplitude of harmonics 1..count of a unit-amplitude wave (index 0 is the fundamental). */
+export function harmonicAmplitudes(
+  type: WaveType,
+  customModes: CustomModes | undefined,
+  count: number,
+  wavetable?: number[]
+): number[] {
+  const closedForm = WAVE_DEFINITIONS[type].harmonics;
+  if (closedForm) return Array.from({ length: count }, (_, i) => closedForm(i + 1));
+  // Custom mixes are clipped to [-1, 1]; humps and drawn waves have no tidy closed form. Measure them.
+  const { sin, cos } = fourierSeries(type, customModes, count, wavetable);
+  return sin.map((a, i) => Math.hypot(a, cos[i]));
+}
+
+/**
+ * SVG path of an analyser frame (`getFloatFrequencyData` output) drawn into the
+ * box `[x0, x1] × [y0, y1]`. Each pixel column shows the loudest bin it covers.
+ */
+export function makeLiveSpectrumPath(opts: {
+  bins: Float32Array;
+  sampleRate: number;
+  axis: FrequencyAxis;
+  range: [number, number];
+  x0: number;
+  x1: number;
+  y0: number;
+  y1: number;
+}) {
+  const { bins, sampleRate, axis, range, x0, x1, y0, y1 } = opts;
+  const binHz = sampleRate / 2 / bins.length;
+  const [minDb, maxDb] = SPECTRUM_DB_RANGE;
+  const step = 2;
+  let d = "";
+
+  for (let x = x0; x <= x1; x += step) {
+    const lo = unitToFrequency((x - x0) / (x1 - x0), axis, range);
+    const hi = unitToFrequency((x + step - x0) / (x1 - x0), axis, range);
+    const first = clamp(Math.round(lo / binHz), 0, bins.length - 1);
+    const last = clamp(Math.round(hi / binHz), first, bins.length - 1);
+    let db = -Infinity;
+    for (let i = first; i <= last; i++) db = Math.max(db, bins[i]);
+    db = clamp(db + ANALYSER_PEAK_CORRECTION_DB, minDb, maxDb);
+    const y = y1 - ((db - minDb) / (maxDb - minDb)) * (y1 - y0);
+    d += `${d ? "L" : "M"}${x.toFixed(1)} ${y.toFixed(1)} `;
+  }
+
+  return d.trim();
+}
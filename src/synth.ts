@@ -0,0 +1,709 @@
+/**
+ * Audio engine glue shared by live playback and offline rendering.
+ *
+ * The `wave-synth` AudioWorklet is generated from inline source so it can be
+ * registered on any `BaseAudioContext` (the live `AudioContext` as well as an
+ * `OfflineAudioContext` used for export).
+ */
+
+import { createEffectsChain, effectsTailSec, type Effects, type EffectsChain } from "./effects";
+import { envelopeGateSec, type Envelope } from "./envelope";
+import type { FreqSweep } from "./glide";
+import type { SecondOscillator } from "./interference";
+import type { Modulation } from "./modulation";
+import { bandLimitCorrection, CUSTOM_MODE_COUNT, WAVE_DEFINITIONS, WAVE_TYPES, type CustomModes, type WaveType } from "./waves";
+
+export const PLAYBACK_FADE_SECONDS = 0.2;
+/** Headroom so a schedule posted now reaches the worklet before its first event. */
+export const SCHEDULE_LOOKAHEAD_SECONDS = 0.05;
+
+export type SynthParams = {
+  freqHz: number;
+  amp: number;
+  waveType: WaveType;
+  customModes: CustomModes;
+  /** One period of the `drawn` wave. */
+  wavetable?: number[];
+  /** Vibrato, tremolo and FM; their LFOs restart on each `gate: true`. */
+  modulation?: Modulation;
+  /**
+   * Glide from `freqHz`; null (or a `freqHz` without a sweep) holds the pitch.
+   * The same sweep sent again keeps running unless it comes with `gate: true`.
+   */
+  sweep?: FreqSweep | null;
+  /**
+   * A second, plain oscillator mixed in (the interference lab); null fades it out.
+   * It starts `phaseDeg` ahead of the first at note-on; changing `phaseDeg` shifts it live.
+   * `stereoXY` splits the two across a stereo node's channels (see `SynthNodeOptions.stereo`).
+   */
+  second?: Omit<SecondOscillator, "enabled"> | null;
+};
+
+/**
+ * Everything a `params` message (or scheduled event) may carry. `gate: true` is a
+ * note-on that restarts the envelope's attack; `gate: false` starts its release.
+ * Without an envelope the voice plays at a constant level.
+ */
+export type SynthMessageParams = Partial<SynthParams> & {
+  envelope?: Envelope | null;
+  gate?: boolean;
+  /** See `SynthNodeOptions.bandLimited`; switches a running voice. */
+  bandLimited?: boolean;
+};
+
+export type SynthNodeOptions = {
+  /**
+   * Square, saw and triangle are band-limited with PolyBLEP/PolyBLAMP and custom
+   * harmonics above Nyquist are dropped. false plays the naive shapes, whose
+   * partials above Nyquist fold back as aliasing (the aliasing demo). Default true.
+   */
+  bandLimited?: boolean;
+  /** Two output channels, so the second oscillator can play on the right (`second.stereoXY`). Default mono. */
+  stereo?: boolean;
+};
+
+/** Registry entries as worklet source; each `sample` function travels as its own source text. */
+const WORKLET_WAVES_SOURCE = WAVE_TYPES.map((type) => {
+  const { sample, jumps = [], kinks = [] } = WAVE_DEFINITIONS[type];
+  return `    ${JSON.stringify(type)}: { sample: (${sample}), jumps: ${JSON.stringify(jumps)}, kinks: ${JSON.stringify(kinks)} },`;
+}).join("\n");
+
+// Inline AudioWorklet (self-contained) to maintain continuous phase and smooth parameter updates.
+// The wave shapes are not written here: they come from the registry in `src/waves.ts`.
+const WAVE_SYNTH_WORKLET_SOURCE = `
+  const TAU = Math.PI * 2;
+
+  function clamp(x, lo, hi) {
+    return Math.max(lo, Math.min(hi, x));
+  }
+
+  const CUSTOM_MODE_COUNT = ${CUSTOM_MODE_COUNT};
+
+  // Wave shapes, compiled from the registry in src/waves.ts.
+  const WAVES = {
+${WORKLET_WAVES_SOURCE}
+  };
+
+  const bandLimitCorrection = (${bandLimitCorrection});
+
+  class WaveSynthProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+
+      // Continuous phase, and its advance per sample in periods (for band-limiting).
+      this.phase = 0;
+      this.dt = 0;
+
+      // false plays the naive shapes, aliasing and all (the aliasing demo).
+      const opts = options && options.processorOptions ? options.processorOptions : {};
+      this.bandLimited = opts.bandLimited !== false;
+
+      // Smoothed params
+      this.currentFreq = 220;
+      this.targetFreq = 220;
+      this.currentAmp = 0;
+      this.targetAmp = 0;
+
+      // Frequency glide: { from, to, frames, frame, exponential } or null.
+      this.sweep = null;
+
+      // Wave crossfade (to reduce clicks on wave shape change)
+      this.waveA = 'sine';
+      this.waveB = 'sine';
+      this.mix = 1; // 1 -> fully waveB
+
+      // Custom wave: sine and cosine coefficient per harmonic.
+      this.currentModes = Array(CUSTOM_MODE_COUNT).fill(0);
+      this.currentModes[0] = 1;
+      this.targetModes = Array(CUSTOM_MODE_COUNT).fill(0);
+      this.targetModes[0] = 1;
+      this.currentCosModes = Array(CUSTOM_MODE_COUNT).fill(0);
+      this.targetCosModes = Array(CUSTOM_MODE_COUNT).fill(0);
+
+      // Drawn wave: one period. The previous table is kept so a new drawing
+      // crossfades in like any other shape change.
+      this.table = new Float32Array([0]);
+      this.prevTable = this.table;
+
+      // What the registry's sample functions read (see WaveVoice); updated in place.
+      const customModes = { sin: this.currentModes, cos: this.currentCosModes };
+      this.voice = { customModes, wavetable: this.table, harmonicLimit: Infinity };
+      this.prevVoice = { customModes, wavetable: this.prevTable, harmonicLimit: Infinity };
+
+      // Second oscillator (interference lab): no envelope of its own, modulation or glide.
+      this.secondOn = false;
+      this.secondPhase = 0;
+      this.secondOffset = 0; // phase lead over the first oscillator, in periods
+      this.secondFreq = 220;
+      this.targetSecondFreq = 220;
+      this.secondAmp = 0;
+      this.targetSecondAmp = 0;
+      this.secondWaveA = 'sine';
+      this.secondWaveB = 'sine';
+      this.secondMix = 1;
+      // 0: both oscillators in both channels; 1: first on the left, second on the right (glides between).
+      this.split = 0;
+      this.targetSplit = 0;
+      this.secondVoice = { customModes, wavetable: this.table, harmonicLimit: Infinity };
+
+      // Modulation. Depths glide (to 0 when switched off), so toggling does not click.
+      this.vibratoPhase = 0;
+      this.vibratoRate = 5;
+      this.vibratoCents = 0;
+      this.targetVibratoCents = 0;
+      this.tremoloPhase = 0;
+      this.tremoloRate = 4;
+      this.tremoloDepth = 0;
+      this.targetTremoloDepth = 0;
+      this.fmPhase = 0;
+      this.fmRatio = 1;
+      this.fmIndex = 0;
+      this.targetFmIndex = 0;
+
+      // ADSR envelope; null means bypassed (constant level 1).
+      this.env = null;
+      this.envStage = 'idle';
+      this.envLevel = 0;
+      this.envReleaseStep = 0;
+
+      // Timestamped param changes, applied at their exact sample frame. A looping
+      // schedule starts over every loopFrames, shifted by loopOffset.
+      this.events = [];
+      this.eventIndex = 0;
+      this.endFrame = null;
+      this.loopFrames = null;
+      this.loopOffset = 0;
+
+      this.port.onmessage = (e) => {
+        const m = (e && e.data) ? e.data : {};
+        if (m.type === 'params') {
+          this._applyParams(m);
+        } else if (m.type === 'schedule') {
+          this._setSchedule(m);
+        }
+      };
+
+      // Offline rendering hands over the whole schedule up front.
+      if (opts.schedule) {
+        this._setSchedule(opts.schedule);
+      }
+    }
+
+    _setSchedule(m) {
+      const events = Array.isArray(m.events) ? m.events : [];
+      this.events = events
+        .filter((ev) => ev && typeof ev.time === 'number' && isFinite(ev.time))
+        .map((ev) => ({ frame: Math.round(ev.time * sampleRate), params: ev.params || {} }))
+        .sort((a, b) => a.frame - b.frame);
+      this.eventIndex = 0;
+      this.endFrame = typeof m.endTime === 'number' && isFinite(m.endTime) ? Math.round(m.endTime * sampleRate) : null;
+      const loopFrames = typeof m.loopSec === 'number' && isFinite(m.loopSec) ? Math.round(m.loopSec * sampleRate) : 0;
+      this.loopFrames = loopFrames > 0 && this.events.length > 0 ? loopFrames : null;
+      this.loopOffset = 0;
+    }
+
+    _applyParams(m) {
+      if (typeof m.freqHz === 'number' && isFinite(m.freqHz)) {
+        this.targetFreq = Math.max(0, m.freqHz);
+      }
+
+      if (m.sweep && typeof m.sweep === 'object') {
+        const from = this.targetFreq;
+        const to = Number(m.sweep.toFreqHz);
+        const frames = Math.round(Number(m.sweep.durationSec) * sampleRate);
+        const exponential = m.sweep.exponential === true && from > 0 && to > 0;
+        const s = this.sweep;
+        const same = s && s.from === from && s.to === to && s.frames === frames && s.exponential === exponential;
+        if (isFinite(to) && isFinite(frames) && (m.gate === true || !same)) {
+          this.sweep = { from, to: Math.max(0, to), frames: Math.max(0, frames), frame: 0, exponential };
+        }
+      } else if (m.sweep === null || typeof m.freqHz === 'number') {
+        this.sweep = null;
+      }
+
+      if (typeof m.amp === 'number' && isFinite(m.amp)) {
+        // UI amp range is [0,2]. Convert to safe gain in [0,0.65].
+        const a = clamp(m.amp, 0, 2);
+        this.targetAmp = 0.65 * (a / 2);
+      }
+
+      if (typeof m.bandLimited === 'boolean') {
+        this.bandLimited = m.bandLimited;
+      }
+
+      if (Array.isArray(m.wavetable) && m.wavetable.length > 0) {
+        const next = Float32Array.from(m.wavetable, (v) => (isFinite(v) ? clamp(Number(v), -1, 1) : 0));
+        const changed = next.length !== this.table.length || next.some((v, i) => v !== this.table[i]);
+        if (changed) {
+          this.prevTable = this.table;
+          this.table = next;
+          this.voice.wavetable = this.table;
+          this.prevVoice.wavetable = this.prevTable;
+          this.secondVoice.wavetable = this.table;
+          if (this.waveB === 'drawn') {
+            this.waveA = 'drawn-previous';
+            this.mix = 0;
+          }
+        }
+      }
+
+      if (typeof m.waveType === 'string') {
+        const w = m.waveType;
+        if (w !== this.waveB) {
+          this.waveA = this.waveB;
+          this.waveB = w;
+          this.mix = 0;
+        }
+      }
+
+      if (m.customModes && Array.isArray(m.customModes.sin) && Array.isArray(m.customModes.cos)) {
+        for (let i = 0; i < CUSTOM_MODE_COUNT; i++) {
+          const s = Number(m.customModes.sin[i] ?? 0);
+          const c = Number(m.customModes.cos[i] ?? 0);
+          this.targetModes[i] = isFinite(s) ? s : 0;
+          this.targetCosModes[i] = isFinite(c) ? c : 0;
+        }
+      }
+
+      if (m.modulation && typeof m.modulation === 'object') {
+        const { vibrato, tremolo, fm } = m.modulation;
+        const finite = (v, fallback) => (typeof v === 'number' && isFinite(v) ? v : fallback);
+        if (vibrato) {
+          this.vibratoRate = Math.max(0, finite(vibrato.rateHz, this.vibratoRate));
+          this.targetVibratoCents = vibrato.enabled ? Math.max(0, finite(vibrato.depthCents, 0)) : 0;
+        }
+        if (tremolo) {
+          this.tremoloRate = Math.max(0, finite(tremolo.rateHz, this.tremoloRate));
+          this.targetTremoloDepth = tremolo.enabled ? clamp(finite(tremolo.depth, 0), 0, 1) : 0;
+        }
+        if (fm) {
+          this.fmRatio = Math.max(0, finite(fm.ratio, this.fmRatio));
+          this.targetFmIndex = fm.enabled ? Math.max(0, finite(fm.index, 0)) : 0;
+        }
+      }
+
+      if (m.second === null) {
+        this.secondOn = false;
+        this.targetSecondAmp = 0;
+        this.targetSplit = 0;
+      } else if (m.second && typeof m.second === 'object') {
+        const { waveType, freqHz, amp, phaseDeg, stereoXY } = m.second;
+        if (typeof stereoXY === 'boolean') this.targetSplit = stereoXY ? 1 : 0;
+        if (typeof freqHz === 'number' && isFinite(freqHz)) this.targetSecondFreq = Math.max(0, freqHz);
+        if (typeof amp === 'number' && isFinite(amp)) this.targetSecondAmp = 0.65 * (clamp(amp, 0, 2) / 2);
+        if (typeof waveType === 'string' && waveType !== this.secondWaveB) {
+          this.secondWaveA = this.secondWaveB;
+          this.secondWaveB = waveType;
+          this.secondMix = this.secondOn ? 0 : 1;
+        }
+        const offset = typeof phaseDeg === 'number' && isFinite(phaseDeg) ? phaseDeg / 360 : this.secondOffset;
+        if (this.secondOn) {
+          // Move by the change in offset, so a live phase slider slides one wave against the other.
+          this.secondPhase += TAU * (offset - this.secondOffset);
+        } else {
+          // Switched on: lock to the first oscillator, at the right frequency straight away.
+          this.secondPhase = this.phase + TAU * offset;
+          this.secondFreq = this.targetSecondFreq;
+          this.secondOn = true;
+        }
+        this.secondOffset = offset;
+      }
+
+      if (m.envelope === null) {
+        this.env = null;
+      } else if (m.envelope && typeof m.envelope === 'object') {
+        const seconds = (v) => (typeof v === 'number' && isFinite(v) ? Math.max(0, v) : 0);
+        const s = Number(m.envelope.sustain);
+        this.env = {
+          a: seconds(m.envelope.attackSec),
+          d: seconds(m.envelope.decaySec),
+          s: isFinite(s) ? clamp(s, 0, 1) : 1,
+          r: seconds(m.envelope.releaseSec),
+        };
+      }
+
+      if (m.gate === true) {
+        // Retrigger from the current level so back-to-back notes do not click.
+        this.envStage = 'attack';
+        this.vibratoPhase = 0;
+        this.tremoloPhase = 0;
+        this.fmPhase = 0;
+        this.secondPhase = this.phase + TAU * this.secondOffset;
+      } else if (m.gate === false) {
+        const releaseFrames = this.env ? this.env.r * sampleRate : 0;
+        this.envStage = 'release';
+        this.envReleaseStep = releaseFrames >= 1 ? this.envLevel / releaseFrames : this.envLevel;
+      }
+    }
+
+    _advanceEnvelope() {
+      const env = this.env;
+      if (!env) return 1;
+      const sr = sampleRate;
+
+      switch (this.envStage) {
+        case 'attack':
+          this.envLevel = env.a > 0 ? Math.min(1, this.envLevel + 1 / (env.a * sr)) : 1;
+          if (this.envLevel >= 1) this.envStage = 'decay';
+          break;
+        case 'decay':
+          this.envLevel = env.d > 0 ? Math.max(env.s, this.envLevel - (1 - env.s) / (env.d * sr)) : env.s;
+          if (this.envLevel <= env.s) this.envStage = 'sustain';
+          break;
+        case 'sustain':
+          this.envLevel = env.s;
+          break;
+        case 'release':
+          this.envLevel = Math.max(0, this.envLevel - this.envReleaseStep);
+          if (this.envLevel <= 0) this.envStage = 'idle';
+          break;
+        default:
+          this.envLevel = 0;
+      }
+
+      return this.envLevel;
+    }
+
+    _sampleWave(wave, phase, dt = this.dt, voice = this.voice) {
+      // 'drawn-previous' is the outgoing drawing while a new one crossfades in.
+      const previous = wave === 'drawn-previous';
+      const definition = WAVES[previous ? 'drawn' : wave] || WAVES.sine;
+      const x = phase / TAU;
+      const s = definition.sample(x, previous ? this.prevVoice : voice);
+      if (!this.bandLimited) return s;
+      return s + bandLimitCorrection(x, Math.min(dt, 0.5), definition.jumps, definition.kinks);
+    }
+
+    _sampleSecond(kFreq, kAmp, kWave) {
+      this.secondFreq += (this.targetSecondFreq - this.secondFreq) * kFreq;
+      this.secondAmp += (this.targetSecondAmp - this.secondAmp) * kAmp;
+      this.secondMix += (1 - this.secondMix) * kWave;
+      // Keep the phase running while on, even at zero amplitude, so the offset holds.
+      if (!this.secondOn && this.secondAmp < 1e-6) return 0;
+
+      const dt = this.secondFreq / sampleRate;
+      this.secondPhase += TAU * dt;
+      this.secondPhase -= TAU * Math.floor(this.secondPhase / TAU);
+      this.secondVoice.harmonicLimit = this.bandLimited && dt > 0 ? Math.ceil(0.5 / dt) - 1 : Infinity;
+
+      const a = this._sampleWave(this.secondWaveA, this.secondPhase, dt, this.secondVoice);
+      const b = this._sampleWave(this.secondWaveB, this.secondPhase, dt, this.secondVoice);
+      return ((1 - this.secondMix) * a + this.secondMix * b) * this.secondAmp;
+    }
+
+    process(inputs, outputs) {
+      const out = outputs[0][0];
+      const right = outputs[0][1]; // only on stereo nodes
+      const sr = sampleRate;
+
+      // Time constants (seconds). Small but nonzero to avoid clicks.
+      const tcFreq = 0.010;
+      const tcAmp = 0.006;
+      const tcWave = 0.015;
+
+      const kFreq = 1 - Math.exp(-1 / (sr * tcFreq));
+      const kAmp = 1 - Math.exp(-1 / (sr * tcAmp));
+      const kWave = 1 - Math.exp(-1 / (sr * tcWave));
+
+      for (let i = 0; i < out.length; i++) {
+        const frame = currentFrame + i;
+        while (this.eventIndex < this.events.length && this.events[this.eventIndex].frame + this.loopOffset <= frame) {
+          this._applyParams(this.events[this.eventIndex].params);
+          this.eventIndex++;
+          if (this.eventIndex === this.events.length && this.loopFrames != null) {
+            this.eventIndex = 0;
+            this.loopOffset += this.loopFrames;
+            // Lets the main thread schedule what is not a worklet event (effects) for the passes ahead.
+            this.port.postMessage({ type: 'looped', time: currentTime });
+          }
+        }
+
+        // Glides move the target; the usual smoothing keeps the phase continuous.
+        const sweep = this.sweep;
+        if (sweep) {
+          const u = sweep.frames > 0 ? sweep.frame / sweep.frames : 1;
+          this.targetFreq = sweep.exponential
+            ? sweep.from * Math.pow(sweep.to / sweep.from, u)
+            : sweep.from + (sweep.to - sweep.from) * u;
+          if (sweep.frame < sweep.frames) sweep.frame++;
+        }
+
+        // Smooth parameters
+        this.currentFreq += (this.targetFreq - this.currentFreq) * kFreq;
+        this.currentAmp += (this.targetAmp - this.currentAmp) * kAmp;
+        this.mix += (1 - this.mix) * kWave;
+        for (let j = 0; j < CUSTOM_MODE_COUNT; j++) {
+          this.currentModes[j] += (this.targetModes[j] - this.currentModes[j]) * kWave;
+          this.currentCosModes[j] += (this.targetCosModes[j] - this.currentCosModes[j]) * kWave;
+        }
+
+        this.vibratoCents += (this.targetVibratoCents - this.vibratoCents) * kWave;
+        this.tremoloDepth += (this.targetTremoloDepth - this.tremoloDepth) * kWave;
+        this.fmIndex += (this.targetFmIndex - this.fmIndex) * kWave;
+
+        // Vibrato bends the frequency by ±vibratoCents around the note.
+        let freq = this.currentFreq;
+        this.vibratoPhase = (this.vibratoPhase + (TAU * this.vibratoRate) / sr) % TAU;
+        if (this.vibratoCents > 1e-3) freq *= Math.pow(2, (this.vibratoCents / 1200) * Math.sin(this.vibratoPhase));
+
+        // Continuous phase advance. The FM modulator follows the carrier at fmRatio × its frequency.
+        let dt = freq / sr;
+        this.phase += TAU * dt;
+        if (this.phase >= TAU) {
+          this.phase -= TAU * Math.floor(this.phase / TAU);
+        }
+        this.fmPhase = (this.fmPhase + TAU * this.fmRatio * dt) % TAU;
+
+        // FM as phase modulation: the carrier is read ahead/behind by up to fmIndex radians,
+        // which speeds it up and slows it down (hence the dt used for band-limiting).
+        let phase = this.phase;
+        if (this.fmIndex > 1e-4) {
+          phase += this.fmIndex * Math.sin(this.fmPhase);
+          phase -= TAU * Math.floor(phase / TAU);
+          dt *= Math.abs(1 + this.fmIndex * this.fmRatio * Math.cos(this.fmPhase));
+        }
+        this.dt = dt;
+
+        // Band-limited custom waves leave out harmonics at or above Nyquist.
+        const harmonicLimit = this.bandLimited && this.dt > 0 ? Math.ceil(0.5 / this.dt) - 1 : Infinity;
+        this.voice.harmonicLimit = harmonicLimit;
+        this.prevVoice.harmonicLimit = harmonicLimit;
+
+        // Crossfade between waveA and waveB during shape changes
+        const a = this._sampleWave(this.waveA, phase);
+        const b = this._sampleWave(this.waveB, phase);
+        const s = (1 - this.mix) * a + this.mix * b;
+
+        // Tremolo dips the level by up to tremoloDepth, starting from full.
+        this.tremoloPhase = (this.tremoloPhase + (TAU * this.tremoloRate) / sr) % TAU;
+        const tremolo = 1 - this.tremoloDepth * 0.5 * (1 - Math.cos(this.tremoloPhase));
+
+        const first = s * tremolo * this.currentAmp;
+        const second = this._sampleSecond(kFreq, kAmp, kWave);
+        const env = this._advanceEnvelope();
+
+        if (right) {
+          this.split += (this.targetSplit - this.split) * kWave;
+          out[i] = (first + second * (1 - this.split)) * env;
+          right[i] = (second + first * (1 - this.split)) * env;
+        } else {
+          out[i] = (first + second) * env;
+        }
+      }
+
+      if (this.endFrame != null && currentFrame + out.length >= this.endFrame) {
+        this.endFrame = null;
+        this.port.postMessage({ type: 'ended', time: currentTime });
+      }
+
+      return true;
+    }
+  }
+
+  registerProcessor('wave-synth', WaveSynthProcessor);
+`;
+
+/** Registers the `wave-synth` processor on the given context. */
+export function addWaveSynthModule(ctx: BaseAudioContext) {
+  const blob = new Blob([WAVE_SYNTH_WORKLET_SOURCE], { type: "application/javascript" });
+  const url = URL.createObjectURL(blob);
+  return ctx.audioWorklet.addModule(url).finally(() => {
+    try {
+      URL.revokeObjectURL(url);
+    } catch {
+      // ignore
+    }
+  });
+}
+
+export type ScheduledParams = {
+  /** Context time in seconds at which the params take effect. */
+  time: number;
+  params: SynthMessageParams;
+};
+
+export type SynthSchedule = {
+  events: ScheduledParams[];
+  /** Context time at which the worklet posts an `ended` message back. */
+  endTime?: number;
+  /** Plays the events again every `loopSec`, until stopped. */
+  loopSec?: number;
+};
+
+export function createWaveSynthNode(ctx: BaseAudioContext, schedule?: SynthSchedule, options: SynthNodeOptions = {}) {
+  return new AudioWorkletNode(ctx, "wave-synth", {
+    numberOfInputs: 0,
+    numberOfOutputs: 1,
+    outputChannelCount: [options.stereo ? 2 : 1],
+    processorOptions: { schedule, bandLimited: options.bandLimited },
+  });
+}
+
+// ----------------------------
+// Timeline scheduling
+// ----------------------------
+
+export type TimelineSegment = {
+  params: SynthParams;
+  durationSec: number;
+  /** Note envelope; segments without one are rests (gate closed). */
+  envelope?: Envelope;
+  /** Effect settings from the start of this segment on; rests leave the previous ones ringing. */
+  effects?: Effects;
+};
+
+/**
+ * Turns back-to-back segments into a worklet schedule starting at `startTime`.
+ * Each enveloped segment is a note-on at its start and a note-off timed so the
+ * release fits inside the segment. `soundingSec` extends `totalSec` by any
+ * delay or reverb tail still ringing at the end; the `ended` marker lands after
+ * that and the trailing fade-out.
+ */
+export function buildTimelineSchedule(
+  segments: TimelineSegment[],
+  startTime: number
+): SynthSchedule & { totalSec: number; soundingSec: number } {
+  let t = startTime;
+  let ringsUntil = startTime;
+  const events: ScheduledParams[] = [];
+  for (const segment of segments) {
+    if (segment.envelope && segment.effects) {
+      ringsUntil = Math.max(ringsUntil, t + segment.durationSec + effectsTailSec(segment.effects));
+    }
+    if (segment.envelope) {
+      events.push({ time: t, params: { ...segment.params, envelope: segment.envelope, gate: true } });
+      events.push({ time: t + envelopeGateSec(segment.envelope, segment.durationSec), params: { gate: false } });
+    } else {
+      events.push({ time: t, params: { ...segment.params, gate: false } });
+    }
+    t += segment.durationSec;
+  }
+  const totalSec = t - startTime;
+  const soundingSec = Math.max(t, ringsUntil) - startTime;
+  return { events, endTime: startTime + soundingSec + PLAYBACK_FADE_SECONDS, totalSec, soundingSec };
+}
+
+/**
+ * The part of back-to-back segments between `fromSec` and `toSec`. A note cut
+ * at `fromSec` starts there; one cut at `toSec` is shortened so its release
+ * still fits.
+ */
+export function cropSegments(segments: TimelineSegment[], fromSec: number, toSec: number) {
+  const cropped: TimelineSegment[] = [];
+  let t = 0;
+  for (const segment of segments) {
+    const start = Math.max(t, fromSec);
+    const end = Math.min(t + segment.durationSec, toSec);
+    if (end > start) cropped.push({ ...segment, durationSec: end - start });
+    t += segment.durationSec;
+  }
+  return cropped;
+}
+
+/**
+ * Back-to-back segments with `second` (see `SynthParams.second`) under every
+ * note; rests silence it, since it has no envelope of its own.
+ */
+export function withSecondOscillator(segments: TimelineSegment[], second: SynthParams["second"]) {
+  return segments.map((segment) => ({
+    ...segment,
+    params: { ...segment.params, second: segment.envelope ? second : null },
+  }));
+}
+
+/** Switches a track's effects chain at the start of every segment that sets effects. */
+export function scheduleTimelineEffects(chain: EffectsChain, segments: TimelineSegment[], startTime: number) {
+  let t = startTime;
+  for (const segment of segments) {
+    if (segment.effects) chain.apply(segment.effects, t);
+    t += segment.durationSec;
+  }
+}
+
+/**
+ * Fades the master gain in at `startTime` and out after `totalSec` (pass the sounding length), on the audio clock.
+ * A loop (`totalSec` null) plays until stopped.
+ */
+export function scheduleTimelineGain(gain: AudioParam, startTime: number, totalSec: number | null) {
+  gain.cancelScheduledValues(startTime);
+  gain.setValueAtTime(0.0001, startTime);
+  gain.linearRampToValueAtTime(1.0, startTime + PLAYBACK_FADE_SECONDS);
+  if (totalSec == null) return;
+  gain.setValueAtTime(1.0, startTime + totalSec);
+  gain.linearRampToValueAtTime(0.0001, startTime + totalSec + PLAYBACK_FADE_SECONDS);
+}
+
+// ----------------------------
+// Master bus
+// ----------------------------
+
+/** Gain applied where tracks are summed: keeps a single track at unity and scales stacks down by 1/sqrt(n). */
+export function busHeadroomGain(audibleTrackCount: number) {
+  return 1 / Math.sqrt(Math.max(1, audibleTrackCount));
+}
+
+/**
+ * Summing stage followed by a fast, hard-knee compressor acting as a limiter,
+ * so stacked tracks are pulled back below full scale instead of clipping.
+ */
+export function createMasterBus(ctx: BaseAudioContext) {
+  const input = ctx.createGain();
+  const limiter = ctx.createDynamicsCompressor();
+  limiter.threshold.value = -3;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.002;
+  limiter.release.value = 0.1;
+  input.connect(limiter);
+  return { input, output: limiter as AudioNode };
+}
+
+export type MasterBus = ReturnType<typeof createMasterBus>;
+
+// ----------------------------
+// Offline rendering
+// ----------------------------
+
+export type TimelineTrackRender = {
+  segments: TimelineSegment[];
+  /** Effective track gain after mute/solo. */
+  gain: number;
+};
+
+/**
+ * Renders timeline tracks exactly like live timeline playback: one worklet and
+ * effects chain per track with the same schedule, the same master bus, and the
+ * same master-gain fade-in and fade-out. A `stereo` render has two channels,
+ * as heard live; otherwise one.
+ */
+export async function renderTimelineOffline(
+  tracks: TimelineTrackRender[],
+  sampleRate: number,
+  options: SynthNodeOptions = {}
+) {
+  const schedules = tracks.map((track) => buildTimelineSchedule(track.segments, 0));
+  const soundingSec = Math.max(0, ...schedules.map((schedule) => schedule.soundingSec));
+  const lengthFrames = Math.ceil((soundingSec + PLAYBACK_FADE_SECONDS) * sampleRate);
+  const ctx = new OfflineAudioContext(options.stereo ? 2 : 1, Math.max(1, lengthFrames), sampleRate);
+
+  await addWaveSynthModule(ctx);
+  const g = ctx.createGain();
+  const bus = createMasterBus(ctx);
+  bus.input.gain.value = busHeadroomGain(tracks.filter((track) => track.gain > 0).length);
+  g.connect(bus.input);
+  bus.output.connect(ctx.destination);
+
+  tracks.forEach((track, i) => {
+    const node = createWaveSynthNode(ctx, schedules[i], options);
+    const effects = createEffectsChain(ctx);
+    scheduleTimelineEffects(effects, track.segments, 0);
+    const trackGain = ctx.createGain();
+    trackGain.gain.value = track.gain;
+    node.connect(effects.input);
+    effects.output.connect(trackGain);
+    trackGain.connect(g);
+  });
+  scheduleTimelineGain(g.gain, 0, soundingSec);
+
+  return ctx.startRendering();
+}
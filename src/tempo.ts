@@ -0,0 +1,130 @@
+/**
+ * Tempo and time signature for the timeline: beat and bar lengths, note values,
+ * bar:beat positions and the grid drawn over the transport bar.
+ *
+ * Slots keep their length in seconds; beats and note values are another way to
+ * read and set it. `bpm` counts beats of the signature's `beatUnit`, so 6/8 at
+ * 120 bpm plays 120 eighth notes a minute.
+ */
+
+import type { Envelope } from "./envelope";
+import type { TimelineSegment } from "./synth";
+import { DEFAULT_CUSTOM_MODES } from "./waves";
+
+export type Tempo = {
+  bpm: number;
+  /** Top of the time signature. */
+  beatsPerBar: number;
+  /** Bottom of the time signature: 2 (half), 4 (quarter) or 8 (eighth note). */
+  beatUnit: BeatUnit;
+};
+
+export type BeatUnit = 2 | 4 | 8;
+
+/** What playback repeats: nothing, the whole timeline, or bars `fromBar` to `toBar` (1-based, inclusive). */
+export type TimelineLoop = {
+  mode: "off" | "all" | "bars";
+  fromBar: number;
+  toBar: number;
+};
+
+export const DEFAULT_TEMPO: Tempo = { bpm: 120, beatsPerBar: 4, beatUnit: 4 };
+
+export const TEMPO_LIMITS = {
+  bpm: [30, 300],
+  beatsPerBar: [1, 12],
+} as const;
+
+export const BEAT_UNITS: BeatUnit[] = [2, 4, 8];
+
+/** Note values slot lengths can be set to, in quarter notes. */
+export const NOTE_VALUES = [
+  { name: "Whole", quarters: 4 },
+  { name: "Dotted half", quarters: 3 },
+  { name: "Half", quarters: 2 },
+  { name: "Dotted quarter", quarters: 1.5 },
+  { name: "Quarter", quarters: 1 },
+  { name: "Dotted eighth", quarters: 0.75 },
+  { name: "Eighth", quarters: 0.5 },
+  { name: "Sixteenth", quarters: 0.25 },
+];
+
+export function beatSeconds(tempo: Tempo) {
+  return 60 / tempo.bpm;
+}
+
+export function barSeconds(tempo: Tempo) {
+  return beatSeconds(tempo) * tempo.beatsPerBar;
+}
+
+/** Length of a note value given in quarter notes. */
+export function noteValueSeconds(tempo: Tempo, quarters: number) {
+  return (quarters * beatSeconds(tempo) * tempo.beatUnit) / 4;
+}
+
+/** Beats in `sec`, rounded off float noise so whole beats stay whole. */
+export function secondsToBeats(tempo: Tempo, sec: number) {
+  return Math.round((sec / beatSeconds(tempo)) * 1e6) / 1e6;
+}
+
+/** Position as bar:beat, both counted from 1, e.g. "2:3" or "1:2.5" between beats. */
+export function formatBarBeat(tempo: Tempo, sec: number) {
+  const beats = secondsToBeats(tempo, sec);
+  const bar = Math.floor(beats / tempo.beatsPerBar + 1e-9);
+  const beat = Math.round((beats - bar * tempo.beatsPerBar + 1) * 100) / 100;
+  return `${bar + 1}:${beat}`;
+}
+
+/**
+ * Grid lines across `totalSec`: every beat, or only bar lines (every few bars
+ * on long timelines) so there are never more than `maxLines`.
+ */
+export function gridLines(tempo: Tempo, totalSec: number, maxLines = 160) {
+  const beatSec = beatSeconds(tempo);
+  const beats = Math.floor(totalSec / beatSec + 1e-9);
+  const lines: Array<{ timeSec: number; bar: number; downbeat: boolean }> = [];
+  if (beats <= maxLines) {
+    for (let i = 0; i <= beats; i++) {
+      const downbeat = i % tempo.beatsPerBar === 0;
+      lines.push({ timeSec: i * beatSec, bar: Math.floor(i / tempo.beatsPerBar) + 1, downbeat });
+    }
+    return lines;
+  }
+  const bars = Math.floor(beats / tempo.beatsPerBar);
+  const everyBars = Math.ceil(bars / maxLines);
+  for (let bar = 0; bar <= bars; bar += everyBars) {
+    lines.push({ timeSec: bar * barSeconds(tempo), bar: bar + 1, downbeat: true });
+  }
+  return lines;
+}
+
+/** Start and end of bars `fromBar` to `toBar` (counted from 1, both included), cut off at `totalSec`. */
+export function barRangeSeconds(tempo: Tempo, fromBar: number, toBar: number, totalSec: number) {
+  const barSec = barSeconds(tempo);
+  return { fromSec: Math.min((fromBar - 1) * barSec, totalSec), toSec: Math.min(toBar * barSec, totalSec) };
+}
+
+const CLICK_ENVELOPE: Envelope = { attackSec: 0.001, decaySec: 0.04, sustain: 0, releaseSec: 0.02 };
+
+/**
+ * Metronome clicks from `fromSec` (on a beat) to `toSec`, as synth segments: a
+ * short sine blip on every beat, higher and louder on the first beat of a bar.
+ */
+export function metronomeSegments(tempo: Tempo, fromSec: number, toSec: number): TimelineSegment[] {
+  const beatSec = beatSeconds(tempo);
+  const segments: TimelineSegment[] = [];
+  for (let beat = Math.round(fromSec / beatSec); beat * beatSec < toSec - 1e-9; beat++) {
+    const downbeat = beat % tempo.beatsPerBar === 0;
+    segments.push({
+      params: {
+        freqHz: downbeat ? 1760 : 1320,
+        amp: downbeat ? 0.6 : 0.35,
+        waveType: "sine",
+        customModes: DEFAULT_CUSTOM_MODES,
+      },
+      durationSec: Math.min(beatSec, toSec - beat * beatSec),
+      envelope: CLICK_ENVELOPE,
+    });
+  }
+  return segments;
+}
@@ -0,0 +1,155 @@
+/**
+ * Timeline model: tracks of back-to-back slots, plus the helpers that turn them
+ * into timings and synth segments. Plain data, no React.
+ */
+
+import { DEFAULT_EFFECTS, type Effects } from "./effects";
+import { DEFAULT_ENVELOPE, type Envelope } from "./envelope";
+import { DEFAULT_GLIDE, glideSweep, type Glide } from "./glide";
+import { DEFAULT_MODULATION, type Modulation } from "./modulation";
+import type { TimelineSegment } from "./synth";
+import type { CustomModes, WaveType } from "./waves";
+
+export type Slot = {
+  id: string;
+  durationSec: number;
+} & (
+  | {
+      kind: "empty";
+    }
+  | {
+      kind: "wave";
+      type: LibraryWaveType;
+      amp: number;
+      freqHz: number;
+      /** The slot's own copy of the mix; always set on `custom` slots. */
+      customModes?: CustomModes;
+      /** Missing on slots saved before envelopes existed; treated as DEFAULT_ENVELOPE. */
+      envelope?: Envelope;
+      /** Missing on slots saved before effects existed; treated as DEFAULT_EFFECTS (all bypassed). */
+      effects?: Effects;
+      /** Missing on slots saved before modulation existed; treated as DEFAULT_MODULATION (all off). */
+      modulation?: Modulation;
+      /** Sweeps from `freqHz` over the slot's duration. Missing on older slots; treated as DEFAULT_GLIDE (off). */
+      glide?: Glide;
+      label: string;
+    }
+  | {
+      /** A hand-drawn wave; the slot keeps its own copy of the table. */
+      kind: "drawn";
+      amp: number;
+      freqHz: number;
+      wavetable: number[];
+      envelope?: Envelope;
+      effects?: Effects;
+      modulation?: Modulation;
+      glide?: Glide;
+      label: string;
+    }
+);
+
+/** Wave types a `wave` slot can hold; drawn waves use the `drawn` slot kind. */
+export type LibraryWaveType = Exclude<WaveType, "drawn">;
+
+export const DEFAULT_SLOT_SECONDS = 2;
+const DEFAULT_SLOT_COUNT = 5;
+/** A sixteenth note at the fastest tempo (see `TEMPO_LIMITS`). */
+export const MIN_SLOT_SECONDS = 0.05;
+export const MAX_SLOT_SECONDS = 30;
+export const MAX_SLOT_COUNT = 32;
+export const MAX_TRACK_COUNT = 4;
+
+export type Track = {
+  id: string;
+  name: string;
+  /** Mixer fader, 0..1.5 (1 = unity). */
+  gain: number;
+  muted: boolean;
+  solo: boolean;
+  slots: Slot[];
+};
+
+let idCounter = 0;
+
+export function makeId(prefix: string) {
+  idCounter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${idCounter}`;
+}
+
+export function makeEmptySlot(durationSec = DEFAULT_SLOT_SECONDS): Slot {
+  return { id: makeId("slot"), durationSec, kind: "empty" };
+}
+
+export function makeDefaultSlots() {
+  return [...Array(DEFAULT_SLOT_COUNT)].map(() => makeEmptySlot());
+}
+
+export function makeTrack(name: string): Track {
+  return { id: makeId("track"), name, gain: 1, muted: false, solo: false, slots: makeDefaultSlots() };
+}
+
+/** Fader gain after mute/solo: when any track is soloed, only soloed tracks are heard. */
+function effectiveTrackGain(track: Track, anySolo: boolean) {
+  if (track.muted || (anySolo && !track.solo)) return 0;
+  return track.gain;
+}
+
+export function effectiveTrackGains(tracks: Track[]) {
+  const anySolo = tracks.some((track) => track.solo);
+  return tracks.map((track) => effectiveTrackGain(track, anySolo));
+}
+
+/** Start time of every slot plus the total length, all in seconds. */
+export function slotStartTimes(slots: Slot[]) {
+  const starts: number[] = [];
+  let t = 0;
+  for (const slot of slots) {
+    starts.push(t);
+    t += slot.durationSec;
+  }
+  return { starts, totalSec: t };
+}
+
+/** Index of the slot sounding at `elapsedSec`, or null once the track has run out of slots. */
+export function activeSlotIndex(slots: Slot[], starts: number[], elapsedSec: number) {
+  const idx = starts.findIndex((start, i) => elapsedSec < start + slots[i].durationSec);
+  return idx === -1 ? null : idx;
+}
+
+export function slotSegment(slot: Slot, fallbackCustomModes: CustomModes): TimelineSegment {
+  if (slot.kind === "empty") {
+    return {
+      params: { freqHz: 220, amp: 0, waveType: "sine", customModes: fallbackCustomModes },
+      durationSec: slot.durationSec,
+    };
+  }
+  if (slot.kind === "drawn") {
+    return {
+      params: {
+        freqHz: slot.freqHz,
+        amp: slot.amp,
+        waveType: "drawn",
+        customModes: fallbackCustomModes,
+        wavetable: slot.wavetable,
+        modulation: slot.modulation ?? DEFAULT_MODULATION,
+        sweep: glideSweep(slot.glide ?? DEFAULT_GLIDE, slot.freqHz, slot.durationSec),
+      },
+      durationSec: slot.durationSec,
+      envelope: slot.envelope ?? DEFAULT_ENVELOPE,
+      effects: slot.effects ?? DEFAULT_EFFECTS,
+    };
+  }
+  return {
+    params: {
+      freqHz: slot.freqHz,
+      amp: slot.amp,
+      waveType: slot.type,
+      customModes: slot.customModes ?? fallbackCustomModes,
+      modulation: slot.modulation ?? DEFAULT_MODULATION,
+      sweep: glideSweep(slot.glide ?? DEFAULT_GLIDE, slot.freqHz, slot.durationSec),
+    },
+    durationSec: slot.durationSec,
+    envelope: slot.envelope ?? DEFAULT_ENVELOPE,
+    effects: slot.effects ?? DEFAULT_EFFECTS,
+  };
+}
@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { encodeWav } from "./wav";
+
+function ascii(view: DataView, offset: number, length: number) {
+  return String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+}
+
+describe("encodeWav", () => {
+  it("writes a 44-byte PCM header", () => {
+    const view = new DataView(encodeWav([new Float32Array(3), new Float32Array(3)], { sampleRate: 44_100, bitDepth: 16 }));
+    expect(view.byteLength).toBe(44 + 3 * 2 * 2);
+    expect(ascii(view, 0, 4)).toBe("RIFF");
+    expect(view.getUint32(4, true)).toBe(view.byteLength - 8);
+    expect(ascii(view, 8, 4)).toBe("WAVE");
+    expect(ascii(view, 12, 4)).toBe("fmt ");
+    expect(view.getUint32(16, true)).toBe(16);
+    expect(view.getUint16(20, true)).toBe(1);
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(44_100);
+    expect(view.getUint32(28, true)).toBe(44_100 * 4);
+    expect(view.getUint16(32, true)).toBe(4);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(ascii(view, 36, 4)).toBe("data");
+    expect(view.getUint32(40, true)).toBe(12);
+  });
+
+  it("gives 32-bit float an 18-byte fmt chunk and a fact chunk", () => {
+    const view = new DataView(encodeWav([new Float32Array(5)], { sampleRate: 48_000, bitDepth: 32 }));
+    expect(view.byteLength).toBe(58 + 5 * 4);
+    expect(view.getUint32(4, true)).toBe(view.byteLength - 8);
+    expect(view.getUint32(16, true)).toBe(18);
+    expect(view.getUint16(20, true)).toBe(3);
+    expect(view.getUint16(34, true)).toBe(32);
+    expect(view.getUint16(36, true)).toBe(0);
+    expect(ascii(view, 38, 4)).toBe("fact");
+    expect(view.getUint32(42, true)).toBe(4);
+    expect(view.getUint32(46, true)).toBe(5);
+    expect(ascii(view, 50, 4)).toBe("data");
+    expect(view.getUint32(54, true)).toBe(20);
+  });
+
+  it("interleaves channels and scales 16-bit samples to the full range", () => {
+    const left = Float32Array.from([1, -1, 0.5]);
+    const right = Float32Array.from([0, 2, -0.5]);
+    const view = new DataView(encodeWav([left, right], { sampleRate: 8000 }));
+    const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+    // Out-of-range samples are clipped.
+    expect(samples).toEqual([32767, 0, -32768, 32767, 16384, -16384]);
+  });
+
+  it("writes 24-bit samples as three little-endian bytes", () => {
+    const view = new DataView(encodeWav([Float32Array.from([1, -1])], { sampleRate: 8000, bitDepth: 24 }));
+    const bytes = Array.from({ length: 6 }, (_, i) => view.getUint8(44 + i));
+    expect(bytes).toEqual([0xff, 0xff, 0x7f, 0x00, 0x00, 0x80]);
+  });
+
+  it("writes 32-bit samples as floats", () => {
+    const view = new DataView(encodeWav([Float32Array.from([0.25, -0.75])], { sampleRate: 8000, bitDepth: 32 }));
+    expect([view.getFloat32(58, true), view.getFloat32(62, true)]).toEqual([0.25, -0.75]);
+  });
+
+  it("rejects missing or uneven channels", () => {
+    expect(() => encodeWav([], { sampleRate: 8000 })).toThrow();
+    expect(() => encodeWav([new Float32Array(2), new Float32Array(3)], { sampleRate: 8000 })).toThrow();
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Minimal RIFF/WAVE encoder.
+ *
+ * Pure data in, bytes out: no Web Audio dependency, so it can be exercised
+ * directly on `Float32Array` channel data.
+ */
+
+export type WavBitDepth = 16 | 24 | 32;
+
+export const WAV_SAMPLE_RATES = [22_050, 44_100, 48_000] as const;
+export const WAV_BIT_DEPTHS: WavBitDepth[] = [16, 24, 32];
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+/**
+ * `fmt ` chunk sizes. The WAVE spec gives non-PCM formats (float here) an
+ * 18-byte chunk, ending in an empty extension, and a `fact` chunk.
+ */
+const PCM_FMT_BYTES = 16;
+const FLOAT_FMT_BYTES = 18;
+const FACT_CHUNK_BYTES = 12;
+
+function clamp(x: number, lo: number, hi: number) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+function writeAscii(view: DataView, offset: number, text: string) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/**
+ * Encodes planar float channels (samples in [-1, 1]) as an interleaved WAV file.
+ *
+ * 16 and 24 bit output is integer PCM; 32 bit output is IEEE float, with the
+ * `fact` chunk (frame count) that non-PCM files carry.
+ * All channels must have the same length.
+ */
+export function encodeWav(
+  channels: Float32Array[],
+  opts: { sampleRate: number; bitDepth?: WavBitDepth }
+): ArrayBuffer {
+  const { sampleRate, bitDepth = 16 } = opts;
+  const channelCount = channels.length;
+  if (channelCount === 0) {
+    throw new Error("encodeWav needs at least one channel.");
+  }
+  const frameCount = channels[0].length;
+  if (channels.some((channel) => channel.length !== frameCount)) {
+    throw new Error("encodeWav channels must all have the same length.");
+  }
+
+  const float = bitDepth === 32;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataBytes = frameCount * blockAlign;
+  const fmtBytes = float ? FLOAT_FMT_BYTES : PCM_FMT_BYTES;
+  const headerBytes = 12 + 8 + fmtBytes + (float ? FACT_CHUNK_BYTES : 0) + 8;
+  const buffer = new ArrayBuffer(headerBytes + dataBytes);
+  const view = new DataView(buffer);
+
+  writeAscii(view, 0, "RIFF");
+  view.setUint32(4, headerBytes - 8 + dataBytes, true);
+  writeAscii(view, 8, "WAVE");
+
+  writeAscii(view, 12, "fmt ");
+  view.setUint32(16, fmtBytes, true);
+  view.setUint16(20, float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  let offset = 20 + fmtBytes;
+  if (float) {
+    // cbSize: no extension bytes follow.
+    view.setUint16(36, 0, true);
+    writeAscii(view, offset, "fact");
+    view.setUint32(offset + 4, 4, true);
+    view.setUint32(offset + 8, frameCount, true);
+    offset += FACT_CHUNK_BYTES;
+  }
+
+  writeAscii(view, offset, "data");
+  view.setUint32(offset + 4, dataBytes, true);
+  offset += 8;
+
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < channelCount; c++) {
+      const s = clamp(channels[c][i], -1, 1);
+      switch (bitDepth) {
+        case 16:
+          view.setInt16(offset, Math.round(s < 0 ? s * 0x8000 : s * 0x7fff), true);
+          break;
+        case 24: {
+          const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7fffff);
+          view.setUint8(offset, v & 0xff);
+          view.setUint8(offset + 1, (v >> 8) & 0xff);
+          view.setUint8(offset + 2, (v >> 16) & 0xff);
+          break;
+        }
+        case 32:
+          view.setFloat32(offset, s, true);
+          break;
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import {
+  CUSTOM_MODE_COUNT,
+  DEFAULT_CUSTOM_MODES,
+  WAVE_DEFINITIONS,
+  WAVE_TYPES,
+  isWaveType,
+  waveSample,
+  type WaveVoice,
+} from "./waves";
+
+const VOICE: WaveVoice = {
+  customModes: { sin: [0.6, 0, 0.3, ...Array(CUSTOM_MODE_COUNT - 3).fill(0)], cos: DEFAULT_CUSTOM_MODES.cos },
+  wavetable: [0, 1, 0, -1],
+  harmonicLimit: Infinity,
+};
+
+const POSITIONS = Array.from({ length: 64 }, (_, i) => i / 64);
+
+describe("wave registry", () => {
+  it("lists every type once, in registry order", () => {
+    expect(new Set(WAVE_TYPES).size).toBe(WAVE_TYPES.length);
+    expect(WAVE_TYPES).toEqual(Object.keys(WAVE_DEFINITIONS));
+    for (const type of WAVE_TYPES) expect(isWaveType(type)).toBe(true);
+    expect(isWaveType("noise")).toBe(false);
+  });
+
+  it("gives every type a distinct tile name and a preview", () => {
+    const names = WAVE_TYPES.map((type) => WAVE_DEFINITIONS[type].name);
+    expect(new Set(names).size).toBe(names.length);
+    for (const type of WAVE_TYPES) {
+      const { subtitle, preview } = WAVE_DEFINITIONS[type];
+      expect(subtitle, type).not.toBe("");
+      expect(preview.periods, type).toBeGreaterThan(0);
+      expect(Number.isInteger(preview.samples) && preview.samples > 0, type).toBe(true);
+    }
+  });
+
+  it("gives every type a shape within [-1, 1]", () => {
+    for (const type of WAVE_TYPES) {
+      for (const x of POSITIONS) {
+        const value = WAVE_DEFINITIONS[type].sample(x, VOICE);
+        expect(Number.isFinite(value), `${type} at ${x}`).toBe(true);
+        expect(Math.abs(value), `${type} at ${x}`).toBeLessThanOrEqual(1);
+      }
+    }
+  });
+
+  it("runs the same shape from source text, as the audio worklet does", () => {
+    for (const type of WAVE_TYPES) {
+      const { sample } = WAVE_DEFINITIONS[type];
+      const compiled = new Function(`return (${sample.toString()});`)() as typeof sample;
+      for (const x of POSITIONS) expect(compiled(x, VOICE), `${type} at ${x}`).toBe(sample(x, VOICE));
+    }
+  });
+
+  it("matches the closed-form harmonics of the shapes that have them", () => {
+    for (const type of WAVE_TYPES) {
+      const { sample, harmonics } = WAVE_DEFINITIONS[type];
+      if (!harmonics) continue;
+      const steps = 4096;
+      for (let n = 1; n <= 5; n++) {
+        // Peak amplitude of harmonic n from the sine and cosine projections over one period.
+        let s = 0;
+        let c = 0;
+        for (let i = 0; i < steps; i++) {
+          const x = (i + 0.5) / steps;
+          const value = sample(x, VOICE);
+          s += value * Math.sin(2 * Math.PI * n * x);
+          c += value * Math.cos(2 * Math.PI * n * x);
+        }
+        expect(Math.hypot(s, c) * (2 / steps), `${type} harmonic ${n}`).toBeCloseTo(harmonics(n), 2);
+      }
+    }
+  });
+
+  it("samples the plots at the right point in the period", () => {
+    expect(waveSample("sine", 0.25 / 100, 100)).toBeCloseTo(1);
+    expect(waveSample("square", 1.75 / 100, 100)).toBe(-1);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * The wave-type registry: every wave shape is defined once here, and that one
+ * definition drives the library tiles, the plots, the spectrum view and the
+ * audio worklet (`src/synth.ts` compiles the `sample` functions into its source).
+ *
+ * This module has no React or Web Audio dependencies, so it can be imported on
+ * its own, e.g. to check that a plot and the audio render the same shape.
+ */
+
+export const CUSTOM_MODE_COUNT = 15;
+
+/**
+ * A custom wave as a Fourier series without the constant term: harmonic n
+ * contributes `sin[n - 1]·sin(nθ) + cos[n - 1]·cos(nθ)`. Both arrays hold
+ * `CUSTOM_MODE_COUNT` coefficients in [-1, 1].
+ */
+export type CustomModes = {
+  sin: number[];
+  cos: number[];
+};
+
+export const DEFAULT_CUSTOM_MODES: CustomModes = {
+  sin: [1, ...Array(CUSTOM_MODE_COUNT - 1).fill(0)],
+  cos: Array(CUSTOM_MODE_COUNT).fill(0),
+};
+
+/** Everything a `sample` function may read besides the position in the period. */
+export type WaveVoice = {
+  customModes: { sin: ArrayLike<number>; cos: ArrayLike<number> };
+  /** One period of the `drawn` wave. */
+  wavetable: ArrayLike<number>;
+  /** Only the first `harmonicLimit` custom harmonics sound (the worklet drops those above Nyquist). */
+  harmonicLimit: number;
+};
+
+/** A discontinuity of a naive shape: where it sits in the period (0..1) and how big it is. */
+export type WaveEdge = { at: number; size: number };
+
+export type WaveDefinition = {
+  name: string;
+  subtitle: string;
+  /**
+   * One period of the shape, `x` in 0..1, in [-1, 1]. The audio worklet runs
+   * this exact function from its source text (`toString()`), so it must be an
+   * arrow function that only uses its arguments and globals such as `Math`:
+   * no helpers or constants from this module.
+   */
+  sample: (x: number, voice: WaveVoice) => number;
+  /** Value jumps (`size` = change in value), smoothed with PolyBLEP when band-limited. */
+  jumps?: WaveEdge[];
+  /** Corners (`size` = change in slope per period), smoothed with PolyBLAMP when band-limited. */
+  kinks?: WaveEdge[];
+  /** Closed-form peak amplitude of harmonic n (1 = fundamental); shapes without one are measured numerically. */
+  harmonics?: (n: number) => number;
+  /** Library tile preview: periods shown and points drawn. */
+  preview: { periods: number; samples: number };
+};
+
+const TILE_PREVIEW = { periods: 4, samples: 120 };
+/** Vertical edges need more points to stay crisp. */
+const EDGED_TILE_PREVIEW = { periods: 4, samples: 240 };
+
+const WAVES = {
+  sine: {
+    name: "Sine",
+    subtitle: "smooth",
+    sample: (x: number) => Math.sin(2 * Math.PI * x),
+    harmonics: (n: number) => (n === 1 ? 1 : 0),
+    preview: TILE_PREVIEW,
+  },
+  triangle: {
+    name: "Triangle",
+    subtitle: "linear ramps",
+    // asin(sin) keeps the triangle in phase with the sine: 0 at x = 0, peak at x = 0.25.
+    sample: (x: number) => (2 / Math.PI) * Math.asin(Math.sin(2 * Math.PI * x)),
+    kinks: [
+      { at: 0.25, size: -8 },
+      { at: 0.75, size: 8 },
+    ],
+    harmonics: (n: number) => (n % 2 === 1 ? 8 / (Math.PI * Math.PI * n * n) : 0),
+    preview: TILE_PREVIEW,
+  },
+  square: {
+    name: "Square",
+    subtitle: "rich harmonics",
+    sample: (x: number) => (x < 0.5 ? 1 : -1),
+    jumps: [
+      { at: 0, size: 2 },
+      { at: 0.5, size: -2 },
+    ],
+    harmonics: (n: number) => (n % 2 === 1 ? 4 / (Math.PI * n) : 0),
+    preview: EDGED_TILE_PREVIEW,
+  },
+  saw: {
+    name: "Sawtooth",
+    subtitle: "bright",
+    sample: (x: number) => 2 * x - 1,
+    jumps: [{ at: 0, size: -2 }],
+    harmonics: (n: number) => 2 / (Math.PI * n),
+    preview: EDGED_TILE_PREVIEW,
+  },
+  custom: {
+    name: "Custom",
+    subtitle: `${CUSTOM_MODE_COUNT} modes`,
+    // Clipped to [-1, 1], so there is no closed-form spectrum.
+    sample: (x: number, voice: WaveVoice) => {
+      const { sin, cos } = voice.customModes;
+      let sum = 0;
+      for (let i = 0; i < sin.length && i < voice.harmonicLimit; i++) {
+        const theta = 2 * Math.PI * (i + 1) * x;
+        if (sin[i] !== 0) sum += sin[i] * Math.sin(theta);
+        if (cos[i] !== 0) sum += cos[i] * Math.cos(theta);
+      }
+      return Math.max(-1, Math.min(1, sum));
+    },
+    preview: TILE_PREVIEW,
+  },
+  humps: {
+    name: "Humps",
+    subtitle: "envelope",
+    // Two-hump envelope (visual variety): |sin| shaped to emphasize the peaks.
+    sample: (x: number) => 2 * Math.pow(Math.abs(Math.sin(Math.PI * x)), 0.8) - 1,
+    preview: TILE_PREVIEW,
+  },
+  drawn: {
+    name: "Drawn",
+    subtitle: "your sketch",
+    // The session's hand-drawn wavetable (see `src/wavetable.ts`), linearly interpolated.
+    sample: (x: number, voice: WaveVoice) => {
+      const table = voice.wavetable;
+      const n = table.length;
+      if (n === 0) return 0;
+      const pos = (x - Math.floor(x)) * n;
+      const i = Math.floor(pos);
+      const frac = pos - i;
+      return table[i % n] * (1 - frac) + table[(i + 1) % n] * frac;
+    },
+    preview: TILE_PREVIEW,
+  },
+} satisfies Record<string, WaveDefinition>;
+
+export type WaveType = keyof typeof WAVES;
+
+/** Registry entries, in library-tile order. */
+export const WAVE_DEFINITIONS: Record<WaveType, WaveDefinition> = WAVES;
+
+export const WAVE_TYPES = Object.keys(WAVES) as WaveType[];
+
+export function isWaveType(value: unknown): value is WaveType {
+  return typeof value === "string" && (WAVE_TYPES as string[]).includes(value);
+}
+
+/**
+ * PolyBLEP/PolyBLAMP correction to add to a naive sample at `x` so its jumps and
+ * corners are rounded off over the neighbouring samples, which removes most of
+ * the aliasing. `dt` is the phase advance per sample, in periods. Also compiled
+ * into the audio worklet, so it is self-contained like `WaveDefinition.sample`.
+ */
+export function bandLimitCorrection(x: number, dt: number, jumps: WaveEdge[] = [], kinks: WaveEdge[] = []) {
+  // Residuals around a discontinuity at t = 0 (t = distance into the period after it).
+  const blep = (t: number) => {
+    if (t < dt) {
+      const u = t / dt;
+      return u + u - u * u - 1;
+    }
+    if (t > 1 - dt) {
+      const u = (t - 1) / dt;
+      return u * u + u + u + 1;
+    }
+    return 0;
+  };
+  const blamp = (t: number) => {
+    if (t < dt) {
+      const u = t / dt - 1;
+      return (-u * u * u) / 3;
+    }
+    if (t > 1 - dt) {
+      const u = (t - 1) / dt + 1;
+      return (u * u * u) / 3;
+    }
+    return 0;
+  };
+  const since = (at: number) => x - at - Math.floor(x - at);
+
+  let correction = 0;
+  for (const jump of jumps) correction += (jump.size / 2) * blep(since(jump.at));
+  for (const kink of kinks) correction += (kink.size / 2) * dt * blamp(since(kink.at));
+  return correction;
+}
+
+/** The ideal (unaliased) shape at time `tSec`, as drawn by the plots. */
+export function waveSample(
+  type: WaveType,
+  tSec: number,
+  freqHz: number,
+  customModes?: CustomModes,
+  wavetable?: number[]
+): number {
+  const definition = WAVE_DEFINITIONS[type];
+  if (!definition) return 0;
+  const cycles = freqHz * tSec;
+  return definition.sample(cycles - Math.floor(cycles), {
+    customModes: customModes ?? { sin: [], cos: [] },
+    wavetable: wavetable ?? [],
+    harmonicLimit: Infinity,
+  });
+}
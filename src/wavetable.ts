@@ -0,0 +1,62 @@
+/**
+ * Hand-drawn waves: one period stored as a small wavetable.
+ *
+ * The drawing surface records a sketch as one value per table column (or null
+ * where the pointer never went). `wavetableFromSketch` turns that into a
+ * playable table: gaps are bridged, the shape is smoothed around the period
+ * boundary so it loops without a click, the DC offset is removed and the peak
+ * is normalized to 1. Playback and plots go through the `drawn` entry of the
+ * wave registry (`src/waves.ts`).
+ */
+
+/** Columns per period. Enough detail for a sketch while keeping project files and links small. */
+export const WAVETABLE_SIZE = 128;
+
+const SMOOTHING_RADIUS = 2;
+const SMOOTHING_PASSES = 2;
+
+function round3(x: number) {
+  return Math.round(x * 1000) / 1000;
+}
+
+/** A sine, so the Drawn tile plays something sensible before anything is drawn. */
+export const DEFAULT_DRAWN_WAVE: number[] = Array.from({ length: WAVETABLE_SIZE }, (_, i) =>
+  round3(Math.sin((2 * Math.PI * i) / WAVETABLE_SIZE))
+);
+
+/** Moving average that wraps around the period, so the loop point is smoothed like any other. */
+function smoothCircular(values: number[], radius: number) {
+  const n = values.length;
+  return values.map((_, i) => {
+    let sum = 0;
+    for (let k = -radius; k <= radius; k++) sum += values[(i + k + n) % n];
+    return sum / (2 * radius + 1);
+  });
+}
+
+/**
+ * Turns a sketch (one value in [-1, 1] or null per column) into a wavetable.
+ * Returns null when nothing has been drawn yet.
+ */
+export function wavetableFromSketch(sketch: Array<number | null>): number[] | null {
+  const n = sketch.length;
+  const known = sketch.flatMap((value, i) => (value == null ? [] : [i]));
+  if (known.length === 0) return null;
+
+  // Bridge gaps linearly, wrapping from the last drawn column to the first.
+  let table = sketch.map((value, i) => {
+    if (value != null) return value;
+    const next = known.find((k) => k > i) ?? known[0] + n;
+    const prev = [...known].reverse().find((k) => k < i) ?? known[known.length - 1] - n;
+    const t = (i - prev) / (next - prev);
+    return sketch[(prev + n) % n]! * (1 - t) + sketch[next % n]! * t;
+  });
+
+  for (let pass = 0; pass < SMOOTHING_PASSES; pass++) table = smoothCircular(table, SMOOTHING_RADIUS);
+
+  const mean = table.reduce((acc, value) => acc + value, 0) / n;
+  table = table.map((value) => value - mean);
+  const peak = Math.max(...table.map(Math.abs));
+  // A flat line has no shape left once the offset is gone: it is silence.
+  return table.map((value) => (peak < 1e-3 ? 0 : round3(value / peak)));
+}